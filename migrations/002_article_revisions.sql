@@ -0,0 +1,23 @@
+-- migrations/002_article_revisions.sql
+-- Article revision history: a snapshot of the article taken before each change
+
+CREATE TABLE IF NOT EXISTS article_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  article_id INT NOT NULL,
+  revision_number INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) NOT NULL,
+  excerpt TEXT NULL,
+  content LONGTEXT NOT NULL,
+  featured_image VARCHAR(500) NULL,
+  category_id INT NULL,
+  meta_title VARCHAR(255) NULL,
+  meta_description TEXT NULL,
+  meta_keywords VARCHAR(500) NULL,
+  status VARCHAR(30) NOT NULL,
+  action VARCHAR(30) NOT NULL DEFAULT 'update', -- update, approve, restore
+  created_by INT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_article_revisions_number (article_id, revision_number),
+  KEY idx_article_revisions_created_by (created_by)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
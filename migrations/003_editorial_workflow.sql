@@ -0,0 +1,27 @@
+-- migrations/003_editorial_workflow.sql
+-- Multi-stage editorial workflow: new article statuses, assigned reviewer and
+-- review notes
+
+ALTER TABLE articles
+  MODIFY COLUMN status ENUM(
+    'draft', 'ready_to_post', 'submitted', 'in_review', 'changes_requested',
+    'rejected', 'approved', 'published', 'archived'
+  ) NOT NULL DEFAULT 'draft',
+  ADD COLUMN reviewer_id INT NULL AFTER approved_at,
+  ADD KEY idx_articles_reviewer (reviewer_id),
+  -- The publish scheduler looks up approved articles that are due
+  ADD KEY idx_articles_status_scheduled (status, scheduled_at);
+
+-- Reviewer notes, attached to a workflow transition or left on their own
+CREATE TABLE IF NOT EXISTS article_reviews (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  article_id INT NOT NULL,
+  user_id INT NOT NULL,
+  from_status VARCHAR(30) NULL,
+  to_status VARCHAR(30) NULL,
+  note TEXT NULL,
+  anchor_text VARCHAR(1000) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_article_reviews_article (article_id, created_at),
+  KEY idx_article_reviews_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,10 @@
+-- migrations/004_article_versions.sql
+-- Optimistic concurrency for article edits: every update bumps the version,
+-- and revisions record the version they were taken from
+
+ALTER TABLE articles
+  ADD COLUMN version INT NOT NULL DEFAULT 1 AFTER updated_at;
+
+ALTER TABLE article_revisions
+  ADD COLUMN version INT NULL AFTER revision_number,
+  ADD KEY idx_article_revisions_version (article_id, version);
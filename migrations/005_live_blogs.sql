@@ -0,0 +1,17 @@
+-- migrations/005_live_blogs.sql
+-- Live blogs: articles flagged as live and their timestamped entries
+
+ALTER TABLE articles
+  ADD COLUMN is_live BOOLEAN NOT NULL DEFAULT FALSE AFTER is_breaking;
+
+CREATE TABLE IF NOT EXISTS article_live_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  article_id INT NOT NULL,
+  author_id INT NULL,
+  content TEXT NOT NULL,
+  is_pinned BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_article_live_entries_article (article_id, created_at),
+  KEY idx_article_live_entries_author (author_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
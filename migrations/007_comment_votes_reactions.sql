@@ -0,0 +1,34 @@
+-- migrations/007_comment_votes_reactions.sql
+-- Comment votes and reactions. Voters are keyed by `user:<id>` for accounts
+-- and a hash of IP and User-Agent for guests; one vote and one reaction per
+-- voter and comment.
+
+ALTER TABLE comments
+  ADD COLUMN upvotes INT NOT NULL DEFAULT 0,
+  ADD COLUMN downvotes INT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS comment_votes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  comment_id INT NOT NULL,
+  user_id INT NULL,
+  voter_key VARCHAR(100) NOT NULL,
+  value TINYINT NOT NULL, -- 1 or -1
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_comment_votes_voter (comment_id, voter_key),
+  KEY idx_comment_votes_voter (voter_key),
+  KEY idx_comment_votes_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS comment_reactions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  comment_id INT NOT NULL,
+  user_id INT NULL,
+  voter_key VARCHAR(100) NOT NULL,
+  reaction ENUM('like', 'love', 'laugh', 'wow', 'sad', 'angry') NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_comment_reactions_voter (comment_id, voter_key),
+  KEY idx_comment_reactions_voter (voter_key),
+  KEY idx_comment_reactions_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
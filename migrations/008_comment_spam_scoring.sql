@@ -0,0 +1,17 @@
+-- migrations/008_comment_spam_scoring.sql
+-- Spam and toxicity scoring: the score and reasons per comment, a content
+-- hash to spot repeated posts, and token counts learned from moderation
+
+ALTER TABLE comments
+  ADD COLUMN spam_score DECIMAL(4, 3) NULL,
+  ADD COLUMN spam_reasons JSON NULL,
+  ADD COLUMN content_hash CHAR(64) NULL,
+  ADD KEY idx_comments_content_hash (content_hash, created_at),
+  ADD KEY idx_comments_spam_score (spam_score);
+
+CREATE TABLE IF NOT EXISTS comment_spam_tokens (
+  token VARCHAR(20) NOT NULL PRIMARY KEY,
+  spam_count INT UNSIGNED NOT NULL DEFAULT 0,
+  ham_count INT UNSIGNED NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
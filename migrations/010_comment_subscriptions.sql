@@ -0,0 +1,30 @@
+-- migrations/010_comment_subscriptions.sql
+-- Email subscriptions to new comments on an article (comment_id NULL) or to
+-- replies below a comment, and the notifications queued for them
+
+CREATE TABLE IF NOT EXISTS comment_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  article_id INT NOT NULL,
+  comment_id INT NULL,
+  user_id INT NULL,
+  email VARCHAR(255) NOT NULL,
+  frequency ENUM('instant', 'daily') NOT NULL DEFAULT 'instant',
+  confirmed BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- One subscription per email and target; NULL comment_id would not be unique
+  target_comment_id INT AS (COALESCE(comment_id, 0)) STORED,
+  UNIQUE KEY uq_comment_subscriptions_target (article_id, target_comment_id, email),
+  KEY idx_comment_subscriptions_email (email),
+  KEY idx_comment_subscriptions_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Each comment is queued at most once per subscription (INSERT IGNORE relies
+-- on the primary key); sent_at stays NULL until the email or digest went out
+CREATE TABLE IF NOT EXISTS comment_notifications (
+  subscription_id INT NOT NULL,
+  comment_id INT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (subscription_id, comment_id),
+  KEY idx_comment_notifications_pending (sent_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
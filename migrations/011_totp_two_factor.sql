@@ -0,0 +1,17 @@
+-- migrations/011_totp_two_factor.sql
+-- Authenticator app (TOTP) second factor and single-use recovery codes
+
+ALTER TABLE users
+  ADD COLUMN two_factor_method ENUM('email', 'totp') NOT NULL DEFAULT 'email',
+  ADD COLUMN totp_secret VARCHAR(255) NULL, -- AES-256-GCM encrypted
+  ADD COLUMN totp_enabled_at TIMESTAMP NULL DEFAULT NULL,
+  ADD COLUMN totp_last_step BIGINT NULL; -- last accepted time step, blocks code replay
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_user_recovery_codes_code (user_id, code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+-- migrations/013_refresh_tokens.sql
+-- Rotating refresh tokens. Tokens of one login share a family (the device
+-- session ID); presenting a rotated token again revokes the whole family.
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  family_id VARCHAR(128) NOT NULL,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL, -- SHA-256 of the token, never the token itself
+  replaced_by INT NULL,
+  rotated_at TIMESTAMP NULL DEFAULT NULL,
+  revoked_at TIMESTAMP NULL DEFAULT NULL,
+  revoked_reason VARCHAR(50) NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  expires_at DATETIME NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+  KEY idx_refresh_tokens_family (family_id),
+  KEY idx_refresh_tokens_user (user_id, revoked_at),
+  KEY idx_refresh_tokens_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,25 @@
+-- migrations/014_roles_permissions.sql
+-- Database-driven roles. The built-in roles are seeded with their default
+-- permissions on first use (Role.seedSystemRoles); users reference roles by
+-- name, so the role column can no longer be a fixed ENUM.
+
+ALTER TABLE users
+  MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'user',
+  ADD KEY idx_users_role (role);
+
+CREATE TABLE IF NOT EXISTS roles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  label VARCHAR(100) NULL,
+  description VARCHAR(500) NULL,
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_roles_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id INT NOT NULL,
+  permission VARCHAR(100) NOT NULL, -- resource:action, e.g. articles:publish
+  PRIMARY KEY (role_id, permission)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,21 @@
+-- migrations/015_api_keys.sql
+-- API keys for machine clients. Only the SHA-256 hash of a key is stored;
+-- key_prefix keeps the first characters so admins can tell keys apart.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes JSON NOT NULL,
+  rate_limit INT UNSIGNED NOT NULL,
+  expires_at DATETIME NULL,
+  last_used_at TIMESTAMP NULL,
+  last_used_ip VARCHAR(45) NULL,
+  revoked_at TIMESTAMP NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_api_keys_key_hash (key_hash),
+  KEY idx_api_keys_user (user_id, revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
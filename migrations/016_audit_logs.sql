@@ -0,0 +1,22 @@
+-- migrations/016_audit_logs.sql
+-- Audit trail of privileged actions. Entries are append-only; snapshots are
+-- the redacted row before and after the action.
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  actor_id INT NULL,
+  actor_role VARCHAR(50) NULL,
+  api_key_id INT NULL,
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(50) NULL,
+  target_id INT NULL,
+  before_data JSON NULL,
+  after_data JSON NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_audit_logs_created (created_at, id),
+  KEY idx_audit_logs_actor (actor_id, created_at),
+  KEY idx_audit_logs_action (action, created_at),
+  KEY idx_audit_logs_target (target_type, target_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- migrations/019_password_policy.sql
+-- Password policy: expiry and forced resets, plus recent hashes so a
+-- password can't be reused. A NULL password_changed_at falls back to the
+-- account's created_at.
+
+ALTER TABLE users
+  ADD COLUMN password_changed_at TIMESTAMP NULL,
+  ADD COLUMN must_change_password BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS password_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_password_history_user (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
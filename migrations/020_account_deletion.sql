@@ -0,0 +1,13 @@
+-- migrations/020_account_deletion.sql
+-- Self-service account deletion: a scheduled erase after a grace period, and
+-- signed-in page views linked to the reader so they can be exported and
+-- anonymized with the account.
+
+ALTER TABLE users
+  ADD COLUMN deletion_scheduled_for DATETIME NULL,
+  ADD COLUMN deleted_at TIMESTAMP NULL,
+  ADD KEY idx_users_deletion_scheduled (deletion_scheduled_for);
+
+ALTER TABLE analytics
+  ADD COLUMN user_id INT NULL AFTER article_id,
+  ADD KEY idx_analytics_user (user_id);
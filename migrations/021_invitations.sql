@@ -0,0 +1,29 @@
+-- migrations/021_invitations.sql
+-- Staff invitations, and the categories a contributor is assigned to.
+-- Only the hash of an invitation token is stored; accepted_at doubles as the
+-- claim that keeps an invitation from being accepted twice.
+
+CREATE TABLE IF NOT EXISTS invitations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(50) NOT NULL,
+  category_ids JSON NULL,
+  token_hash CHAR(64) NOT NULL,
+  invited_by INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  sent_count INT UNSIGNED NOT NULL DEFAULT 0,
+  last_sent_at TIMESTAMP NULL,
+  accepted_at TIMESTAMP NULL,
+  accepted_user_id INT NULL,
+  revoked_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_invitations_token_hash (token_hash),
+  KEY idx_invitations_email (email, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS user_categories (
+  user_id INT NOT NULL,
+  category_id INT NOT NULL,
+  PRIMARY KEY (user_id, category_id),
+  KEY idx_user_categories_category (category_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
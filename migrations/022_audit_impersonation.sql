@@ -0,0 +1,7 @@
+-- migrations/022_audit_impersonation.sql
+-- Actions taken while an administrator impersonates a user are recorded
+-- against the administrator, with the impersonated user alongside.
+
+ALTER TABLE audit_logs
+  ADD COLUMN impersonated_user_id INT NULL AFTER api_key_id,
+  ADD KEY idx_audit_logs_impersonated (impersonated_user_id, created_at);
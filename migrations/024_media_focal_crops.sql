@@ -0,0 +1,8 @@
+-- migrations/024_media_focal_crops.sql
+-- Editor-chosen focal point (0-1 from the top left; NULL means centre) and
+-- named crops, in pixels of the stored image, keyed by preset name.
+
+ALTER TABLE media
+  ADD COLUMN focal_x DECIMAL(5,4) NULL,
+  ADD COLUMN focal_y DECIMAL(5,4) NULL,
+  ADD COLUMN crops JSON NULL;
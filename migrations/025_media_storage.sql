@@ -0,0 +1,24 @@
+-- migrations/025_media_storage.sql
+-- Where each stored file of a media item lives: the original and every
+-- derivative, per storage backend. media.path only points at a local file,
+-- so it is NULL for media kept on S3 or Cloudinary.
+
+ALTER TABLE media
+  MODIFY COLUMN path VARCHAR(500) NULL;
+
+CREATE TABLE IF NOT EXISTS media_files (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  media_id INT NOT NULL,
+  variant VARCHAR(50) NOT NULL, -- original, or a responsive size / derivative name
+  backend VARCHAR(20) NOT NULL,
+  storage_key VARCHAR(500) NOT NULL,
+  url VARCHAR(1000) NOT NULL,
+  mime_type VARCHAR(100) NULL,
+  size INT UNSIGNED NULL,
+  width INT UNSIGNED NULL,
+  height INT UNSIGNED NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_media_files_variant (media_id, variant),
+  KEY idx_media_files_backend (backend)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
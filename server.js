@@ -7,6 +7,7 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
+const cookieParser = require('cookie-parser');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
@@ -50,7 +51,7 @@ try {
 
 // Import route handlers with comprehensive error handling
 let authRoutes, articleRoutes, categoryRoutes, tagRoutes, commentRoutes, 
-    mediaRoutes, userRoutes, adsRoutes, analyticsRoutes, searchRoutes, sitemapRoutes;
+    mediaRoutes, userRoutes, roleRoutes, apiKeyRoutes, invitationRoutes, adminRoutes, adsRoutes, analyticsRoutes, searchRoutes, sitemapRoutes;
 
 const loadRoutes = () => {
   const routes = {
@@ -61,6 +62,10 @@ const loadRoutes = () => {
     commentRoutes: './src/routes/comments',
     mediaRoutes: './src/routes/media',
     userRoutes: './src/routes/users',
+    roleRoutes: './src/routes/roles',
+    apiKeyRoutes: './src/routes/apiKeys',
+    invitationRoutes: './src/routes/invitations',
+    adminRoutes: './src/routes/admin',
     adsRoutes: './src/routes/ads',
     analyticsRoutes: './src/routes/analytics',
     searchRoutes: './src/routes/search',
@@ -99,6 +104,10 @@ const loadRoutes = () => {
   commentRoutes = loadedRoutes.commentRoutes;
   mediaRoutes = loadedRoutes.mediaRoutes;
   userRoutes = loadedRoutes.userRoutes;
+  roleRoutes = loadedRoutes.roleRoutes;
+  apiKeyRoutes = loadedRoutes.apiKeyRoutes;
+  invitationRoutes = loadedRoutes.invitationRoutes;
+  adminRoutes = loadedRoutes.adminRoutes;
   adsRoutes = loadedRoutes.adsRoutes;
   analyticsRoutes = loadedRoutes.analyticsRoutes;
   searchRoutes = loadedRoutes.searchRoutes;
@@ -200,7 +209,7 @@ try {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Client-Fingerprint', 'X-Token-Delivery', 'X-API-Key']
   }));
 } catch (error) {
   logger.error('❌ Failed to setup CORS:', error.message);
@@ -218,6 +227,7 @@ try {
     extended: true, 
     limit: '10mb' 
   }));
+  app.use(cookieParser()); // refresh token cookie
 } catch (error) {
   logger.error('❌ Failed to setup body parsing middleware:', error.message);
 }
@@ -324,6 +334,10 @@ const setupAPIRoutes = () => {
     { path: '/comments', handler: commentRoutes, name: 'Comments' },
     { path: '/media', handler: mediaRoutes, name: 'Media' },
     { path: '/users', handler: userRoutes, name: 'Users' },
+    { path: '/roles', handler: roleRoutes, name: 'Roles' },
+    { path: '/api-keys', handler: apiKeyRoutes, name: 'API Keys' },
+    { path: '/invitations', handler: invitationRoutes, name: 'Invitations' },
+    { path: '/admin', handler: adminRoutes, name: 'Admin' },
     { path: '/ads', handler: adsRoutes, name: 'Advertisements' },
     { path: '/analytics', handler: analyticsRoutes, name: 'Analytics' },
     { path: '/search', handler: searchRoutes, name: 'Search' }
@@ -373,6 +387,10 @@ app.use(`${apiPrefix}/*`, (req, res) => {
       comments: `${apiPrefix}/comments`,
       media: `${apiPrefix}/media`,
       users: `${apiPrefix}/users`,
+      roles: `${apiPrefix}/roles`,
+      apiKeys: `${apiPrefix}/api-keys`,
+      invitations: `${apiPrefix}/invitations`,
+      admin: `${apiPrefix}/admin`,
       ads: `${apiPrefix}/ads`,
       analytics: `${apiPrefix}/analytics`,
       search: `${apiPrefix}/search`
@@ -439,6 +457,92 @@ if (process.env.ENABLE_SITEMAP_CRON === 'true') {
   }
 }
 
+// Publish scheduled articles (runs every minute) with error handling
+if (process.env.ENABLE_PUBLISH_SCHEDULER !== 'false') {
+  try {
+    const cron = require('node-cron');
+    const schedulerService = require('./src/services/schedulerService');
+    schedulerService.setSocketServer(io);
+    
+    cron.schedule('* * * * *', async () => {
+      try {
+        await schedulerService.runDuePublications();
+      } catch (error) {
+        logger.error('Scheduled article publishing failed:', error);
+      }
+    });
+    
+    logger.info('Publish scheduler cron job scheduled to run every minute');
+  } catch (error) {
+    logger.error('❌ Failed to setup publish scheduler cron job:', error.message);
+  }
+}
+
+// Send daily comment digests (default 08:00) with error handling
+if (process.env.ENABLE_COMMENT_DIGEST !== 'false') {
+  try {
+    const cron = require('node-cron');
+    const digestSchedule = process.env.COMMENT_DIGEST_CRON || '0 8 * * *';
+
+    cron.schedule(digestSchedule, async () => {
+      try {
+        const commentNotificationService = require('./src/services/commentNotificationService');
+        await commentNotificationService.sendDailyDigests();
+      } catch (error) {
+        logger.error('Comment digest delivery failed:', error);
+      }
+    });
+
+    logger.info(`Comment digest cron job scheduled (${digestSchedule})`);
+  } catch (error) {
+    logger.error('❌ Failed to setup comment digest cron job:', error.message);
+  }
+}
+
+// Remove expired refresh tokens (runs daily at 03:00) with error handling
+if (process.env.ENABLE_TOKEN_CLEANUP !== 'false') {
+  try {
+    const cron = require('node-cron');
+
+    cron.schedule('0 3 * * *', async () => {
+      try {
+        const RefreshToken = require('./src/models/RefreshToken');
+        const removed = await RefreshToken.deleteExpired();
+        logger.info(`Removed ${removed} expired refresh tokens`);
+      } catch (error) {
+        logger.error('Refresh token cleanup failed:', error);
+      }
+    });
+
+    logger.info('Refresh token cleanup cron job scheduled to run daily');
+  } catch (error) {
+    logger.error('❌ Failed to setup refresh token cleanup cron job:', error.message);
+  }
+}
+
+// Erase accounts whose deletion grace period is over (runs hourly) with error handling
+if (process.env.ENABLE_ACCOUNT_DELETION !== 'false') {
+  try {
+    const cron = require('node-cron');
+
+    cron.schedule('30 * * * *', async () => {
+      try {
+        const privacyService = require('./src/services/privacyService');
+        const { erased, failed } = await privacyService.runDueDeletions();
+        if (erased || failed) {
+          logger.info(`Erased ${erased} accounts scheduled for deletion (${failed} failed)`);
+        }
+      } catch (error) {
+        logger.error('Scheduled account deletion failed:', error);
+      }
+    });
+
+    logger.info('Account deletion cron job scheduled to run hourly');
+  } catch (error) {
+    logger.error('❌ Failed to setup account deletion cron job:', error.message);
+  }
+}
+
 // Clear sitemap cache when articles are published/updated
 const clearSitemapCacheMiddleware = (req, res, next) => {
   // Store original res.json
@@ -474,6 +578,12 @@ try {
 }
 
 // Socket.IO for live features with error handling
+const editingService = require('./src/services/editingService');
+const impersonationService = require('./src/services/impersonationService');
+const Article = require('./src/models/Article');
+const liveService = require('./src/services/liveService');
+liveService.setSocketServer(io);
+
 io.on('connection', (socket) => {
   try {
     logger.info(`User connected: ${socket.id}`);
@@ -496,8 +606,79 @@ io.on('connection', (socket) => {
       }
     });
     
+    // Breaking news channel
+    socket.on('join-breaking', () => {
+      socket.join(liveService.breakingRoom);
+    });
+    
+    socket.on('leave-breaking', () => {
+      socket.leave(liveService.breakingRoom);
+    });
+    
+    // Editor presence: who is currently editing an article
+    socket.on('join-editing', async (data) => {
+      try {
+        const articleId = parseInt(data?.articleId);
+        const auth = await editingService.authenticateSocket(data?.token);
+
+        if (!articleId || !auth) {
+          socket.emit('editing-error', { error: 'Authentication required to join editing' });
+          return;
+        }
+
+        const { user, impersonator } = auth;
+
+        // Same rule as the HTTP lock routes: only those who may edit the article
+        const article = await Article.findById(articleId, false);
+        if (!article || !(await article.canEdit(user.id, user.role))) {
+          socket.emit('editing-error', { error: 'Insufficient permissions to edit this article' });
+          return;
+        }
+
+        if (impersonator) {
+          impersonationService.trackSocketEvent(socket, auth, 'join-editing', { article_id: articleId });
+        }
+
+        socket.join(editingService.editorsRoom(articleId));
+        const editors = editingService.joinPresence(articleId, socket.id, user);
+
+        io.to(editingService.editorsRoom(articleId)).emit('presence-update', {
+          article_id: articleId,
+          editors
+        });
+        socket.emit('article-lock-changed', {
+          article_id: articleId,
+          lock: await editingService.getLock(articleId)
+        });
+      } catch (error) {
+        logger.error('Error joining editing room:', error);
+      }
+    });
+
+    socket.on('leave-editing', (data) => {
+      try {
+        const articleId = parseInt(data?.articleId);
+        if (!articleId) return;
+
+        socket.leave(editingService.editorsRoom(articleId));
+        io.to(editingService.editorsRoom(articleId)).emit('presence-update', {
+          article_id: articleId,
+          editors: editingService.leavePresence(articleId, socket.id)
+        });
+      } catch (error) {
+        logger.error('Error leaving editing room:', error);
+      }
+    });
+
     socket.on('disconnect', () => {
       logger.info(`User disconnected: ${socket.id}`);
+
+      editingService.leaveAllPresence(socket.id).forEach(articleId => {
+        io.to(editingService.editorsRoom(articleId)).emit('presence-update', {
+          article_id: parseInt(articleId),
+          editors: editingService.getPresence(articleId)
+        });
+      });
     });
     
     socket.on('error', (error) => {
@@ -614,6 +795,10 @@ async function startServer() {
       logger.info(`   - Comments: ${apiPrefix}/comments`);
       logger.info(`   - Media: ${apiPrefix}/media`);
       logger.info(`   - Users: ${apiPrefix}/users`);
+      logger.info(`   - Roles: ${apiPrefix}/roles`);
+      logger.info(`   - API Keys: ${apiPrefix}/api-keys`);
+      logger.info(`   - Invitations: ${apiPrefix}/invitations`);
+      logger.info(`   - Admin: ${apiPrefix}/admin`);
       logger.info(`   - Ads: ${apiPrefix}/ads`);
       logger.info(`   - Analytics: ${apiPrefix}/analytics`);
       logger.info(`   - Search: ${apiPrefix}/search`);
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// src/commands/migrateMediaStorage.js
+// Move media files (originals and derivatives) between storage backends.
+//
+//   node src/commands/migrateMediaStorage.js --to s3 [--from local] [--limit 100]
+//                                            [--keep-source] [--dry-run]
+require('dotenv').config();
+
+const db = require('../config/database');
+const mediaService = require('../services/mediaService');
+const { backends } = require('../services/storage');
+
+const BATCH_SIZE = 50;
+
+const usage = () => {
+  console.log(`Usage: node src/commands/migrateMediaStorage.js --to <backend> [options]
+
+Backends: ${backends.join(', ')}
+
+Options:
+  --from <backend>  Only move files currently on this backend
+  --limit <n>       Stop after this many media items
+  --keep-source     Leave the files on the old backend
+  --dry-run         Report what would move without moving anything`);
+};
+
+const parseArgs = (argv) => {
+  const args = { to: null, from: null, limit: null, keepSource: false, dryRun: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--to':
+        args.to = argv[++i];
+        break;
+      case '--from':
+        args.from = argv[++i];
+        break;
+      case '--limit':
+        args.limit = parseInt(argv[++i]);
+        break;
+      case '--keep-source':
+        args.keepSource = true;
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+};
+
+const migrate = async (args) => {
+  const summary = { media: 0, migrated: 0, files: 0, failed: 0 };
+  let lastId = 0;
+
+  while (!args.limit || summary.media < args.limit) {
+    const batchSize = args.limit ? Math.min(BATCH_SIZE, args.limit - summary.media) : BATCH_SIZE;
+    const [rows] = await db.execute(
+      'SELECT id FROM media WHERE id > ? ORDER BY id ASC LIMIT ?',
+      [lastId, batchSize]
+    );
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const { id } of rows) {
+      lastId = id;
+      summary.media++;
+
+      try {
+        const media = await mediaService.getById(id);
+        const moved = await mediaService.migrateMedia(media, args.to, {
+          from: args.from,
+          dryRun: args.dryRun,
+          keepSource: args.keepSource
+        });
+
+        if (moved.length > 0) {
+          summary.migrated++;
+          summary.files += moved.length;
+          console.log(`${args.dryRun ? '[dry run] ' : ''}media ${id}: ${moved.join(', ')}`);
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`media ${id}: ${error.message}`);
+      }
+    }
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    usage();
+    return 1;
+  }
+
+  if (args.help) {
+    usage();
+    return 0;
+  }
+
+  if (!backends.includes(args.to) || (args.from && !backends.includes(args.from))) {
+    usage();
+    return 1;
+  }
+
+  if (args.from === args.to) {
+    console.error('--from and --to must be different backends');
+    return 1;
+  }
+
+  const summary = await migrate(args);
+
+  console.log(
+    `${args.dryRun ? 'Dry run: ' : ''}${summary.files} files of ${summary.migrated} media items ` +
+    `${args.dryRun ? 'would be moved' : 'moved'} to ${args.to}; ` +
+    `${summary.media} checked, ${summary.failed} failed`
+  );
+
+  return summary.failed > 0 ? 1 : 0;
+};
+
+main()
+  .then(code => {
+    db.pool.end();
+    process.exit(code);
+  })
+  .catch(error => {
+    console.error('Migration failed:', error);
+    db.pool.end();
+    process.exit(1);
+  });
@@ -42,9 +42,26 @@ pool.on('error', (err) => {
   }
 });
 
+// Run callback(connection) in a transaction; rolled back if it throws
+const transaction = async (callback) => {
+  const connection = await promisePool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await callback(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 module.exports = {
   pool,
   promisePool,
+  transaction,
   getConnection: pool.getConnection.bind(pool),
   query: promisePool.query.bind(promisePool),
   execute: promisePool.execute.bind(promisePool)
@@ -0,0 +1,67 @@
+// src/config/oidc.js
+// OpenID Connect providers, configured from the environment:
+//
+//   OIDC_PROVIDERS=google,mock
+//   OIDC_GOOGLE_CLIENT_ID=...            OIDC_GOOGLE_CLIENT_SECRET=...
+//   OIDC_MOCK_ISSUER=http://localhost:9400
+//
+// Endpoints are discovered from `<issuer>/.well-known/openid-configuration`
+// unless set explicitly (OIDC_<NAME>_AUTHORIZATION_ENDPOINT, _TOKEN_ENDPOINT,
+// _JWKS_URI), so a local mock IdP works without discovery.
+
+// Defaults for well-known providers
+const presets = {
+  google: {
+    label: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: 'openid email profile'
+  }
+};
+
+const buildProvider = (name) => {
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const env = (key) => process.env[`${prefix}${key}`];
+  const preset = presets[name] || {};
+  const siteUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'http://localhost:3000';
+
+  return {
+    name,
+    label: env('LABEL') || preset.label || name,
+    issuer: env('ISSUER') || preset.issuer,
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    scopes: env('SCOPES') || preset.scopes || 'openid email profile',
+    redirectUri: env('REDIRECT_URI') || `${siteUrl}/auth/oidc/${name}/callback`,
+    tokenAuthMethod: env('TOKEN_AUTH_METHOD') || 'client_secret_post',
+    authorizationEndpoint: env('AUTHORIZATION_ENDPOINT'),
+    tokenEndpoint: env('TOKEN_ENDPOINT'),
+    jwksUri: env('JWKS_URI'),
+    // Only providers we trust to enforce MFA may skip our email code
+    trustMfa: env('TRUST_MFA') === 'true',
+    // "amr" values that count as multi-factor (RFC 8176)
+    mfaAmrValues: (env('MFA_AMR_VALUES') || 'mfa,otp,hwk,swk,sms')
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean)
+  };
+};
+
+const loadProviders = () => {
+  const names = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names
+    .map(buildProvider)
+    .filter(provider => provider.issuer && provider.clientId)
+    .reduce((providers, provider) => {
+      providers[provider.name] = provider;
+      return providers;
+    }, {});
+};
+
+module.exports = {
+  presets,
+  loadProviders
+};
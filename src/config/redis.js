@@ -87,6 +87,31 @@ class RedisClient {
     }
   }
 
+  // Set only if the key does not exist yet (returns true when the key was set)
+  async setnx(key, value, expireInSeconds = 3600) {
+    if (!this.isConnected || !this.isEnabled) return false;
+    try {
+      const options = expireInSeconds ? { NX: true, EX: expireInSeconds } : { NX: true };
+      const result = await this.client.set(key, JSON.stringify(value), options);
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Redis setnx error:', error);
+      return false;
+    }
+  }
+
+  // Read and delete a key in one step (GETDEL), so only one caller gets the value
+  async getDel(key) {
+    if (!this.isConnected || !this.isEnabled) return null;
+    try {
+      const value = await this.client.getDel(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.error('Redis getDel error:', error);
+      return null;
+    }
+  }
+
   async del(key) {
     if (!this.isConnected || !this.isEnabled) return false;
     try {
@@ -228,6 +253,17 @@ class RedisClient {
     }
   }
 
+  async hdel(key, field) {
+    if (!this.isConnected || !this.isEnabled) return false;
+    try {
+      await this.client.hDel(key, field);
+      return true;
+    } catch (error) {
+      logger.error('Redis hdel error:', error);
+      return false;
+    }
+  }
+
   async sadd(key, ...members) {
     if (!this.isConnected || !this.isEnabled) return false;
     try {
@@ -284,6 +320,22 @@ class RedisClient {
     }
   }
 
+  // Delete all keys matching a glob pattern (uses SCAN, safe for production)
+  async delPattern(pattern) {
+    if (!this.isConnected || !this.isEnabled) return 0;
+    try {
+      let deleted = 0;
+      for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        await this.client.del(key);
+        deleted++;
+      }
+      return deleted;
+    } catch (error) {
+      logger.error('Redis delPattern error:', error);
+      return 0;
+    }
+  }
+
   async expire(key, seconds) {
     if (!this.isConnected || !this.isEnabled) return false;
     try {
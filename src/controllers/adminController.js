@@ -0,0 +1,66 @@
+// src/controllers/adminController.js
+const AuditLog = require('../models/AuditLog');
+const analyticsService = require('../services/analyticsService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Audit log filters shared by the list and the export
+const auditFilters = (query) => {
+  const {
+    actor_id,
+    impersonated_user_id,
+    action,
+    target_type,
+    target_id,
+    ip_address,
+    date_from,
+    date_to
+  } = query;
+
+  return {
+    actor_id: actor_id ? parseInt(actor_id) : undefined,
+    impersonated_user_id: impersonated_user_id ? parseInt(impersonated_user_id) : undefined,
+    action,
+    target_type,
+    target_id: target_id ? parseInt(target_id) : undefined,
+    ip_address,
+    date_from,
+    date_to
+  };
+};
+
+// Get audit log entries
+const getAuditLog = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  const result = await AuditLog.findAll({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    ...auditFilters(req.query)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      entries: result.entries.map(entry => entry.toPublicObject()),
+      pagination: result.pagination
+    }
+  });
+});
+
+// Export audit log entries as CSV
+const exportAuditLog = asyncHandler(async (req, res) => {
+  const entries = await AuditLog.findForExport(auditFilters(req.query));
+  const csv = analyticsService.convertToCSV(entries.map(entry => entry.toExportRow()));
+
+  const filename = `audit_log_${Date.now()}.csv`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Type', 'text/csv');
+
+  res.send(csv);
+});
+
+module.exports = {
+  getAuditLog,
+  exportAuditLog
+};
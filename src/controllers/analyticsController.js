@@ -1,6 +1,7 @@
 // src/controllers/analyticsController.js
 const Analytics = require('../models/Analytics');
 const analyticsService = require('../services/analyticsService');
+const authService = require('../services/authService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
@@ -67,8 +68,7 @@ const getTrafficStats = asyncHandler(async (req, res) => {
 const getUserStats = asyncHandler(async (req, res) => {
   const { days = 30 } = req.query;
 
-  // Only admin and editors can see user stats
-  if (!['admin', 'editor'].includes(req.user.role)) {
+  if (!(await authService.can(req, 'analytics:read'))) {
     throw new AppError('Insufficient permissions to view user statistics', 403);
   }
 
@@ -187,8 +187,7 @@ const exportAnalytics = asyncHandler(async (req, res) => {
     type = 'overview' // overview, articles, traffic, users
   } = req.query;
 
-  // Only admin and editors can export
-  if (!['admin', 'editor'].includes(req.user.role)) {
+  if (!(await authService.can(req, 'analytics:export'))) {
     throw new AppError('Insufficient permissions to export analytics', 403);
   }
 
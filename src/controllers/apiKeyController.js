@@ -0,0 +1,122 @@
+// src/controllers/apiKeyController.js
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Get API keys, optionally for one owner
+const getApiKeys = asyncHandler(async (req, res) => {
+  const { user_id, include_revoked } = req.query;
+
+  const apiKeys = await ApiKey.findAll({
+    user_id: user_id ? parseInt(user_id) : undefined,
+    include_revoked: include_revoked === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: {
+      api_keys: apiKeys.map(apiKey => apiKey.toPublicObject())
+    }
+  });
+});
+
+// Get the scopes a key can be given
+const getScopes = asyncHandler(async (req, res) => {
+  const scopes = Object.entries(ApiKey.scopes).map(([name, scope]) => ({
+    name,
+    description: scope.description,
+    permissions: scope.permissions
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      scopes
+    }
+  });
+});
+
+// Get single API key
+const getApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(parseInt(req.params.id));
+  if (!apiKey) {
+    throw new AppError('API key not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      api_key: apiKey.toPublicObject()
+    }
+  });
+});
+
+// Create API key. The key is shown once and cannot be retrieved later.
+const createApiKey = asyncHandler(async (req, res) => {
+  const {
+    name,
+    scopes,
+    user_id = req.user.id,
+    rate_limit,
+    expires_at
+  } = req.body;
+
+  const owner = await User.findById(parseInt(user_id));
+  if (!owner) {
+    throw new AppError('Key owner not found', 404);
+  }
+
+  const { key, apiKey } = await ApiKey.create({
+    user_id: owner.id,
+    name,
+    scopes,
+    rate_limit: rate_limit !== undefined ? parseInt(rate_limit) : undefined,
+    expires_at,
+    created_by: req.user.id
+  });
+
+  logger.info('API key created', {
+    apiKeyId: apiKey.id,
+    ownerId: owner.id,
+    scopes: apiKey.scopes,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Store it now, it will not be shown again.',
+    data: {
+      key,
+      api_key: apiKey.toPublicObject()
+    }
+  });
+});
+
+// Revoke API key
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(parseInt(req.params.id));
+  if (!apiKey) {
+    throw new AppError('API key not found', 404);
+  }
+
+  await apiKey.revoke();
+
+  logger.info('API key revoked', { apiKeyId: apiKey.id, revokedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'API key revoked successfully',
+    data: {
+      api_key: apiKey.toPublicObject()
+    }
+  });
+});
+
+module.exports = {
+  getApiKeys,
+  getScopes,
+  getApiKey,
+  createApiKey,
+  revokeApiKey
+};
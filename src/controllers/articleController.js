@@ -1,11 +1,45 @@
 // src/controllers/articleController.js
 const Article = require('../models/Article');
 const User = require('../models/User');
+const ArticleRevision = require('../models/ArticleRevision');
+const ArticleReview = require('../models/ArticleReview');
+const LiveEntry = require('../models/LiveEntry');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const analyticsService = require('../services/analyticsService');
+const authService = require('../services/authService');
+const articleService = require('../services/articleService');
 const emailService = require('../services/emailService');
+const schedulerService = require('../services/schedulerService');
+const editingService = require('../services/editingService');
+const liveService = require('../services/liveService');
 const logger = require('../utils/logger');
 
+// Send the emails that go with a workflow transition
+const notifyWorkflowTransition = async (article, actor, note = null) => {
+  try {
+    if (['submitted', 'ready_to_post'].includes(article.status)) {
+      await emailService.sendApprovalNotification(article, { reviewerId: article.reviewer_id, note });
+      return;
+    }
+
+    if (!['in_review', 'changes_requested', 'rejected', 'approved', 'published'].includes(article.status)) {
+      return;
+    }
+
+    // Authors don't need to hear about their own actions
+    if (article.author_id === actor.id) {
+      return;
+    }
+
+    const author = await User.findById(article.author_id);
+    if (author) {
+      await emailService.sendApprovalConfirmation(author.email, article, { status: article.status, note });
+    }
+  } catch (error) {
+    logger.error('Failed to send workflow notification:', error);
+  }
+};
+
 // Get all articles (public)
 const getArticles = asyncHandler(async (req, res) => {
   const {
@@ -74,8 +108,8 @@ const getArticlesAdmin = asyncHandler(async (req, res) => {
   if (is_featured !== undefined) options.is_featured = is_featured === 'true';
   if (is_breaking !== undefined) options.is_breaking = is_breaking === 'true';
 
-  // Journalists can only see their own articles
-  if (req.user.role === 'journalist') {
+  // Without articles:update, users only see their own articles
+  if (!(await authService.can(req, 'articles:update'))) {
     options.author_id = req.user.id;
   }
 
@@ -112,16 +146,9 @@ const getArticle = asyncHandler(async (req, res) => {
       throw new AppError('Article not found', 404);
     }
 
-    // Admin and editors can access all articles
-    if (req.user.role !== 'admin' && req.user.role !== 'editor') {
-      // Journalists can only access their own articles
-      if (req.user.role === 'journalist' && article.author_id !== req.user.id) {
-        throw new AppError('Article not found', 404);
-      }
-      // Regular users cannot access unpublished articles
-      if (req.user.role === 'user') {
-        throw new AppError('Article not found', 404);
-      }
+    // Unpublished articles are visible to those who can edit them
+    if (!(await article.canEdit(req.user.id, req.user.role, req.apiKey))) {
+      throw new AppError('Article not found', 404);
     }
   }
 
@@ -161,6 +188,7 @@ const createArticle = asyncHandler(async (req, res) => {
     meta_keywords,
     is_featured = false,
     is_breaking = false,
+    is_live = false,
     status = 'draft',
     scheduled_at,
     tags = []
@@ -171,14 +199,15 @@ const createArticle = asyncHandler(async (req, res) => {
     throw new AppError('Insufficient permissions to create articles', 403);
   }
 
-  // Journalists can only create drafts and ready_to_post
-  if (req.user.role === 'journalist' && !['draft', 'ready_to_post'].includes(status)) {
-    throw new AppError('Journalists can only create drafts or submit for approval', 403);
+  // New articles start as drafts, are submitted for review or published directly
+  if (!['draft', 'submitted', 'published'].includes(status)) {
+    throw new AppError('New articles can only be created as draft, submitted or published', 400);
   }
 
-  // Only admin and editors can publish directly
-  if (status === 'published' && !['admin', 'editor'].includes(req.user.role)) {
-    throw new AppError('Only editors and admins can publish articles directly', 403);
+  // Publishing directly and the homepage flags need the publish permission
+  const canPublish = await authService.can(req, 'articles:publish');
+  if (status === 'published' && !canPublish) {
+    throw new AppError('Insufficient permissions to publish articles directly', 403);
   }
 
   const articleData = {
@@ -190,8 +219,9 @@ const createArticle = asyncHandler(async (req, res) => {
     meta_title,
     meta_description,
     meta_keywords,
-    is_featured: req.user.role === 'admin' ? is_featured : false, // Only admin can set featured
-    is_breaking: req.user.role === 'admin' ? is_breaking : false, // Only admin can set breaking
+    is_featured: canPublish ? is_featured : false,
+    is_breaking: canPublish ? is_breaking : false,
+    is_live: canPublish ? is_live : false,
     status,
     scheduled_at: scheduled_at ? new Date(scheduled_at) : null,
     tags
@@ -199,15 +229,13 @@ const createArticle = asyncHandler(async (req, res) => {
 
   const article = await Article.create(articleData, req.user.id);
 
-  // Notify editors if article is ready for approval
-  if (status === 'ready_to_post') {
-    try {
-      await emailService.sendApprovalNotification(article);
-    } catch (error) {
-      logger.error('Failed to send approval notification:', error);
-    }
+  // Notify editors if article is submitted for review
+  if (status === 'submitted') {
+    await notifyWorkflowTransition(article, req.user);
   }
 
+  liveService.breakingNews(article);
+
   // Emit socket event for live blog
   if (req.app.get('io')) {
     req.app.get('io').emit('article-created', {
@@ -239,9 +267,11 @@ const updateArticle = asyncHandler(async (req, res) => {
     meta_keywords,
     is_featured,
     is_breaking,
+    is_live,
     status,
     scheduled_at,
-    tags
+    tags,
+    version
   } = req.body;
 
   const article = await Article.findById(parseInt(id));
@@ -250,10 +280,15 @@ const updateArticle = asyncHandler(async (req, res) => {
   }
 
   // Check if user can edit this article
-  if (!article.canEdit(req.user.id, req.user.role)) {
+  if (!(await article.canEdit(req.user.id, req.user.role, req.apiKey))) {
     throw new AppError('Insufficient permissions to edit this article', 403);
   }
 
+  // Someone else holds the edit lock
+  await editingService.assertCanSave(article.id, req.user);
+
+  const wasBreakingNews = !!article.is_breaking && article.status === 'published';
+
   const updates = {};
   if (title !== undefined) updates.title = title;
   if (content !== undefined) updates.content = content;
@@ -266,32 +301,41 @@ const updateArticle = asyncHandler(async (req, res) => {
   if (scheduled_at !== undefined) updates.scheduled_at = scheduled_at ? new Date(scheduled_at) : null;
   if (tags !== undefined) updates.tags = tags;
 
-  // Only admin and editors can change these fields
-  if (['admin', 'editor'].includes(req.user.role)) {
-    if (status !== undefined) updates.status = status;
+  // Homepage flags need the publish permission
+  if (await authService.can(req, 'articles:publish')) {
     if (is_featured !== undefined) updates.is_featured = is_featured;
     if (is_breaking !== undefined) updates.is_breaking = is_breaking;
+    if (is_live !== undefined) updates.is_live = is_live;
   }
 
-  // Journalists can only set status to ready_to_post or draft
-  if (req.user.role === 'journalist' && status !== undefined) {
-    if (!['draft', 'ready_to_post'].includes(status)) {
-      throw new AppError('Journalists can only set status to draft or ready for approval', 403);
-    }
-    updates.status = status;
+  // Status changes go through the editorial workflow; check the transition
+  // and its note before saving the edit
+  const statusChanged = status !== undefined && status !== article.status;
+  if (statusChanged) {
+    await article.assertCanTransition(status, req.user, req.body.note || null, req.apiKey);
   }
 
-  await article.update(updates, req.user.id);
-
-  // Notify editors if article is ready for approval
-  if (updates.status === 'ready_to_post') {
+  if (Object.keys(updates).length > 0) {
     try {
-      await emailService.sendApprovalNotification(article);
+      await article.update(updates, req.user.id, { expectedVersion: version ?? null });
     } catch (error) {
-      logger.error('Failed to send approval notification:', error);
+      if (error.code !== 'EDIT_CONFLICT') {
+        throw error;
+      }
+      return sendEditConflict(res, error);
     }
   }
 
+  if (statusChanged) {
+    await article.transitionTo(status, req.user, req.body.note || null, req.apiKey);
+    await notifyWorkflowTransition(article, req.user, req.body.note || null);
+  }
+
+  // Newly published or newly flagged breaking news
+  if (!wasBreakingNews) {
+    liveService.breakingNews(article);
+  }
+
   // Emit socket event for live blog
   if (req.app.get('io')) {
     req.app.get('io').to(`article-${article.id}`).emit('article-updated', {
@@ -308,6 +352,17 @@ const updateArticle = asyncHandler(async (req, res) => {
   });
 });
 
+// The article changed since the client loaded `version`
+const sendEditConflict = (res, error) => res.status(409).json({
+  success: false,
+  error: error.message,
+  code: error.code,
+  data: {
+    current_version: error.currentVersion,
+    conflicts: error.conflicts
+  }
+});
+
 // Delete article
 const deleteArticle = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -317,13 +372,11 @@ const deleteArticle = asyncHandler(async (req, res) => {
     throw new AppError('Article not found', 404);
   }
 
-  // Check permissions - only admin and editors can delete, or journalists can delete their own drafts
-  if (req.user.role === 'journalist') {
+  // articles:delete removes any article; articles:delete_own only the author's own drafts
+  if (!(await authService.can(req, 'articles:delete'))) {
     if (article.author_id !== req.user.id || article.status !== 'draft') {
-      throw new AppError('Journalists can only delete their own draft articles', 403);
+      throw new AppError('You can only delete your own draft articles', 403);
     }
-  } else if (!['admin', 'editor'].includes(req.user.role)) {
-    throw new AppError('Insufficient permissions to delete articles', 403);
   }
 
   await article.delete();
@@ -338,8 +391,10 @@ const deleteArticle = asyncHandler(async (req, res) => {
 const approveArticle = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  if (!['admin', 'editor'].includes(req.user.role)) {
-    throw new AppError('Only editors and admins can approve articles', 403);
+  const { note = null, publish = true } = req.body;
+
+  if (!(await authService.can(req, 'articles:approve'))) {
+    throw new AppError('Insufficient permissions to approve articles', 403);
   }
 
   const article = await Article.findById(parseInt(id));
@@ -347,22 +402,31 @@ const approveArticle = asyncHandler(async (req, res) => {
     throw new AppError('Article not found', 404);
   }
 
-  if (article.status !== 'ready_to_post') {
+  if (!['submitted', 'ready_to_post', 'in_review', 'approved'].includes(article.status)) {
     throw new AppError('Article is not ready for approval', 400);
   }
 
-  await article.approve(req.user.id);
+  if (article.status !== 'approved') {
+    await article.transitionTo('approved', req.user, note, req.apiKey);
+  }
 
-  // Notify author
-  try {
-    const author = await User.findById(article.author_id);
-    if (author) {
-      await emailService.sendApprovalConfirmation(author.email, article);
-    }
-  } catch (error) {
-    logger.error('Failed to send approval confirmation:', error);
+  // Approve without publishing, e.g. to publish later
+  if (publish === false || publish === 'false') {
+    await notifyWorkflowTransition(article, req.user, note);
+
+    return res.json({
+      success: true,
+      message: 'Article approved successfully',
+      data: {
+        article: article.toPublicObject()
+      }
+    });
   }
 
+  await article.transitionTo('published', req.user, null, req.apiKey);
+  await notifyWorkflowTransition(article, req.user, note);
+  liveService.breakingNews(article);
+
   // Emit socket event for live blog
   if (req.app.get('io')) {
     req.app.get('io').emit('article-published', {
@@ -443,13 +507,18 @@ const getArticlesByCategory = asyncHandler(async (req, res) => {
 
 // Get pending articles (for editors)
 const getPendingArticles = asyncHandler(async (req, res) => {
-  if (!['admin', 'editor'].includes(req.user.role)) {
-    throw new AppError('Only editors and admins can view pending articles', 403);
+  if (!(await authService.can(req, 'articles:approve'))) {
+    throw new AppError('Insufficient permissions to view pending articles', 403);
   }
 
-  const { page = 1, limit = 10 } = req.query;
+  const { page = 1, limit = 10, assigned } = req.query;
 
-  const result = await Article.getPendingApproval(parseInt(page), parseInt(limit));
+  // ?assigned=me limits the queue to articles assigned to the current reviewer
+  const result = await Article.getPendingApproval(
+    parseInt(page),
+    parseInt(limit),
+    assigned === 'me' ? req.user.id : null
+  );
 
   res.json({
     success: true,
@@ -462,23 +531,49 @@ const getPendingArticles = asyncHandler(async (req, res) => {
 
 // Get scheduled articles
 const getScheduledArticles = asyncHandler(async (req, res) => {
-  if (!['admin', 'editor'].includes(req.user.role)) {
-    throw new AppError('Only editors and admins can view scheduled articles', 403);
+  if (!(await authService.can(req, 'articles:schedule'))) {
+    throw new AppError('Insufficient permissions to view scheduled articles', 403);
   }
 
   const { page = 1, limit = 10 } = req.query;
 
   const result = await Article.getScheduled(parseInt(page), parseInt(limit));
+  const jobs = await schedulerService.getJobStatus();
 
   res.json({
     success: true,
     data: {
       articles: result.articles,
-      pagination: result.pagination
+      pagination: result.pagination,
+      jobs
     }
   });
 });
 
+// Retry a failed scheduled publication
+const retryScheduledArticle = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!(await authService.can(req, 'articles:schedule'))) {
+    throw new AppError('Insufficient permissions to retry scheduled articles', 403);
+  }
+
+  const article = await Article.findById(parseInt(id), false);
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  const reset = await schedulerService.retryJob(article.id);
+  if (!reset) {
+    throw new AppError('No failed publication found for this article', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Scheduled publication will be retried on the next scheduler run'
+  });
+});
+
 // Like article
 const likeArticle = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -493,6 +588,7 @@ const likeArticle = asyncHandler(async (req, res) => {
   }
 
   await article.incrementLikes();
+  await analyticsService.trackEvent(article.id, 'like', req);
 
   res.json({
     success: true,
@@ -513,13 +609,12 @@ const getArticleAnalytics = asyncHandler(async (req, res) => {
     throw new AppError('Article not found', 404);
   }
 
-  // Check permissions
-  if (req.user.role === 'journalist' && article.author_id !== req.user.id) {
-    throw new AppError('Journalists can only view analytics for their own articles', 403);
-  }
-
-  if (!['admin', 'editor', 'journalist'].includes(req.user.role)) {
-    throw new AppError('Insufficient permissions to view analytics', 403);
+  // analytics:read covers every article, analytics:read_own the author's own
+  if (!(await authService.can(req, 'analytics:read'))) {
+    if (article.author_id !== req.user.id ||
+        !(await authService.can(req, 'analytics:read_own'))) {
+      throw new AppError('Insufficient permissions to view analytics for this article', 403);
+    }
   }
 
   const analytics = await article.getAnalyticsSummary(parseInt(days));
@@ -542,9 +637,9 @@ const getArticleComments = asyncHandler(async (req, res) => {
     throw new AppError('Article not found', 404);
   }
 
-  // Only show approved comments to public, all comments to editors/admins
-  const commentStatus = ['admin', 'editor'].includes(req.user?.role) ? 
-    (status || 'approved') : 'approved';
+  // Only show approved comments to public, all comments to moderators
+  const canModerate = await authService.can(req, 'comments:approve');
+  const commentStatus = canModerate ? (status || 'approved') : 'approved';
 
   const result = await article.getComments(
     parseInt(page),
@@ -561,6 +656,407 @@ const getArticleComments = asyncHandler(async (req, res) => {
   });
 });
 
+// Move an article to another workflow status
+const transitionArticle = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, note = null } = req.body;
+
+  const article = await Article.findById(parseInt(id));
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  const fromStatus = article.status;
+  await article.transitionTo(status, req.user, note, req.apiKey);
+  await notifyWorkflowTransition(article, req.user, note);
+
+  if (status === 'published') {
+    liveService.breakingNews(article);
+  }
+
+  if (req.app.get('io')) {
+    const event = status === 'published' ? 'article-published' : 'article-updated';
+    req.app.get('io').to(`article-${article.id}`).emit(event, {
+      article: article.toSummaryObject()
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Article moved from ${fromStatus} to ${status}`,
+    data: {
+      article: article.toPublicObject()
+    }
+  });
+});
+
+// Assign a reviewer to an article (editors only)
+const assignReviewer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reviewer_id } = req.body;
+
+  const article = await Article.findById(parseInt(id));
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  const reviewer = await User.findById(parseInt(reviewer_id));
+  if (!reviewer || !reviewer.is_active ||
+      !(await authService.hasPermission(reviewer.role, 'articles:approve'))) {
+    throw new AppError('Reviewer must be an active user who can approve articles', 400);
+  }
+
+  await article.assignReviewer(reviewer.id);
+
+  try {
+    await emailService.sendApprovalNotification(article, { reviewerId: reviewer.id });
+  } catch (error) {
+    logger.error('Failed to send reviewer assignment notification:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Reviewer assigned successfully',
+    data: {
+      article: article.toPublicObject()
+    }
+  });
+});
+
+// Get review history and notes of an article
+const getArticleReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const article = await Article.findById(parseInt(id), false);
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  if (!(await article.canEdit(req.user.id, req.user.role, req.apiKey))) {
+    throw new AppError('You can only view reviews of articles you can edit', 403);
+  }
+
+  const reviews = await ArticleReview.findByArticle(article.id);
+
+  res.json({
+    success: true,
+    data: {
+      reviews: reviews.map(review => review.toPublicObject())
+    }
+  });
+});
+
+// Add a reviewer note (optionally anchored to a passage of the content)
+const addReviewNote = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { note, anchor_text = null } = req.body;
+
+  const article = await Article.findById(parseInt(id), false);
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  // Editors review any article; authors can reply on their own
+  if (article.author_id !== req.user.id &&
+      !(await authService.can(req, 'articles:approve'))) {
+    throw new AppError('Insufficient permissions to add review notes', 403);
+  }
+
+  const review = await ArticleReview.create({
+    article_id: article.id,
+    user_id: req.user.id,
+    note,
+    anchor_text
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Review note added successfully',
+    data: {
+      review: review.toPublicObject()
+    }
+  });
+});
+
+// Get live-blog entries (use ?since= to fetch only newer entries)
+const getLiveEntries = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20, since } = req.query;
+
+  const article = await Article.findById(parseInt(id), false);
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  if (!article.is_live) {
+    throw new AppError('Article is not a live blog', 400);
+  }
+
+  const result = await LiveEntry.findByArticle(article.id, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    since: since || null
+  });
+
+  res.json({
+    success: true,
+    data: {
+      entries: result.entries.map(entry => entry.toPublicObject()),
+      pagination: result.pagination
+    }
+  });
+});
+
+// Append an entry to a live-blog article
+const createLiveEntry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { content, is_pinned = false } = req.body;
+
+  const article = await Article.findById(parseInt(id), false);
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  if (!article.is_live) {
+    throw new AppError('Article is not a live blog', 400);
+  }
+
+  if (!(await article.canEdit(req.user.id, req.user.role, req.apiKey))) {
+    throw new AppError('Insufficient permissions to post to this live blog', 403);
+  }
+
+  const canPin = await authService.can(req, 'articles:update');
+
+  const entry = await LiveEntry.create({
+    article_id: article.id,
+    author_id: req.user.id,
+    content,
+    // Only editors pin entries to the top
+    is_pinned: canPin ? !!is_pinned : false
+  });
+
+  liveService.liveEntryAdded(article, entry);
+
+  res.status(201).json({
+    success: true,
+    message: 'Live entry posted successfully',
+    data: {
+      entry: entry.toPublicObject()
+    }
+  });
+});
+
+// Remove a live-blog entry
+const deleteLiveEntry = asyncHandler(async (req, res) => {
+  const { id, entryId } = req.params;
+
+  const article = await Article.findById(parseInt(id), false);
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  const entry = await LiveEntry.findById(parseInt(entryId));
+  if (!entry || entry.article_id !== article.id) {
+    throw new AppError('Live entry not found', 404);
+  }
+
+  // Editors remove any entry, journalists only their own
+  if (entry.author_id !== req.user.id &&
+      !(await authService.can(req, 'articles:update'))) {
+    throw new AppError('You can only delete your own live entries', 403);
+  }
+
+  await entry.delete();
+  liveService.liveEntryRemoved(article, entry.id);
+
+  res.json({
+    success: true,
+    message: 'Live entry deleted successfully'
+  });
+});
+
+// Notify the editors of an article that its lock changed
+const emitLockChange = (req, articleId, lock, extra = {}) => {
+  if (req.app.get('io')) {
+    req.app.get('io').to(editingService.editorsRoom(articleId)).emit('article-lock-changed', {
+      article_id: articleId,
+      lock,
+      ...extra
+    });
+  }
+};
+
+// Get the edit lock and the editors currently on an article
+const getArticleLock = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const article = await Article.findById(parseInt(id), false);
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      lock: await editingService.getLock(article.id),
+      editors: editingService.getPresence(article.id),
+      version: article.version
+    }
+  });
+});
+
+// Acquire the edit lock (admins can take over with force=true)
+const acquireArticleLock = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { force = false } = req.body;
+
+  const article = await Article.findById(parseInt(id), false);
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  if (!(await article.canEdit(req.user.id, req.user.role, req.apiKey))) {
+    throw new AppError('Insufficient permissions to edit this article', 403);
+  }
+
+  const { lock, previous } = await editingService.acquireLock(article.id, req.user, force === true || force === 'true', req.apiKey);
+
+  emitLockChange(req, article.id, lock, previous ? { taken_over_from: previous } : {});
+
+  res.json({
+    success: true,
+    message: previous ? 'Edit lock taken over' : 'Edit lock acquired',
+    data: {
+      lock,
+      version: article.version
+    }
+  });
+});
+
+// Keep the edit lock alive
+const renewArticleLock = asyncHandler(async (req, res) => {
+  const lock = await editingService.heartbeat(parseInt(req.params.id), req.user);
+
+  res.json({
+    success: true,
+    data: {
+      lock
+    }
+  });
+});
+
+// Release the edit lock
+const releaseArticleLock = asyncHandler(async (req, res) => {
+  const articleId = parseInt(req.params.id);
+
+  const released = await editingService.releaseLock(articleId, req.user, req.apiKey);
+  if (released) {
+    emitLockChange(req, articleId, null);
+  }
+
+  res.json({
+    success: true,
+    message: released ? 'Edit lock released' : 'Article was not locked'
+  });
+});
+
+// Load an article and one of its revisions for the revision routes
+const loadArticleRevision = async (req) => {
+  const { id, revId } = req.params;
+
+  const article = await Article.findById(parseInt(id));
+  if (!article) {
+    throw new AppError('Article not found', 404);
+  }
+
+  // Only those who can edit the article see its history
+  if (!(await article.canEdit(req.user.id, req.user.role, req.apiKey))) {
+    throw new AppError('You can only view revisions of articles you can edit', 403);
+  }
+
+  const revision = revId ? await ArticleRevision.findById(parseInt(revId)) : null;
+  if (revId && (!revision || revision.article_id !== article.id)) {
+    throw new AppError('Revision not found', 404);
+  }
+
+  return { article, revision };
+};
+
+// Get article revision history
+const getArticleRevisions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const { article } = await loadArticleRevision(req);
+
+  const result = await ArticleRevision.findByArticle(article.id, parseInt(page), parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      revisions: result.revisions.map(revision => revision.toSummaryObject()),
+      pagination: result.pagination
+    }
+  });
+});
+
+// Compare a revision with the current article
+const getRevisionDiff = asyncHandler(async (req, res) => {
+  const { article, revision } = await loadArticleRevision(req);
+
+  res.json({
+    success: true,
+    data: {
+      revision: revision.toSummaryObject(),
+      changes: articleService.diffRevision(revision, article)
+    }
+  });
+});
+
+// Restore an article to a previous revision
+const restoreRevision = asyncHandler(async (req, res) => {
+  const { article, revision } = await loadArticleRevision(req);
+
+  if (!(await article.canEdit(req.user.id, req.user.role, req.apiKey))) {
+    throw new AppError('Insufficient permissions to edit this article', 403);
+  }
+
+  // Same rules as a regular save: respect the edit lock and the version the
+  // client restored from
+  await editingService.assertCanSave(article.id, req.user);
+
+  // The current state is stored as a new revision, so a restore can be undone
+  try {
+    await article.update(revision.toRestoreUpdates(), req.user.id, {
+      revisionAction: 'restore',
+      expectedVersion: req.body.version ?? null
+    });
+  } catch (error) {
+    if (error.code !== 'EDIT_CONFLICT') {
+      throw error;
+    }
+    return sendEditConflict(res, error);
+  }
+
+  logger.info('Article revision restored', {
+    articleId: article.id,
+    revisionId: revision.id,
+    userId: req.user.id
+  });
+
+  if (req.app.get('io')) {
+    req.app.get('io').to(`article-${article.id}`).emit('article-updated', {
+      article: article.toSummaryObject()
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Article restored to revision ${revision.revision_number}`,
+    data: {
+      article: article.toPublicObject()
+    }
+  });
+});
+
 module.exports = {
   getArticles,
   getArticlesAdmin,
@@ -575,7 +1071,22 @@ module.exports = {
   getArticlesByCategory,
   getPendingArticles,
   getScheduledArticles,
+  retryScheduledArticle,
   likeArticle,
   getArticleAnalytics,
-  getArticleComments
+  getArticleComments,
+  transitionArticle,
+  assignReviewer,
+  getArticleReviews,
+  addReviewNote,
+  getLiveEntries,
+  createLiveEntry,
+  deleteLiveEntry,
+  getArticleLock,
+  acquireArticleLock,
+  renewArticleLock,
+  releaseArticleLock,
+  getArticleRevisions,
+  getRevisionDiff,
+  restoreRevision
 };
\ No newline at end of file
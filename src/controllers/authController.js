@@ -3,60 +3,117 @@ const User = require('../models/User');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const emailService = require('../services/emailService');
 const authService = require('../services/authService');
+const totpService = require('../services/totpService');
+const oidcService = require('../services/oidcService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const privacyService = require('../services/privacyService');
+const impersonationService = require('../services/impersonationService');
+const UserIdentity = require('../models/UserIdentity');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
 const redis = require('../config/redis');
 const logger = require('../../scripts/baksrc/utils/logger');
 const crypto = require('crypto');
 
-// Step 1: Initial login (username/password verification)
-const login = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
+// Send the second login step: an authenticator app challenge or an email code.
+// A required password change comes first, whichever way the user signed in.
+const startSecondFactor = async (req, res, user) => {
+  const changeReason = passwordPolicyService.changeRequiredReason(user);
+  if (changeReason) {
+    return await startPasswordChange(req, res, user, changeReason);
+  }
 
-  try {
-    // Validate credentials using auth service
-    const user = await authService.validateLoginAttempt(email, password, req.ip);
+  const otpToken = crypto.randomBytes(32).toString('hex');
 
-    // Generate OTP and store temporarily
-    const otp = authService.generateOTP();
-    const otpToken = crypto.randomBytes(32).toString('hex');
-    
-    // Store OTP data in Redis (expires in 10 minutes)
-    await redis.set(`otp:${otpToken}`, JSON.stringify({
-      userId: user.id,
-      email: user.email,
-      otp: otp,
-      attempts: 0,
-      maxAttempts: 3,
-      createdAt: new Date().toISOString()
-    }), 600); // 10 minutes
+  // Authenticator app users confirm with a code from the app, no email needed
+  if (user.two_factor_method === 'totp' && user.totp_enabled_at) {
+    await authService.storeOTPSession(user.id, user.email, null, otpToken, 'totp');
 
-    // Send OTP via email
-    try {
-      await emailService.sendOTPEmail(user.email, otp, user.first_name || user.username);
-      
-      logger.info('OTP sent for login', {
-        userId: user.id,
-        email: user.email,
-        ip: req.ip
-      });
-    } catch (error) {
-      logger.error('Failed to send OTP email:', error);
-      // Don't crash, just inform user
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to send verification code. Please try again or contact support.',
-        code: 'EMAIL_SEND_FAILED'
-      });
-    }
+    logger.info('TOTP challenge issued for login', {
+      userId: user.id,
+      ip: req.ip
+    });
 
-    res.json({
+    return res.json({
       success: true,
-      message: 'Verification code sent to your email. Please check your inbox.',
+      message: 'Enter the code from your authenticator app.',
       data: {
         otpToken,
-        email: user.email.replace(/(.{2})(.*)(@.*)/, '$1***$3'), // Masked email
+        method: 'totp',
         expiresIn: 600 // 10 minutes
       }
     });
+  }
+
+  // Generate OTP and store temporarily (expires in 10 minutes)
+  const otp = authService.generateOTP();
+  await authService.storeOTPSession(user.id, user.email, otp, otpToken);
+
+  // Send OTP via email
+  try {
+    await emailService.sendOTPEmail(user.email, otp, user.first_name || user.username);
+    
+    logger.info('OTP sent for login', {
+      userId: user.id,
+      email: user.email,
+      ip: req.ip
+    });
+  } catch (error) {
+    logger.error('Failed to send OTP email:', error);
+    // Don't crash, just inform user
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to send verification code. Please try again or contact support.',
+      code: 'EMAIL_SEND_FAILED'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Verification code sent to your email. Please check your inbox.',
+    data: {
+      otpToken,
+      method: 'email',
+      email: user.email.replace(/(.{2})(.*)(@.*)/, '$1***$3'), // Masked email
+      expiresIn: 600 // 10 minutes
+    }
+  });
+};
+
+// Ask for a new password before the second factor (or before tokens are
+// issued), when the current one expired or an admin required a change
+const startPasswordChange = async (req, res, user, reason) => {
+  const changeToken = await passwordPolicyService.createChangeToken(user.id);
+
+  logger.info('Password change required at login', {
+    userId: user.id,
+    reason,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: reason === 'expired'
+      ? 'Your password has expired. Please choose a new one.'
+      : 'You must choose a new password before signing in.',
+    data: {
+      passwordChangeRequired: true,
+      reason,
+      changeToken,
+      expiresIn: passwordPolicyService.changeTokenTTL
+    }
+  });
+};
+
+// Step 1: Initial login (username/password verification)
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    // Validate credentials using auth service
+    const user = await authService.validateLoginAttempt(email, password, req.ip);
+
+    return await startSecondFactor(req, res, user);
   } catch (error) {
     // Log the error for debugging
     logger.warn('Login attempt failed', {
@@ -75,11 +132,164 @@ const login = asyncHandler(async (req, res) => {
   }
 });
 
-// Step 2: Verify OTP and complete login
+// Passwordless sign-in: email a single-use link
+const requestMagicLink = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const genericResponse = {
+    success: true,
+    message: 'If an account with that email can use sign-in links, a link has been sent.'
+  };
+
+  try {
+    const link = await authService.createMagicLink(email, req.ip);
+    if (!link) {
+      return res.json(genericResponse);
+    }
+
+    const loginUrl = `${emailService.siteUrl}/auth/magic-link?token=${encodeURIComponent(link.token)}`;
+    const sent = await emailService.safeEmailSend(
+      emailService.sendMagicLinkEmail.bind(emailService),
+      link.user,
+      loginUrl,
+      Math.round(authService.magicLinkTTL / 60)
+    );
+
+    logger.info('Magic link requested', {
+      userId: link.user.id,
+      sent,
+      ip: req.ip
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    if (['ACCOUNT_LOCKED', 'MAGIC_LINK_UNAVAILABLE'].includes(error.code)) {
+      return res.status(error.code === 'ACCOUNT_LOCKED' ? 401 : 503).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Magic link request error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again.',
+      code: 'MAGIC_LINK_ERROR'
+    });
+  }
+});
+
+// Sign in with a magic link token
+const verifyMagicLink = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const user = await authService.consumeMagicLink(token, req.ip);
+    if (!user) {
+      logger.warn('Invalid magic link used', { ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        error: 'This sign-in link is invalid, expired or has already been used.',
+        code: 'INVALID_MAGIC_LINK'
+      });
+    }
+
+    // The link stands in for the email code only; authenticator app users and
+    // roles that require one still confirm with the app
+    if (user.two_factor_method === 'totp' || totpService.isRequiredFor(user.role)) {
+      return await startSecondFactor(req, res, user);
+    }
+
+    logger.info('Successful login with magic link', {
+      userId: user.id,
+      ip: req.ip
+    });
+
+    return await completeLogin(req, res, user, { method: 'magic_link' });
+  } catch (error) {
+    if (error.code === 'ACCOUNT_LOCKED') {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Magic link verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Sign-in failed. Please try again.',
+      code: 'MAGIC_LINK_ERROR'
+    });
+  }
+});
+
+// Refresh token cookie settings
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production' || process.env.COOKIE_SECURE === 'true',
+  sameSite: 'strict',
+  maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+});
+
+// Refresh tokens go out as an httpOnly cookie by default; clients that can't
+// use cookies (e.g. mobile apps) can ask for them in the JSON body instead
+const deliverRefreshToken = (req, res, refreshToken) => {
+  const requested = req.body?.token_delivery || req.get('X-Token-Delivery');
+  const delivery = ['cookie', 'body'].includes(requested)
+    ? requested
+    : (process.env.REFRESH_TOKEN_DELIVERY || 'cookie');
+
+  if (delivery === 'body') {
+    return { refreshToken };
+  }
+
+  res.cookie('refreshToken', refreshToken, refreshCookieOptions());
+  return {};
+};
+
+// Issue tokens for a user who passed both login steps
+const completeLogin = async (req, res, user, extraData = {}) => {
+  // Magic links and provider logins can skip the second factor, not this
+  const changeReason = passwordPolicyService.changeRequiredReason(user);
+  if (changeReason) {
+    return await startPasswordChange(req, res, user, changeReason);
+  }
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Register the device session the tokens belong to
+  const sessionId = await authService.createSession(user.id, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  // Generate JWT tokens; the refresh token starts a new rotation family
+  const token = user.generateToken(sessionId);
+  const { token: refreshToken } = await RefreshToken.issue(user, sessionId || authService.generateSecureToken(), {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.toSafeObject(),
+      token,
+      ...deliverRefreshToken(req, res, refreshToken),
+      permissions: await authService.getUserPermissions(user.role),
+      ...extraData
+    }
+  });
+};
+
+// Step 2: Verify OTP (email code, authenticator code or recovery code) and complete login
 const verifyOTPAndLogin = asyncHandler(async (req, res) => {
-  const { otpToken, otp } = req.body;
+  const { otpToken, otp, recoveryCode } = req.body;
 
-  if (!otpToken || !otp) {
+  if (!otpToken || (!otp && !recoveryCode)) {
     return res.status(400).json({
       success: false,
       error: 'OTP token and verification code are required',
@@ -99,6 +309,7 @@ const verifyOTPAndLogin = asyncHandler(async (req, res) => {
     }
 
     const otpData = JSON.parse(otpDataString);
+    const method = otpData.method || 'email';
     
     // Check if max attempts exceeded
     if (otpData.attempts >= otpData.maxAttempts) {
@@ -110,8 +321,22 @@ const verifyOTPAndLogin = asyncHandler(async (req, res) => {
       });
     }
 
-    // Verify OTP
-    if (otpData.otp !== otp.toString()) {
+    // Verify the code for the session's method
+    let user = null;
+    let isValid = false;
+
+    if (method === 'totp') {
+      user = await User.findById(otpData.userId);
+      if (user) {
+        isValid = recoveryCode
+          ? await totpService.useRecoveryCode(user.id, recoveryCode)
+          : await totpService.verifyUserCode(user, otp);
+      }
+    } else {
+      isValid = !!otp && otpData.otp === otp.toString();
+    }
+
+    if (!isValid) {
       // Increment attempts
       otpData.attempts += 1;
       await redis.set(`otp:${otpToken}`, JSON.stringify(otpData), 600);
@@ -120,6 +345,7 @@ const verifyOTPAndLogin = asyncHandler(async (req, res) => {
       
       logger.warn('Invalid OTP attempt', {
         userId: otpData.userId,
+        method,
         attempts: otpData.attempts,
         ip: req.ip
       });
@@ -133,7 +359,7 @@ const verifyOTPAndLogin = asyncHandler(async (req, res) => {
     }
 
     // OTP is valid, get user and complete login
-    const user = await User.findById(otpData.userId);
+    user = user || await User.findById(otpData.userId);
     if (!user || !user.is_active) {
       await redis.del(`otp:${otpToken}`);
       return res.status(401).json({
@@ -143,41 +369,48 @@ const verifyOTPAndLogin = asyncHandler(async (req, res) => {
       });
     }
 
-    // Update last login
-    await user.updateLastLogin();
+    // Clean up OTP data
+    await redis.del(`otp:${otpToken}`);
 
-    // Generate JWT tokens
-    const token = user.generateToken();
-    const refreshToken = user.generateRefreshToken();
+    // Roles that require an authenticator app have to enroll before signing in
+    if (totpService.isRequiredFor(user.role) && !user.totp_enabled_at) {
+      const setupToken = await totpService.createSetupToken(user.id);
 
-    // Set refresh token cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+      logger.info('TOTP enrollment required before login', {
+        userId: user.id,
+        role: user.role,
+        ip: req.ip
+      });
 
-    // Clean up OTP data
-    await redis.del(`otp:${otpToken}`);
+      return res.json({
+        success: true,
+        message: 'Your role requires an authenticator app. Set one up to finish signing in.',
+        data: {
+          totpSetupRequired: true,
+          setupToken,
+          expiresIn: totpService.setupTokenTTL
+        }
+      });
+    }
 
     // Log successful login
     logger.info('Successful login with OTP', {
       userId: user.id,
       email: user.email,
       role: user.role,
+      method: recoveryCode ? 'recovery_code' : method,
       ip: req.ip
     });
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toSafeObject(),
-        token,
-        permissions: authService.getUserPermissions(user.role)
-      }
-    });
+    if (recoveryCode) {
+      authService.logSecurityEvent('recovery_code_used', {
+        userId: user.id,
+        ip: req.ip,
+        remaining: await totpService.countRecoveryCodes(user.id)
+      });
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
     logger.error('OTP verification error:', error);
     return res.status(500).json({
@@ -212,6 +445,15 @@ const resendOTP = asyncHandler(async (req, res) => {
     }
 
     const otpData = JSON.parse(otpDataString);
+
+    // Authenticator codes are generated by the app, there is nothing to resend
+    if (otpData.method === 'totp') {
+      return res.status(400).json({
+        success: false,
+        error: 'Use the code from your authenticator app or a recovery code.',
+        code: 'TOTP_SESSION'
+      });
+    }
     
     // Check rate limiting for resend (max 3 resends per session)
     const resendCount = otpData.resendCount || 0;
@@ -336,6 +578,29 @@ const register = asyncHandler(async (req, res) => {
 // Logout user
 const logout = asyncHandler(async (req, res) => {
   try {
+    // End the device session of the access or refresh token, if any
+    const jwt = require('jsonwebtoken');
+    const accessToken = req.header('Authorization')?.replace('Bearer ', '');
+    let decoded = null;
+
+    try {
+      if (accessToken) {
+        decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+      } else if (req.cookies?.refreshToken || req.body?.refreshToken) {
+        decoded = jwt.verify(
+          req.cookies?.refreshToken || req.body.refreshToken,
+          process.env.JWT_REFRESH_SECRET,
+          { ignoreExpiration: true }
+        );
+      }
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (decoded?.sid) {
+      await authService.revokeSession(decoded.sid, decoded.id);
+    }
+
     // Clear refresh token cookie
     res.cookie('refreshToken', '', {
       httpOnly: true,
@@ -364,9 +629,36 @@ const logout = asyncHandler(async (req, res) => {
   }
 });
 
-// Refresh token (existing code)
+// A rotated refresh token was presented again: someone else holds a copy,
+// so end the whole family and warn the user
+const handleRefreshTokenReuse = async (req, record) => {
+  await authService.revokeSession(record.family_id, record.user_id, 'reuse_detected');
+
+  authService.logSecurityEvent('refresh_token_reuse', {
+    userId: record.user_id,
+    familyId: record.family_id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  const user = await User.findById(record.user_id);
+  if (user) {
+    await emailService.safeEmailSend(
+      emailService.sendSuspiciousLoginAlert,
+      user.email,
+      user.first_name || user.username,
+      {
+        ip: req.ip,
+        timestamp: new Date().toLocaleString(),
+        reason: 'A previously used sign-in token was presented again. The affected device has been signed out.'
+      }
+    );
+  }
+};
+
+// Refresh token: rotates the refresh token on every use
 const refreshToken = asyncHandler(async (req, res) => {
-  const refreshToken = req.cookies.refreshToken;
+  const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
 
   if (!refreshToken) {
     return res.status(401).json({
@@ -388,6 +680,42 @@ const refreshToken = asyncHandler(async (req, res) => {
       });
     }
 
+    const record = await RefreshToken.findByToken(refreshToken);
+    if (!record || record.user_id !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    if (record.revoked_at) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token has been revoked. Please log in again.',
+        code: 'REFRESH_TOKEN_REVOKED'
+      });
+    }
+
+    if (decoded.sid && !(await authService.isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked. Please log in again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // Each refresh token works once; a second use means it was copied
+    if (record.rotated_at || !(await record.rotate())) {
+      await handleRefreshTokenReuse(req, record);
+
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token was already used. Please log in again.',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
     const user = await User.findById(decoded.id);
     if (!user || !user.is_active) {
       return res.status(401).json({
@@ -397,22 +725,19 @@ const refreshToken = asyncHandler(async (req, res) => {
       });
     }
 
-    // Generate new tokens
-    const newToken = user.generateToken();
-    const newRefreshToken = user.generateRefreshToken();
-
-    // Set new refresh token cookie
-    res.cookie('refreshToken', newRefreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    // Generate new tokens for the same device session and family
+    const newToken = user.generateToken(decoded.sid);
+    const { token: newRefreshToken, record: newRecord } = await RefreshToken.issue(user, record.family_id, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
     });
+    await record.setReplacedBy(newRecord.id);
 
     res.json({
       success: true,
       data: {
-        token: newToken
+        token: newToken,
+        ...deliverRefreshToken(req, res, newRefreshToken)
       }
     });
   } catch (error) {
@@ -541,8 +866,17 @@ const changePassword = asyncHandler(async (req, res) => {
       });
     }
 
+    const validation = await authService.validatePasswordStrength(newPassword, user);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password does not meet requirements: ' + validation.issues.join(', '),
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
     // Update password
-    await user.updatePassword(newPassword);
+    await passwordPolicyService.setPassword(user, newPassword);
 
     res.json({
       success: true,
@@ -657,12 +991,18 @@ const resetPassword = asyncHandler(async (req, res) => {
       });
     }
 
+    const validation = await authService.validatePasswordStrength(newPassword, user);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password does not meet requirements: ' + validation.issues.join(', '),
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
     // Update password and clear reset token
-    await user.updatePassword(newPassword);
-    await user.update({ 
-      reset_token: null, 
-      reset_token_expires: null 
-    });
+    await passwordPolicyService.setPassword(user, newPassword);
+    await user.clearResetToken();
 
     res.json({
       success: true,
@@ -678,6 +1018,60 @@ const resetPassword = asyncHandler(async (req, res) => {
   }
 });
 
+// Set a new password during login (expired, or required by an admin),
+// then continue with the second factor
+const changeRequiredPassword = asyncHandler(async (req, res) => {
+  const { changeToken, newPassword } = req.body;
+
+  try {
+    const userId = await passwordPolicyService.resolveChangeToken(changeToken);
+    const user = userId ? await User.findById(userId) : null;
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired change token. Please log in again.',
+        code: 'INVALID_CHANGE_TOKEN'
+      });
+    }
+
+    const validation = await authService.validatePasswordStrength(newPassword, user);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password does not meet requirements: ' + validation.issues.join(', '),
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
+    await passwordPolicyService.setPassword(user, newPassword);
+    await passwordPolicyService.clearChangeToken(changeToken);
+
+    logger.info('Required password change completed', {
+      userId: user.id,
+      ip: req.ip
+    });
+
+    return await startSecondFactor(req, res, user);
+  } catch (error) {
+    logger.error('Required password change error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+      code: 'CHANGE_PASSWORD_ERROR'
+    });
+  }
+});
+
+// Password rules, for showing next to password fields
+const getPasswordPolicy = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      policy: passwordPolicyService.getPolicy()
+    }
+  });
+});
+
 // Verify email (existing code)
 const verifyEmail = asyncHandler(async (req, res) => {
   const { token } = req.params;
@@ -767,7 +1161,10 @@ const checkAuth = asyncHandler(async (req, res) => {
       success: true,
       data: {
         isAuthenticated: true,
-        user: req.user
+        user: req.user,
+        impersonator: req.impersonator
+          ? { id: req.impersonator.id, username: req.impersonator.username, started_at: req.impersonator.started_at }
+          : null
       }
     });
   } catch (error) {
@@ -783,13 +1180,14 @@ const checkAuth = asyncHandler(async (req, res) => {
 // Get user permissions
 const getPermissions = asyncHandler(async (req, res) => {
   try {
-    const permissions = authService.getUserPermissions(req.user.role);
+    const effective = await authService.getEffectivePermissions(req.user.role);
 
     res.json({
       success: true,
       data: {
         role: req.user.role,
-        permissions
+        permissions: Role.groupPermissions(effective),
+        effective_permissions: effective.includes('*') ? Role.allPermissions : effective
       }
     });
   } catch (error) {
@@ -802,11 +1200,803 @@ const getPermissions = asyncHandler(async (req, res) => {
   }
 });
 
+// Two-factor status of the current user
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const totpEnabled = !!user.totp_enabled_at;
+
+    res.json({
+      success: true,
+      data: {
+        method: totpEnabled ? user.two_factor_method : 'email',
+        totp_enabled: totpEnabled,
+        totp_required: totpService.isRequiredFor(user.role),
+        recovery_codes_remaining: totpEnabled ? await totpService.countRecoveryCodes(user.id) : 0
+      }
+    });
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor status',
+      code: 'TWO_FACTOR_STATUS_ERROR'
+    });
+  }
+});
+
+// User being enrolled: the signed-in user, or the one a login setup token belongs to
+const getEnrollmentUser = async (req) => {
+  if (req.body.setupToken) {
+    const userId = await totpService.resolveSetupToken(req.body.setupToken);
+    return userId ? await User.findById(userId) : null;
+  }
+
+  return await User.findById(req.user.id);
+};
+
+// Start authenticator app enrollment (returns the secret and QR provisioning URI)
+const setupTotp = asyncHandler(async (req, res) => {
+  try {
+    const user = await getEnrollmentUser(req);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired setup token',
+        code: 'INVALID_SETUP_TOKEN'
+      });
+    }
+
+    if (user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'An authenticator app is already set up. Disable it first to enroll a new one.',
+        code: 'TOTP_ALREADY_ENABLED'
+      });
+    }
+
+    const enrollment = await totpService.startEnrollment(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from the app.',
+      data: enrollment
+    });
+  } catch (error) {
+    logger.error('TOTP setup error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to start authenticator setup',
+      code: 'TOTP_SETUP_ERROR'
+    });
+  }
+});
+
+// Confirm enrollment with a first code; returns the one-time recovery codes
+const confirmTotp = asyncHandler(async (req, res) => {
+  const { code, setupToken } = req.body;
+
+  try {
+    const user = await getEnrollmentUser(req);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired setup token',
+        code: 'INVALID_SETUP_TOKEN'
+      });
+    }
+
+    if (user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authenticator app is already set up',
+        code: 'TOTP_ALREADY_ENABLED'
+      });
+    }
+
+    const recoveryCodes = await totpService.confirmEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authenticator code',
+        code: 'INVALID_TOTP_CODE'
+      });
+    }
+
+    authService.logSecurityEvent('totp_enabled', { userId: user.id, ip: req.ip });
+
+    // Enrollment forced at login finishes the login as well
+    if (setupToken) {
+      await totpService.clearSetupToken(setupToken);
+      return await completeLogin(req, res, user, { recoveryCodes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Authenticator app enabled. Store the recovery codes somewhere safe, they are only shown once.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    logger.error('TOTP confirm error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to confirm authenticator setup',
+      code: 'TOTP_CONFIRM_ERROR'
+    });
+  }
+});
+
+// Replace recovery codes (requires a current authenticator code)
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !(await totpService.verifyUserCode(user, code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authenticator code',
+        code: 'INVALID_TOTP_CODE'
+      });
+    }
+
+    const recoveryCodes = await totpService.generateRecoveryCodes(user.id);
+    authService.logSecurityEvent('recovery_codes_regenerated', { userId: user.id, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate recovery codes',
+      code: 'RECOVERY_CODES_ERROR'
+    });
+  }
+});
+
+// Choose between email codes and the authenticator app for login
+const setTwoFactorMethod = asyncHandler(async (req, res) => {
+  const { method, code } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Set up an authenticator app first',
+        code: 'TOTP_NOT_ENABLED'
+      });
+    }
+
+    if (method === 'email' && totpService.isRequiredFor(user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your role requires an authenticator app',
+        code: 'TOTP_REQUIRED'
+      });
+    }
+
+    if (!(await totpService.verifyUserCode(user, code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authenticator code',
+        code: 'INVALID_TOTP_CODE'
+      });
+    }
+
+    await user.setTwoFactorMethod(method);
+    authService.logSecurityEvent('two_factor_method_changed', { userId: user.id, method, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Two-factor method updated',
+      data: {
+        method
+      }
+    });
+  } catch (error) {
+    logger.error('Set two-factor method error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update two-factor method',
+      code: 'TWO_FACTOR_METHOD_ERROR'
+    });
+  }
+});
+
+// Remove the authenticator app (requires an authenticator or recovery code)
+const disableTotp = asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authenticator app is not set up',
+        code: 'TOTP_NOT_ENABLED'
+      });
+    }
+
+    if (totpService.isRequiredFor(user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your role requires an authenticator app',
+        code: 'TOTP_REQUIRED'
+      });
+    }
+
+    const isValid = recoveryCode
+      ? await totpService.useRecoveryCode(user.id, recoveryCode)
+      : await totpService.verifyUserCode(user, code);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code',
+        code: 'INVALID_TOTP_CODE'
+      });
+    }
+
+    await user.disableTotp();
+    await totpService.clearRecoveryCodes(user.id);
+    authService.logSecurityEvent('totp_disabled', { userId: user.id, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Authenticator app removed. Login codes will be sent by email.'
+    });
+  } catch (error) {
+    logger.error('Disable TOTP error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove authenticator app',
+      code: 'TOTP_DISABLE_ERROR'
+    });
+  }
+});
+
+// Reset another user's authenticator app, e.g. after a lost device (admin)
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!(await authService.canManageUser(req, user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not allowed to manage accounts with more privileges than your own'
+      });
+    }
+
+    await user.disableTotp();
+    await totpService.clearRecoveryCodes(user.id);
+    authService.logSecurityEvent('totp_reset_by_admin', {
+      userId: user.id,
+      adminId: req.user.id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: totpService.isRequiredFor(user.role)
+        ? 'Authenticator app reset. The user will be asked to set up a new one at next login.'
+        : 'Authenticator app reset. The user will receive login codes by email.'
+    });
+  } catch (error) {
+    logger.error('Reset two-factor error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reset two-factor authentication',
+      code: 'TWO_FACTOR_RESET_ERROR'
+    });
+  }
+});
+
+// List the current user's signed-in devices
+const getSessions = asyncHandler(async (req, res) => {
+  try {
+    const sessions = await authService.getUserSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get sessions',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+// Sign out a single device
+const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const sessions = await authService.getUserSessions(req.user.id);
+    if (!sessions.some(session => session.id === id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await authService.revokeSession(id, req.user.id);
+    authService.logSecurityEvent('session_revoked', { userId: req.user.id, sessionId: id, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      code: 'REVOKE_SESSION_ERROR'
+    });
+  }
+});
+
+// Log out everywhere (optionally keeping the current device signed in)
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.body?.keep_current === true || req.body?.keep_current === 'true';
+
+  try {
+    const revoked = await authService.revokeAllSessions(
+      req.user.id,
+      keepCurrent ? req.sessionId : null
+    );
+
+    authService.logSecurityEvent('sessions_revoked', {
+      userId: req.user.id,
+      revoked,
+      keepCurrent,
+      ip: req.ip
+    });
+
+    if (!keepCurrent) {
+      res.cookie('refreshToken', '', {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        expires: new Date(0)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Signed out of all other devices' : 'Signed out everywhere',
+      data: {
+        revoked
+      }
+    });
+  } catch (error) {
+    logger.error('Revoke all sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+      code: 'REVOKE_SESSIONS_ERROR'
+    });
+  }
+});
+
+// Respond with an operational error from the OIDC flow
+const sendOidcError = (res, error, fallback, code) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    code
+  });
+};
+
+// Login providers (OpenID Connect) that are configured
+const getOidcProviders = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: oidcService.listProviders()
+    }
+  });
+});
+
+// Start a provider login; the client sends the browser to authorizationUrl
+const startOidcLogin = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  const { redirect } = req.query;
+
+  try {
+    const request = await oidcService.createAuthorizationRequest(provider, {
+      // Only paths on our own site, never another origin. Browsers read a
+      // backslash as a slash and drop control characters, so "/\evil.com"
+      // and "/\t/evil.com" would leave the site too
+      redirect: typeof redirect === 'string' && /^\/(?![/\\])[^\\\u0000-\u001f]*$/.test(redirect) ? redirect : null
+    });
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    return sendOidcError(res, error, 'Failed to start provider login', 'OIDC_START_ERROR');
+  }
+});
+
+// Finish a provider login with the code and state the provider redirected back with
+const completeOidcLogin = asyncHandler(async (req, res) => {
+  const { provider: providerName } = req.params;
+  const { code, state, error: providerError } = req.body;
+
+  if (providerError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Sign-in was cancelled or denied at the login provider',
+      code: 'OIDC_DENIED'
+    });
+  }
+
+  try {
+    const { provider, claims, mfa, redirect } = await oidcService.handleCallback(providerName, { code, state });
+    const { user, created, linked } = await oidcService.resolveUser(provider, claims);
+
+    if (user.account_locked_until && new Date(user.account_locked_until) > new Date()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account is temporarily locked. Please try again later.',
+        code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    authService.logSecurityEvent('oidc_login', {
+      userId: user.id,
+      provider: provider.name,
+      mfa,
+      created,
+      linked,
+      ip: req.ip
+    });
+
+    // A provider that asserted MFA replaces our email code. Authenticator app
+    // users and roles that require one still go through that step.
+    const needsOwnSecondFactor = user.two_factor_method === 'totp' || totpService.isRequiredFor(user.role);
+
+    if (mfa && !needsOwnSecondFactor) {
+      return await completeLogin(req, res, user, { provider: provider.name, created, linked, redirect });
+    }
+
+    return await startSecondFactor(req, res, user);
+  } catch (error) {
+    return sendOidcError(res, error, 'Provider login failed', 'OIDC_LOGIN_ERROR');
+  }
+});
+
+// Provider accounts linked to the current user
+const getIdentities = asyncHandler(async (req, res) => {
+  try {
+    const identities = await UserIdentity.findByUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        identities: identities.map(identity => identity.toPublicObject())
+      }
+    });
+  } catch (error) {
+    logger.error('Get identities error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get linked accounts',
+      code: 'IDENTITIES_ERROR'
+    });
+  }
+});
+
+// Unlink a provider account
+const unlinkIdentity = asyncHandler(async (req, res) => {
+  try {
+    const identity = await UserIdentity.findById(parseInt(req.params.id));
+    if (!identity || identity.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Linked account not found',
+        code: 'IDENTITY_NOT_FOUND'
+      });
+    }
+
+    await identity.delete();
+    authService.logSecurityEvent('oidc_identity_unlinked', {
+      userId: req.user.id,
+      provider: identity.provider,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Linked account removed'
+    });
+  } catch (error) {
+    logger.error('Unlink identity error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove linked account',
+      code: 'UNLINK_IDENTITY_ERROR'
+    });
+  }
+});
+
+// Download everything stored about the current user
+const exportAccountData = asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const bundle = await privacyService.exportData(user);
+
+    logger.info('Account data exported', {
+      userId: user.id,
+      ip: req.ip
+    });
+
+    res.setHeader('Content-Disposition', `attachment; filename="account-data-${user.id}-${Date.now()}.json"`);
+    res.setHeader('Content-Type', 'application/json');
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    logger.error('Account data export error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to export account data',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+// Email a deletion confirmation link, for accounts that sign in without a
+// password (login providers, sign-in links)
+const requestAccountDeletion = asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.deletion_scheduled_for) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account deletion is already scheduled',
+        code: 'DELETION_ALREADY_SCHEDULED'
+      });
+    }
+
+    const sent = await privacyService.requestDeletionConfirmation(
+      user,
+      token => `${emailService.siteUrl}/account/delete?token=${encodeURIComponent(token)}`
+    );
+
+    if (!sent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to send confirmation email. Please try again.',
+        code: 'EMAIL_SEND_FAILED'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Check your email for a link to confirm the deletion.'
+    });
+  } catch (error) {
+    logger.error('Account deletion confirmation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to request account deletion',
+      code: 'DELETE_ACCOUNT_ERROR'
+    });
+  }
+});
+
+// Request deletion of the current account (erased after a grace period).
+// Confirmed with the password or a token from requestAccountDeletion.
+const deleteAccount = asyncHandler(async (req, res) => {
+  const { password, confirmation_token: confirmationToken } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (confirmationToken) {
+      if (!(await privacyService.consumeDeletionToken(confirmationToken, user.id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'This confirmation link is invalid, expired or has already been used',
+          code: 'INVALID_CONFIRMATION_TOKEN'
+        });
+      }
+    } else if (!(await user.verifyPassword(password))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    if (user.deletion_scheduled_for) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account deletion is already scheduled',
+        code: 'DELETION_ALREADY_SCHEDULED'
+      });
+    }
+
+    if (!(await privacyService.canSelfDelete(user))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Accounts with articles cannot be deleted here. Please contact an administrator.',
+        code: 'ACCOUNT_HAS_ARTICLES'
+      });
+    }
+
+    // Signs the user out everywhere
+    const scheduledFor = await privacyService.scheduleDeletion(user);
+
+    res.cookie('refreshToken', '', {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      expires: new Date(0)
+    });
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${privacyService.deletionGraceDays} days. Sign in again before then to cancel.`,
+      data: {
+        deletion_scheduled_for: scheduledFor
+      }
+    });
+  } catch (error) {
+    logger.error('Account deletion request error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete account',
+      code: 'DELETE_ACCOUNT_ERROR'
+    });
+  }
+});
+
+// Keep the account during the grace period
+const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!user.deletion_scheduled_for) {
+      return res.status(400).json({
+        success: false,
+        error: 'No account deletion is scheduled',
+        code: 'NO_DELETION_SCHEDULED'
+      });
+    }
+
+    await privacyService.cancelDeletion(user);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    logger.error('Cancel account deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel account deletion',
+      code: 'CANCEL_DELETION_ERROR'
+    });
+  }
+});
+
+// End the impersonation the request was made with
+const stopImpersonation = asyncHandler(async (req, res) => {
+  if (!req.impersonator) {
+    return res.status(400).json({
+      success: false,
+      error: 'You are not impersonating anyone',
+      code: 'NOT_IMPERSONATING'
+    });
+  }
+
+  try {
+    await impersonationService.stop(req);
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    logger.error('Stop impersonation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to end impersonation',
+      code: 'STOP_IMPERSONATION_ERROR'
+    });
+  }
+});
+
 module.exports = {
   register,
   login,
   verifyOTPAndLogin,
   resendOTP,
+  requestMagicLink,
+  verifyMagicLink,
   logout,
   refreshToken,
   getProfile,
@@ -815,8 +2005,30 @@ module.exports = {
   uploadProfileImage,
   forgotPassword,
   resetPassword,
+  changeRequiredPassword,
+  getPasswordPolicy,
   verifyEmail,
   resendVerification,
   checkAuth,
-  getPermissions
+  getPermissions,
+  getTwoFactorStatus,
+  setupTotp,
+  confirmTotp,
+  regenerateRecoveryCodes,
+  setTwoFactorMethod,
+  disableTotp,
+  resetUserTwoFactor,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getOidcProviders,
+  startOidcLogin,
+  completeOidcLogin,
+  getIdentities,
+  unlinkIdentity,
+  exportAccountData,
+  requestAccountDeletion,
+  deleteAccount,
+  cancelAccountDeletion,
+  stopImpersonation
 };
\ No newline at end of file
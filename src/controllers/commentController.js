@@ -1,17 +1,32 @@
 // src/controllers/commentController.js
 const Comment = require('../models/Comment');
 const Article = require('../models/Article');
+const authService = require('../services/authService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const emailService = require('../services/emailService');
+const liveService = require('../services/liveService');
+const commentNotificationService = require('../services/commentNotificationService');
+const CommentSubscription = require('../models/CommentSubscription');
 const logger = require('../utils/logger');
 
-// Get comments for an article
+// Voter identity of the current request (user or guest IP + User-Agent)
+const getVoterKey = (req) => Comment.voterKey(req.user?.id, req.ip, req.get('User-Agent'));
+
+// Thread options shared by the threaded views
+const getThreadOptions = (query) => ({
+  sort: query.sort || 'newest',
+  depth: Math.min(parseInt(query.depth ?? 3), Comment.maxThreadDepth),
+  repliesLimit: parseInt(query.replies_limit || 3)
+});
+
+// Get comments for an article (?view=tree for nested threads)
 const getComments = asyncHandler(async (req, res) => {
   const { articleId } = req.params;
   const {
     page = 1,
     limit = 10,
     status = 'approved',
+    view = 'flat',
     sortBy = 'created_at',
     sortOrder = 'DESC'
   } = req.query;
@@ -21,9 +36,28 @@ const getComments = asyncHandler(async (req, res) => {
     throw new AppError('Article not found', 404);
   }
 
-  // Only show approved comments to public, all comments to editors/admins
-  const commentStatus = ['admin', 'editor'].includes(req.user?.role) ? 
-    (status || 'approved') : 'approved';
+  // Only show approved comments to public, all comments to moderators
+  const canModerate = await authService.can(req, 'comments:approve');
+  const commentStatus = canModerate ? (status || 'approved') : 'approved';
+
+  if (view === 'tree') {
+    const threads = await Comment.findThreads(parseInt(articleId), {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status: commentStatus,
+      ...getThreadOptions(req.query)
+    });
+
+    await Comment.attachVoteData(threads.comments, getVoterKey(req));
+
+    return res.json({
+      success: true,
+      data: {
+        comments: threads.comments.map(comment => comment.toPublicObject()),
+        pagination: threads.pagination
+      }
+    });
+  }
 
   const result = await Comment.findByArticle(
     parseInt(articleId),
@@ -34,6 +68,8 @@ const getComments = asyncHandler(async (req, res) => {
     sortOrder.toUpperCase()
   );
 
+  await Comment.attachVoteData(result.comments, getVoterKey(req));
+
   res.json({
     success: true,
     data: {
@@ -43,6 +79,98 @@ const getComments = asyncHandler(async (req, res) => {
   });
 });
 
+// Get more replies of a comment ("load more replies")
+const getReplies = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 10, status = 'approved' } = req.query;
+
+  const comment = await Comment.findById(parseInt(id));
+  if (!comment) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  const canModerate = await authService.can(req, 'comments:approve');
+  const commentStatus = canModerate ? (status || 'approved') : 'approved';
+
+  const result = await Comment.findReplies(comment.id, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status: commentStatus,
+    ...getThreadOptions(req.query)
+  });
+
+  await Comment.attachVoteData(result.replies, getVoterKey(req));
+
+  res.json({
+    success: true,
+    data: {
+      replies: result.replies.map(reply => reply.toPublicObject()),
+      pagination: result.pagination
+    }
+  });
+});
+
+// Load a comment that can receive votes and reactions
+const findVotableComment = async (id) => {
+  const comment = await Comment.findById(parseInt(id));
+  if (!comment) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  if (comment.status !== 'approved') {
+    throw new AppError('Only approved comments can be voted on', 400);
+  }
+
+  return comment;
+};
+
+// Upvote (1), downvote (-1) or remove the vote (0)
+const voteComment = asyncHandler(async (req, res) => {
+  const comment = await findVotableComment(req.params.id);
+
+  await comment.vote(getVoterKey(req), req.user?.id, parseInt(req.body.value));
+
+  res.json({
+    success: true,
+    data: {
+      upvotes: comment.upvotes,
+      downvotes: comment.downvotes,
+      score: comment.upvotes - comment.downvotes,
+      my_vote: comment.my_vote
+    }
+  });
+});
+
+// Add or change the reaction to a comment
+const reactToComment = asyncHandler(async (req, res) => {
+  const comment = await findVotableComment(req.params.id);
+
+  await comment.react(getVoterKey(req), req.user?.id, req.body.reaction);
+
+  res.json({
+    success: true,
+    data: {
+      reactions: comment.reactions,
+      my_reaction: comment.my_reaction
+    }
+  });
+});
+
+// Remove the reaction to a comment
+const removeReaction = asyncHandler(async (req, res) => {
+  const comment = await findVotableComment(req.params.id);
+
+  await comment.react(getVoterKey(req), req.user?.id, null);
+
+  res.json({
+    success: true,
+    data: {
+      reactions: comment.reactions,
+      my_reaction: null
+    }
+  });
+});
+
 // Get all comments (admin/editor)
 const getCommentsAdmin = asyncHandler(async (req, res) => {
   const {
@@ -52,6 +180,7 @@ const getCommentsAdmin = asyncHandler(async (req, res) => {
     article_id,
     user_id,
     search,
+    min_spam_score,
     sortBy = 'created_at',
     sortOrder = 'DESC'
   } = req.query;
@@ -67,6 +196,7 @@ const getCommentsAdmin = asyncHandler(async (req, res) => {
   if (article_id) options.article_id = parseInt(article_id);
   if (user_id) options.user_id = parseInt(user_id);
   if (search) options.search = search;
+  if (min_spam_score !== undefined) options.min_spam_score = parseFloat(min_spam_score);
 
   const result = await Comment.findAll(options);
 
@@ -126,7 +256,27 @@ const createComment = asyncHandler(async (req, res) => {
     commentData.author_email = author_email;
   }
 
-  const comment = await Comment.create(commentData);
+  // `website` is a honeypot field hidden from human visitors
+  const comment = await Comment.create(commentData, { honeypot: req.body.website });
+
+  if (comment.status === 'spam') {
+    logger.info('Comment classified as spam', {
+      commentId: comment.id,
+      score: comment.spam_score,
+      ip: req.ip
+    });
+
+    // Same response as a normal submission, so spammers learn nothing
+    return res.status(201).json({
+      success: true,
+      message: 'Comment submitted successfully. It will be reviewed before being published.',
+      data: {
+        comment: { ...comment.toPublicObject(), status: 'pending' }
+      }
+    });
+  }
+
+  liveService.commentApproved(comment);
 
   // Send notification to article author (async)
   if (article.author && article.author.email) {
@@ -137,21 +287,15 @@ const createComment = asyncHandler(async (req, res) => {
     }
   }
 
-  // Send notification to parent comment author if it's a reply
-  if (parent_id) {
-    try {
-      const parentComment = await Comment.findById(parseInt(parent_id));
-      if (parentComment) {
-        await emailService.sendReplyNotification(parentComment, comment, article);
-      }
-    } catch (error) {
-      logger.error('Failed to send reply notification:', error);
-    }
-  }
+  // Follow replies to the new comment and notify subscribers of the thread
+  await commentNotificationService.subscribeAuthor(comment, req.user);
+  await commentNotificationService.notifyNewComment(comment, article);
 
   res.status(201).json({
     success: true,
-    message: 'Comment submitted successfully. It will be reviewed before being published.',
+    message: comment.status === 'approved'
+      ? 'Comment published successfully.'
+      : 'Comment submitted successfully. It will be reviewed before being published.',
     data: {
       comment: comment.toPublicObject()
     }
@@ -168,8 +312,8 @@ const updateComment = asyncHandler(async (req, res) => {
     throw new AppError('Comment not found', 404);
   }
 
-  // Check permissions
-  if (req.user.role !== 'admin' && req.user.role !== 'editor') {
+  // Moderators edit any comment, everyone else only their own
+  if (!(await authService.can(req, 'comments:approve'))) {
     if (!comment.user_id || comment.user_id !== req.user.id) {
       throw new AppError('You can only update your own comments', 403);
     }
@@ -198,8 +342,8 @@ const deleteComment = asyncHandler(async (req, res) => {
     throw new AppError('Comment not found', 404);
   }
 
-  // Check permissions
-  if (req.user.role !== 'admin' && req.user.role !== 'editor') {
+  // Moderators delete any comment, everyone else only their own
+  if (!(await authService.can(req, 'comments:delete'))) {
     if (!comment.user_id || comment.user_id !== req.user.id) {
       throw new AppError('You can only delete your own comments', 403);
     }
@@ -223,6 +367,12 @@ const approveComment = asyncHandler(async (req, res) => {
   }
 
   await comment.approve();
+  liveService.commentApproved(comment);
+
+  const article = await Article.findById(comment.article_id);
+  if (article) {
+    await commentNotificationService.notifyNewComment(comment, article);
+  }
 
   res.json({
     success: true,
@@ -268,6 +418,56 @@ const markAsSpam = asyncHandler(async (req, res) => {
   });
 });
 
+// Moderation queue (pending comments by default, riskiest first on request)
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    status = 'pending',
+    article_id,
+    user_id,
+    author_email,
+    date_from,
+    date_to,
+    min_spam_score,
+    max_spam_score,
+    sort = 'oldest'
+  } = req.query;
+
+  const sortModes = {
+    oldest: { sortBy: 'created_at', sortOrder: 'ASC' },
+    newest: { sortBy: 'created_at', sortOrder: 'DESC' },
+    spam_score: { sortBy: 'spam_score', sortOrder: 'DESC' }
+  };
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status,
+    ...(sortModes[sort] || sortModes.oldest)
+  };
+
+  if (article_id) options.article_id = parseInt(article_id);
+  if (user_id) options.user_id = parseInt(user_id);
+  if (author_email) options.author_email = author_email;
+  if (date_from) options.date_from = date_from;
+  if (date_to) options.date_to = date_to;
+  if (min_spam_score !== undefined) options.min_spam_score = parseFloat(min_spam_score);
+  if (max_spam_score !== undefined) options.max_spam_score = parseFloat(max_spam_score);
+
+  const result = await Comment.findAll(options);
+  const pendingCount = await Comment.getPendingCount();
+
+  res.json({
+    success: true,
+    data: {
+      comments: result.comments,
+      pagination: result.pagination,
+      pending_count: pendingCount
+    }
+  });
+});
+
 // Get pending comments count
 const getPendingCount = asyncHandler(async (req, res) => {
   const count = await Comment.getPendingCount();
@@ -282,30 +482,171 @@ const getPendingCount = asyncHandler(async (req, res) => {
 
 // Bulk actions on comments
 const bulkAction = asyncHandler(async (req, res) => {
-  const { comment_ids, action } = req.body;
+  const { comment_ids, action, reason } = req.body;
+  const maxIds = parseInt(process.env.COMMENT_BULK_LIMIT) || 100;
 
   if (!Array.isArray(comment_ids) || comment_ids.length === 0) {
     throw new AppError('Comment IDs must be a non-empty array', 400);
   }
 
+  if (comment_ids.length > maxIds) {
+    throw new AppError(`A maximum of ${maxIds} comments can be processed at once`, 400);
+  }
+
   if (!['approve', 'reject', 'spam', 'delete'].includes(action)) {
     throw new AppError('Invalid action', 400);
   }
 
-  const results = await Comment.bulkAction(comment_ids, action);
+  // Deleting is permanent, so it needs more than the moderation permission
+  if (action === 'delete' && !(await authService.can(req, 'comments:delete'))) {
+    throw new AppError('Insufficient permissions to delete comments', 403);
+  }
+
+  const ids = [...new Set(comment_ids.map(id => parseInt(id)))];
+  const results = await Comment.bulkAction(ids, action, { reason });
+
+  logger.info('Bulk comment moderation', {
+    action,
+    userId: req.user.id,
+    processed: results.processed,
+    failed: results.failed
+  });
+
+  if (action === 'approve') {
+    const articles = new Map();
+    for (const comment of results.comments) {
+      liveService.commentApproved(comment);
+
+      if (!articles.has(comment.article_id)) {
+        articles.set(comment.article_id, await Article.findById(comment.article_id));
+      }
+      const article = articles.get(comment.article_id);
+      if (article) {
+        await commentNotificationService.notifyNewComment(comment, article);
+      }
+    }
+  }
 
   res.json({
     success: true,
     message: `Bulk ${action} completed`,
     data: {
       processed: results.processed,
-      failed: results.failed
+      failed: results.failed,
+      results: results.items
+    }
+  });
+});
+
+// Subscribe to new comments on an article, or to replies below a comment.
+// Guests confirm their address by email first.
+const subscribe = asyncHandler(async (req, res) => {
+  const { article_id, comment_id, frequency = 'instant' } = req.body;
+  const email = req.user?.email || req.body.email;
+
+  if (!email) {
+    throw new AppError('Email is required to subscribe', 400);
+  }
+
+  const article = await Article.findById(parseInt(article_id));
+  if (!article || article.status !== 'published') {
+    throw new AppError('Article not found', 404);
+  }
+
+  if (comment_id) {
+    const comment = await Comment.findById(parseInt(comment_id));
+    if (!comment || comment.article_id !== article.id || comment.status !== 'approved') {
+      throw new AppError('Comment not found', 404);
+    }
+  }
+
+  const subscription = await commentNotificationService.subscribe({
+    article_id: article.id,
+    comment_id: comment_id ? parseInt(comment_id) : null,
+    user_id: req.user?.id || null,
+    email,
+    frequency
+  }, { confirmed: !!req.user });
+
+  res.status(201).json({
+    success: true,
+    message: subscription.confirmed
+      ? 'Subscribed successfully'
+      : 'Please check your email to confirm your subscription',
+    data: {
+      subscription: subscription.toPublicObject()
+    }
+  });
+});
+
+// List the current user's subscriptions
+const getSubscriptions = asyncHandler(async (req, res) => {
+  const subscriptions = await CommentSubscription.findByUser(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      subscriptions: subscriptions.map(subscription => subscription.toPublicObject())
+    }
+  });
+});
+
+// Remove one of the current user's subscriptions
+const deleteSubscription = asyncHandler(async (req, res) => {
+  const subscription = await CommentSubscription.findById(parseInt(req.params.id));
+  if (!subscription || subscription.user_id !== req.user.id) {
+    throw new AppError('Subscription not found', 404);
+  }
+
+  await subscription.delete();
+
+  res.json({
+    success: true,
+    message: 'Unsubscribed successfully'
+  });
+});
+
+// One-click unsubscribe from an email link (GET) or mail client (POST, RFC 8058)
+const unsubscribe = asyncHandler(async (req, res) => {
+  const token = req.query.token || req.body?.token;
+  const result = await commentNotificationService.unsubscribe(token);
+
+  if (!result) {
+    throw new AppError('Invalid or expired unsubscribe link', 400, 'INVALID_TOKEN');
+  }
+
+  res.json({
+    success: true,
+    message: result.scope === 'all'
+      ? 'You have been unsubscribed from all comment emails'
+      : 'You have been unsubscribed',
+    data: result
+  });
+});
+
+// Confirm a guest subscription
+const confirmSubscription = asyncHandler(async (req, res) => {
+  const subscription = await commentNotificationService.confirm(req.query.token);
+
+  if (!subscription) {
+    throw new AppError('Invalid or expired confirmation link', 400, 'INVALID_TOKEN');
+  }
+
+  res.json({
+    success: true,
+    message: 'Subscription confirmed',
+    data: {
+      subscription: subscription.toPublicObject()
     }
   });
 });
 
 module.exports = {
   getComments,
+  getReplies,
+  voteComment,
+  reactToComment,
+  removeReaction,
   getCommentsAdmin,
   createComment,
   updateComment,
@@ -313,6 +654,12 @@ module.exports = {
   approveComment,
   rejectComment,
   markAsSpam,
+  getModerationQueue,
   getPendingCount,
-  bulkAction
+  bulkAction,
+  subscribe,
+  getSubscriptions,
+  deleteSubscription,
+  unsubscribe,
+  confirmSubscription
 };
\ No newline at end of file
@@ -0,0 +1,160 @@
+// src/controllers/invitationController.js
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const invitationService = require('../services/invitationService');
+const authService = require('../services/authService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Get invitations (pending by default)
+const getInvitations = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+  const result = await Invitation.findAll({
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status
+  });
+
+  res.json({
+    success: true,
+    data: {
+      invitations: result.invitations.map(invitation => invitation.toPublicObject()),
+      pagination: result.pagination
+    }
+  });
+});
+
+// Get single invitation
+const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(parseInt(req.params.id));
+  if (!invitation) {
+    throw new AppError('Invitation not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      invitation: invitation.toPublicObject()
+    }
+  });
+});
+
+// Invite a staff member
+const createInvitation = asyncHandler(async (req, res) => {
+  const { email, role, category_ids = [] } = req.body;
+
+  if (role !== 'user' && !(await authService.can(req, 'users:manage_roles'))) {
+    throw new AppError('You are not allowed to assign roles', 403);
+  }
+
+  const inviter = await User.findById(req.user.id);
+  const { invitation, sent } = await invitationService.invite({ email, role, category_ids }, inviter);
+
+  logger.info('Invitation created', {
+    invitationId: invitation.id,
+    role: invitation.role,
+    invitedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: sent
+      ? 'Invitation sent'
+      : 'Invitation created, but the email could not be sent. Try resending it.',
+    data: {
+      invitation: invitation.toPublicObject(),
+      email_sent: sent
+    }
+  });
+});
+
+// Send the invitation again with a new link and expiry
+const resendInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(parseInt(req.params.id));
+  if (!invitation) {
+    throw new AppError('Invitation not found', 404);
+  }
+
+  const inviter = await User.findById(req.user.id);
+  const sent = await invitationService.resend(invitation, inviter);
+
+  logger.info('Invitation resent', { invitationId: invitation.id, resentBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: sent ? 'Invitation resent' : 'The invitation email could not be sent',
+    data: {
+      invitation: invitation.toPublicObject(),
+      email_sent: sent
+    }
+  });
+});
+
+// Revoke an invitation; its link stops working
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(parseInt(req.params.id));
+  if (!invitation) {
+    throw new AppError('Invitation not found', 404);
+  }
+
+  if (invitation.accepted_at) {
+    throw new AppError('Accepted invitations cannot be revoked', 400);
+  }
+
+  await invitation.revoke();
+
+  logger.info('Invitation revoked', { invitationId: invitation.id, revokedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked successfully',
+    data: {
+      invitation: invitation.toPublicObject()
+    }
+  });
+});
+
+// Invitation details for the accept form (public, by link token)
+const lookupInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.resolveToken(req.body.token);
+  if (!invitation) {
+    throw new AppError('This invitation is invalid, expired or has already been used', 400, 'INVALID_INVITATION');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        expires_at: invitation.expires_at
+      }
+    }
+  });
+});
+
+// Accept an invitation: create the account with the invitee's own password
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token, username, password, first_name, last_name } = req.body;
+
+  const { user } = await invitationService.accept(token, { username, password, first_name, last_name });
+
+  res.status(201).json({
+    success: true,
+    message: 'Your account has been created. You can now log in.',
+    data: {
+      user: user.toSafeObject()
+    }
+  });
+});
+
+module.exports = {
+  getInvitations,
+  getInvitation,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  lookupInvitation,
+  acceptInvitation
+};
@@ -1,8 +1,19 @@
 // src/controllers/mediaController.js
 const mediaService = require('../services/mediaService');
+const imageRenderService = require('../services/imageRenderService');
+const authService = require('../services/authService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
+// Without media:read (or media:manage) a user only works with their own
+// uploads (media:read_own); returns the id to restrict to, or null
+const ownMediaOnly = async (req) => {
+  if (await authService.can(req, 'media:read') || await authService.can(req, 'media:manage')) {
+    return null;
+  }
+  return req.user.id;
+};
+
 // Get all media
 const getMedia = asyncHandler(async (req, res) => {
   const {
@@ -66,8 +77,7 @@ const uploadMedia = asyncHandler(async (req, res) => {
     userId: req.user.id,
     alt_text,
     caption,
-    createResponsive: true,
-    uploadToCDN: true
+    createResponsive: true
   });
 
   res.status(201).json({
@@ -87,8 +97,7 @@ const bulkUploadMedia = asyncHandler(async (req, res) => {
 
   const result = await mediaService.processBulkUpload(req.files, {
     userId: req.user.id,
-    createResponsive: true,
-    uploadToCDN: true
+    createResponsive: true
   });
 
   res.status(201).json({
@@ -101,13 +110,13 @@ const bulkUploadMedia = asyncHandler(async (req, res) => {
 // Update media metadata
 const updateMedia = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { alt_text, caption } = req.body;
+  const { alt_text, caption, focal_x, focal_y, crops } = req.body;
 
-  const userId = req.user.role === 'journalist' ? req.user.id : null;
+  const userId = await ownMediaOnly(req);
 
   const media = await mediaService.updateMetadata(
     parseInt(id),
-    { alt_text, caption },
+    { alt_text, caption, focal_x, focal_y, crops },
     userId
   );
 
@@ -199,6 +208,56 @@ const generateResponsiveHtml = asyncHandler(async (req, res) => {
   });
 });
 
+// Render a signed image transform (public)
+const renderMedia = asyncHandler(async (req, res) => {
+  const rendered = await imageRenderService.render(
+    parseInt(req.params.id),
+    req.query,
+    req.get('Accept')
+  );
+
+  // The URL stays the same when the image is replaced or recropped, so caches
+  // revalidate after a short while; the ETag changes with the content
+  res.set({
+    'Content-Type': rendered.contentType,
+    'Cache-Control': `public, max-age=${imageRenderService.browserCacheTTL}`,
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'ETag': `"${rendered.key}"`,
+    'X-Render-Cache': rendered.cacheHit ? 'HIT' : 'MISS'
+  });
+
+  if (rendered.negotiated) {
+    res.vary('Accept');
+  }
+
+  res.send(rendered.buffer);
+});
+
+// Get a signed render URL for a transform
+const getRenderUrl = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { w, h, fit, fmt, q } = req.query;
+
+  const media = await mediaService.getById(parseInt(id));
+  if (!media) {
+    throw new AppError('Media not found', 404);
+  }
+
+  const ownerId = await ownMediaOnly(req);
+  if (ownerId !== null && media.uploaded_by !== ownerId) {
+    throw new AppError('You can only access your own media', 403);
+  }
+
+  const url = imageRenderService.getRenderUrl(media.id, { w, h, fit, fmt, q });
+
+  res.json({
+    success: true,
+    data: {
+      url
+    }
+  });
+});
+
 module.exports = {
   getMedia,
   getMediaById,
@@ -209,5 +268,7 @@ module.exports = {
   getMediaStats,
   cleanupUnusedMedia,
   convertToWebP,
-  generateResponsiveHtml
+  generateResponsiveHtml,
+  renderMedia,
+  getRenderUrl
 };
\ No newline at end of file
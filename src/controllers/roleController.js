@@ -0,0 +1,115 @@
+// src/controllers/roleController.js
+const Role = require('../models/Role');
+const authService = require('../services/authService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Get all roles with their permissions
+const getRoles = asyncHandler(async (req, res) => {
+  const roles = await Role.findAll();
+
+  res.json({
+    success: true,
+    data: {
+      roles: roles.map(role => role.toPublicObject())
+    }
+  });
+});
+
+// Get every permission that can be granted, grouped by resource
+const getPermissionCatalog = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Role.catalog
+    }
+  });
+});
+
+// Get single role
+const getRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(parseInt(req.params.id));
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      role: role.toPublicObject()
+    }
+  });
+});
+
+// Create new role
+const createRole = asyncHandler(async (req, res) => {
+  const { name, label, description, permissions = [] } = req.body;
+
+  const role = await Role.create({ name, label, description, permissions });
+  await authService.invalidateRolePermissions(role.name);
+
+  logger.info('Role created', { roleId: role.id, name: role.name, createdBy: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: {
+      role: role.toPublicObject()
+    }
+  });
+});
+
+// Update role label, description or permissions
+const updateRole = asyncHandler(async (req, res) => {
+  const { label, description, permissions } = req.body;
+
+  const role = await Role.findById(parseInt(req.params.id));
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+
+  const updates = {};
+  if (label !== undefined) updates.label = label;
+  if (description !== undefined) updates.description = description;
+  if (permissions !== undefined) updates.permissions = permissions;
+
+  await role.update(updates);
+  await authService.invalidateRolePermissions(role.name);
+
+  logger.info('Role updated', { roleId: role.id, name: role.name, updatedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: {
+      role: role.toPublicObject()
+    }
+  });
+});
+
+// Delete role
+const deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(parseInt(req.params.id));
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+
+  await role.delete();
+  await authService.invalidateRolePermissions(role.name);
+
+  logger.info('Role deleted', { roleId: role.id, name: role.name, deletedBy: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+});
+
+module.exports = {
+  getRoles,
+  getPermissionCatalog,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -2,8 +2,18 @@
 const User = require('../models/User');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const emailService = require('../services/emailService');
+const authService = require('../services/authService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const impersonationService = require('../services/impersonationService');
 const logger = require('../utils/logger');
 
+// Accounts with privileges beyond the caller's need users:manage_roles
+const assertCanManage = async (req, user) => {
+  if (!(await authService.canManageUser(req, user))) {
+    throw new AppError('You are not allowed to manage accounts with more privileges than your own', 403);
+  }
+};
+
 // Get all users
 const getUsers = asyncHandler(async (req, res) => {
   const {
@@ -55,13 +65,14 @@ const getUser = asyncHandler(async (req, res) => {
     data: {
       user: {
         ...user.toSafeObject(),
+        category_ids: await user.getCategoryIds(),
         statistics: stats
       }
     }
   });
 });
 
-// Create new user (admin only)
+// Create new user
 const createUser = asyncHandler(async (req, res) => {
   const {
     username,
@@ -73,6 +84,10 @@ const createUser = asyncHandler(async (req, res) => {
     is_active = true
   } = req.body;
 
+  if (role !== 'user' && !(await authService.can(req, 'users:manage_roles'))) {
+    throw new AppError('You are not allowed to assign roles', 403);
+  }
+
   const userData = {
     username,
     email,
@@ -119,7 +134,15 @@ const updateUser = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
+  await assertCanManage(req, user);
+
   const oldRole = user.role;
+
+  if (role !== undefined && role !== oldRole &&
+      !(await authService.can(req, 'users:manage_roles'))) {
+    throw new AppError('You are not allowed to assign roles', 403);
+  }
+
   const updates = {};
   
   if (username !== undefined) updates.username = username;
@@ -163,6 +186,8 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
+  await assertCanManage(req, user);
+
   await user.delete();
 
   res.json({
@@ -180,6 +205,8 @@ const activateUser = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
+  await assertCanManage(req, user);
+
   await user.update({ is_active: true });
 
   res.json({
@@ -205,6 +232,8 @@ const deactivateUser = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
+  await assertCanManage(req, user);
+
   await user.update({ is_active: false });
 
   // Send deactivation notification
@@ -220,7 +249,8 @@ const deactivateUser = asyncHandler(async (req, res) => {
   });
 });
 
-// Reset user password (admin only)
+// Reset user password (admin only). The user must choose a new password on
+// their next login; `new_password` optionally sets a temporary one meanwhile
 const resetUserPassword = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { new_password } = req.body;
@@ -230,11 +260,50 @@ const resetUserPassword = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
-  await user.updatePassword(new_password);
+  await assertCanManage(req, user);
+
+  if (new_password) {
+    await passwordPolicyService.setPassword(user, new_password);
+  }
+  await user.requirePasswordChange();
+
+  // Signed-in devices have to log in again and pick a new password
+  await authService.revokeAllSessions(user.id);
+
+  logger.info('Password reset required by admin', {
+    userId: user.id,
+    adminId: req.user.id,
+    temporaryPassword: !!new_password
+  });
+
+  res.json({
+    success: true,
+    message: 'Password reset. The user must choose a new password on their next login.'
+  });
+});
+
+// Act as another user; returns a short-lived token marked with the admin's id
+const impersonateUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const user = await User.findById(parseInt(id));
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const impersonation = await impersonationService.start(req, user, reason || null);
 
   res.json({
     success: true,
-    message: 'Password reset successfully'
+    message: `You are now acting as ${user.username}. Every action is recorded.`,
+    data: {
+      token: impersonation.token,
+      impersonation_id: impersonation.impersonationId,
+      expires_at: impersonation.expiresAt,
+      expires_in: impersonation.expiresIn,
+      user: user.toPublicObject()
+    }
   });
 });
 
@@ -369,6 +438,7 @@ module.exports = {
   activateUser,
   deactivateUser,
   resetUserPassword,
+  impersonateUser,
   getUserArticles,
   getUserComments,
   bulkUserAction,
@@ -0,0 +1,55 @@
+// src/middleware/audit.js
+const auditService = require('../services/auditService');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+// Record a privileged action in the audit log once it succeeded, e.g.
+// audit('article.approve', 'article'). The target (from req.params.id, or
+// the created record in the response) is snapshotted before and after the
+// handler runs; actions without a target record the request and result.
+const audit = (action, targetType = null, options = {}) => {
+  const { idParam = 'id', responseKey = targetType } = options;
+
+  return async (req, res, next) => {
+    const paramId = parseInt(req.params[idParam]);
+    const targetId = targetType && !isNaN(paramId) ? paramId : null;
+
+    let before = null;
+    try {
+      before = await auditService.snapshot(targetType, targetId);
+    } catch (error) {
+      logger.error('Failed to snapshot audit target:', error);
+    }
+
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) {
+        return;
+      }
+
+      const id = targetId || responseBody?.data?.[responseKey]?.id || null;
+      let after = null;
+
+      try {
+        after = targetType && id
+          ? await auditService.snapshot(targetType, id)
+          : auditService.redact({ request: req.body, result: responseBody?.data ?? null });
+      } catch (error) {
+        logger.error('Failed to snapshot audit target:', error);
+      }
+
+      await auditService.record(req, { action, targetType, targetId: id, before, after });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  audit
+};
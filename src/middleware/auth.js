@@ -2,10 +2,19 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
 const redis = require('../config/redis');
+const authService = require('../services/authService');
+const impersonationService = require('../services/impersonationService');
+const ApiKey = require('../models/ApiKey');
 const logger = require('../../scripts/baksrc/utils/logger');
 
 // Verify JWT token with enhanced security
 const verifyToken = async (req, res, next) => {
+  // Machine clients authenticate with an API key instead
+  const apiKey = req.header('X-API-Key');
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -26,6 +35,28 @@ const verifyToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Reject tokens whose device session was revoked
+    if (decoded.sid && !(await authService.isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked. Please log in again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // Impersonation tokens only work while the impersonation is running
+    let impersonator = null;
+    if (decoded.act) {
+      impersonator = await impersonationService.resolve(decoded);
+      if (!impersonator) {
+        return res.status(401).json({
+          success: false,
+          error: 'Impersonation has ended.',
+          code: 'IMPERSONATION_ENDED'
+        });
+      }
+    }
     
     // Check if user exists and is active
     const [rows] = await db.query(
@@ -68,10 +99,18 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
-    // Update last activity for session tracking
-    await updateLastActivity(user.id, req.ip, req.get('User-Agent'));
-
     req.user = user;
+    req.sessionId = decoded.sid || null;
+
+    if (impersonator) {
+      req.impersonator = impersonator;
+      res.set('X-Impersonated-By', String(impersonator.id));
+      impersonationService.trackRequest(req, res);
+    } else {
+      // Update last activity for session tracking
+      await updateLastActivity(user.id, req.ip, req.get('User-Agent'), decoded.sid);
+    }
+
     next();
   } catch (error) {
     logger.error('Token verification error:', error);
@@ -91,8 +130,96 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// Authenticate a request made with an API key. The key acts as its owner,
+// limited to its scopes and to its own hourly rate limit.
+const authenticateApiKey = async (key, req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findByKey(key);
+
+    if (!apiKey || !apiKey.isActive()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired API key.',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    // Path below the API prefix, e.g. "/articles/12"
+    const apiPrefix = `/api/${process.env.API_VERSION || 'v1'}`;
+    const fullPath = `${req.baseUrl}${req.path}`;
+    const path = fullPath.startsWith(apiPrefix) ? fullPath.slice(apiPrefix.length) : fullPath;
+
+    const scope = ApiKey.scopeForRequest(req.method, path);
+    if (!scope || !apiKey.hasScope(scope)) {
+      logger.warn('API key used outside its scopes', {
+        apiKeyId: apiKey.id,
+        requiredScope: scope,
+        method: req.method,
+        endpoint: path,
+        ip: req.ip
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: 'API key is not allowed to make this request.',
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScope: scope
+      });
+    }
+
+    // Fixed one-hour window per key
+    const used = await redis.incr(`api_key_rate:${apiKey.id}`, 60 * 60);
+    if (used > 0) {
+      res.set('X-RateLimit-Limit', String(apiKey.rate_limit));
+      res.set('X-RateLimit-Remaining', String(Math.max(0, apiKey.rate_limit - used)));
+    }
+
+    if (used > apiKey.rate_limit) {
+      return res.status(429).json({
+        success: false,
+        error: 'API key rate limit exceeded, please try again later.',
+        code: 'API_KEY_RATE_LIMITED',
+        retryAfter: await redis.ttl(`api_key_rate:${apiKey.id}`)
+      });
+    }
+
+    const [rows] = await db.query(
+      `SELECT id, username, email, role, is_active, email_verified,
+              last_login, failed_login_attempts, account_locked_until
+       FROM users WHERE id = ?`,
+      [apiKey.user_id]
+    );
+
+    const user = rows[0];
+    if (!user || !user.is_active ||
+        (user.account_locked_until && new Date(user.account_locked_until) > new Date())) {
+      return res.status(401).json({
+        success: false,
+        error: 'The owner of this API key is not active.',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    await apiKey.touch(req.ip);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    req.sessionId = null;
+    next();
+  } catch (error) {
+    logger.error('API key verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error.'
+    });
+  }
+};
+
+// Whether the current user (and API key, if one was used) has a permission
+const hasPermission = (req, permission) => authService.can(req, permission);
+
 // Update last activity for session tracking
-const updateLastActivity = async (userId, ip, userAgent) => {
+const updateLastActivity = async (userId, ip, userAgent, sessionId = null) => {
   try {
     // Update last activity in database
     await db.execute(
@@ -110,6 +237,11 @@ const updateLastActivity = async (userId, ip, userAgent) => {
     };
 
     await redis.set(sessionKey, JSON.stringify(activityData), 24 * 60 * 60); // 24 hours
+
+    // Device session shown in the user's session list
+    if (sessionId) {
+      await authService.touchSession(sessionId, { ip, userAgent });
+    }
   } catch (error) {
     logger.error('Error updating last activity:', error);
   }
@@ -146,8 +278,74 @@ const requireRole = (roles) => {
   };
 };
 
+// Account security settings stay with the real account owner
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not allowed while impersonating another user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+  next();
+};
+
+// Check if the user's role grants every listed permission, e.g.
+// requirePermission('articles:publish')
+const requirePermission = (...permissions) => {
+  const required = permissions.flat();
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required.'
+      });
+    }
+
+    try {
+      const missing = [];
+      for (const permission of required) {
+        if (!(await hasPermission(req, permission))) {
+          missing.push(permission);
+        }
+      }
+
+      if (missing.length > 0) {
+        logger.warn('Insufficient permissions attempt', {
+          userId: req.user.id,
+          userRole: req.user.role,
+          apiKeyId: req.apiKey?.id,
+          requiredPermissions: missing,
+          endpoint: req.path,
+          ip: req.ip
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error.'
+      });
+    }
+  };
+};
+
 // Optional authentication (for public routes with optional user info)
 const optionalAuth = async (req, res, next) => {
+  // An API key that was sent must be valid
+  const apiKey = req.header('X-API-Key');
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -164,6 +362,17 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.sid && !(await authService.isSessionActive(decoded.sid, decoded.id))) {
+      req.user = null;
+      return next();
+    }
+
+    const impersonator = decoded.act ? await impersonationService.resolve(decoded) : null;
+    if (decoded.act && !impersonator) {
+      req.user = null;
+      return next();
+    }
     
     const [rows] = await db.query(
       'SELECT id, username, email, role, is_active, email_verified FROM users WHERE id = ?',
@@ -172,7 +381,15 @@ const optionalAuth = async (req, res, next) => {
 
     if (rows.length > 0 && rows[0].is_active && rows[0].email_verified) {
       req.user = rows[0];
-      await updateLastActivity(req.user.id, req.ip, req.get('User-Agent'));
+      req.sessionId = decoded.sid || null;
+
+      if (impersonator) {
+        req.impersonator = impersonator;
+        res.set('X-Impersonated-By', String(impersonator.id));
+        impersonationService.trackRequest(req, res);
+      } else {
+        await updateLastActivity(req.user.id, req.ip, req.get('User-Agent'), decoded.sid);
+      }
     } else {
       req.user = null;
     }
@@ -216,13 +433,13 @@ const checkArticleAccess = async (req, res, next) => {
       });
     }
     
-    // Admin and editors can access all articles
-    if (req.user.role === 'admin' || req.user.role === 'editor') {
+    // Roles that may edit any article can access all articles
+    if (await hasPermission(req, 'articles:update')) {
       return next();
     }
     
     // Authors can access their own articles
-    if (req.user.role === 'journalist' && article.author_id === req.user.id) {
+    if (await hasPermission(req, 'articles:update_own') && article.author_id === req.user.id) {
       return next();
     }
     
@@ -495,6 +712,8 @@ const checkAccountStatus = async (req, res, next) => {
 module.exports = {
   verifyToken,
   requireRole,
+  requirePermission,
+  forbidImpersonation,
   optionalAuth,
   checkArticleAccess,
   loginLimiter,
@@ -178,6 +178,9 @@ const rateLimiters = {
   // Comment rate limiting
   comment: createRateLimiter(60 * 1000, 5, 'Too many comments'),
   
+  // Comment vote/reaction rate limiting
+  commentVote: createRateLimiter(60 * 1000, 30, 'Too many votes'),
+  
   // Search rate limiting
   search: createRateLimiter(60 * 1000, 20, 'Too many search requests')
 };
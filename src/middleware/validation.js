@@ -2,6 +2,8 @@
 const { body, param, query, validationResult } = require('express-validator');
 const xss = require('xss');
 const sanitizeHtml = require('sanitize-html');
+const Role = require('../models/Role');
+const passwordPolicyService = require('../services/passwordPolicyService');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -41,6 +43,23 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
+// Roles are stored in the database
+const roleExists = async (value) => {
+  if (typeof value !== 'string' || !(await Role.exists(value))) {
+    throw new Error('Invalid role specified');
+  }
+  return true;
+};
+
+// Password rules come from the configurable password policy
+const meetsPasswordPolicy = async (value) => {
+  const issues = await passwordPolicyService.check(value);
+  if (issues.length > 0) {
+    throw new Error(issues.join('. '));
+  }
+  return true;
+};
+
 // User validation rules
 const userValidation = {
   register: [
@@ -55,9 +74,7 @@ const userValidation = {
       .normalizeEmail()
       .withMessage('Please provide a valid email address'),
     body('password')
-      .isLength({ min: 8 })
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-      .withMessage('Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+      .custom(meetsPasswordPolicy),
     body('first_name')
       .trim()
       .isLength({ min: 2, max: 100 })
@@ -70,7 +87,7 @@ const userValidation = {
       .withMessage('Last name must be 2-100 characters long and contain only letters'),
     body('role')
       .optional()
-      .isIn(['admin', 'editor', 'journalist', 'user'])
+      .custom(roleExists)
       .withMessage('Invalid role specified'),
     handleValidationErrors
   ],
@@ -87,6 +104,22 @@ const userValidation = {
     handleValidationErrors
   ],
   
+  impersonate: [
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Reason must be at most 255 characters'),
+    handleValidationErrors
+  ],
+
+  resetPassword: [
+    body('new_password')
+      .optional()
+      .custom(meetsPasswordPolicy),
+    handleValidationErrors
+  ],
+
   update: [
     body('username')
       .optional()
@@ -112,6 +145,10 @@ const userValidation = {
       .isLength({ min: 2, max: 100 })
       .matches(/^[a-zA-Z\s]+$/)
       .withMessage('Last name must be 2-100 characters long and contain only letters'),
+    body('role')
+      .optional()
+      .custom(roleExists)
+      .withMessage('Invalid role specified'),
     handleValidationErrors
   ]
 };
@@ -205,8 +242,118 @@ const articleValidation = {
       .withMessage('Category ID must be a positive integer'),
     body('status')
       .optional()
-      .isIn(['draft', 'ready_to_post', 'published', 'archived'])
+      .isIn(['draft', 'submitted', 'in_review', 'changes_requested', 'rejected', 'approved', 'published', 'archived'])
+      .withMessage('Invalid status'),
+    body('version')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer'),
+    body('note')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Note must be a string')
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Note must not exceed 5000 characters'),
+    handleValidationErrors
+  ],
+
+  transition: [
+    body('status')
+      .isIn(['draft', 'submitted', 'in_review', 'changes_requested', 'rejected', 'approved', 'published', 'archived'])
       .withMessage('Invalid status'),
+    body('note')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Note must be a string')
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Note must not exceed 5000 characters'),
+    handleValidationErrors
+  ],
+
+  approve: [
+    body('note')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Note must be a string')
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Note must not exceed 5000 characters'),
+    body('publish')
+      .optional()
+      .isBoolean()
+      .withMessage('publish must be a boolean'),
+    handleValidationErrors
+  ],
+
+  revision: [
+    param('revId')
+      .isInt({ min: 1 })
+      .withMessage('Revision ID must be a positive integer'),
+    handleValidationErrors
+  ],
+
+  restoreRevision: [
+    param('revId')
+      .isInt({ min: 1 })
+      .withMessage('Revision ID must be a positive integer'),
+    body('version')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer'),
+    handleValidationErrors
+  ],
+
+  reviewer: [
+    body('reviewer_id')
+      .isInt({ min: 1 })
+      .withMessage('Reviewer ID must be a positive integer'),
+    handleValidationErrors
+  ],
+
+  liveEntries: [
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('since must be an ISO 8601 date'),
+    handleValidationErrors
+  ],
+
+  liveEntry: [
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Entry must be between 1 and 5000 characters')
+      .customSanitizer(value => {
+        return sanitizeHtml(value, {
+          allowedTags: ['p', 'br', 'strong', 'em', 'u', 'ul', 'ol', 'li', 'a', 'img', 'blockquote'],
+          allowedAttributes: {
+            'a': ['href', 'title', 'target'],
+            'img': ['src', 'alt', 'title', 'width', 'height']
+          },
+          allowedSchemes: ['http', 'https', 'mailto']
+        });
+      }),
+    body('is_pinned')
+      .optional()
+      .isBoolean()
+      .withMessage('is_pinned must be a boolean'),
+    handleValidationErrors
+  ],
+
+  reviewNote: [
+    body('note')
+      .isString()
+      .withMessage('Note must be a string')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Note must be between 1 and 5000 characters'),
+    body('anchor_text')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Anchor text must not exceed 1000 characters'),
     handleValidationErrors
   ]
 };
@@ -287,8 +434,250 @@ const tagValidation = {
   ]
 };
 
+// Role validation rules
+const roleValidation = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .matches(/^[a-z][a-z0-9_]*$/)
+      .withMessage('Role name must be 2-50 characters long and contain only lowercase letters, numbers, and underscores'),
+    body('label')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Label must not exceed 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must not exceed 500 characters'),
+    body('permissions')
+      .optional()
+      .isArray()
+      .withMessage('Permissions must be an array'),
+    body('permissions.*')
+      .isString()
+      .withMessage('Permissions must be strings like "articles:publish"'),
+    handleValidationErrors
+  ],
+
+  update: [
+    body('label')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Label must not exceed 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must not exceed 500 characters'),
+    body('permissions')
+      .optional()
+      .isArray()
+      .withMessage('Permissions must be an array'),
+    body('permissions.*')
+      .isString()
+      .withMessage('Permissions must be strings like "articles:publish"'),
+    handleValidationErrors
+  ]
+};
+
+// API key validation rules
+const apiKeyValidation = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('Scopes must be a non-empty array'),
+    body('scopes.*')
+      .isString()
+      .withMessage('Scopes must be strings like "articles:read"'),
+    body('user_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('User ID must be a positive integer'),
+    body('rate_limit')
+      .optional()
+      .isInt({ min: 1, max: 100000 })
+      .withMessage('Rate limit must be between 1 and 100000 requests per hour'),
+    body('expires_at')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry must be a valid date')
+      .custom(value => new Date(value) > new Date())
+      .withMessage('Expiry must be in the future'),
+    handleValidationErrors
+  ]
+};
+
 // Comment validation rules
+// Staff invitation validation rules
+const invitationValidation = {
+  create: [
+    body('email')
+      .trim()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    body('role')
+      .custom(roleExists)
+      .withMessage('Invalid role specified'),
+    body('category_ids')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Category IDs must be an array'),
+    body('category_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('Category IDs must be positive integers'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'expired', 'accepted', 'revoked', 'all'])
+      .withMessage('Status must be pending, expired, accepted, revoked or all'),
+    handleValidationErrors
+  ],
+
+  token: [
+    body('token')
+      .isString()
+      .isLength({ min: 10, max: 200 })
+      .withMessage('Invitation token is required'),
+    handleValidationErrors
+  ],
+
+  accept: [
+    body('token')
+      .isString()
+      .isLength({ min: 10, max: 200 })
+      .withMessage('Invitation token is required'),
+    body('username')
+      .trim()
+      .isLength({ min: 3, max: 50 })
+      .matches(/^[a-zA-Z0-9_]+$/)
+      .withMessage('Username must be 3-50 characters long and contain only letters, numbers, and underscores'),
+    body('password')
+      .custom(meetsPasswordPolicy),
+    body('first_name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .matches(/^[a-zA-Z\s]+$/)
+      .withMessage('First name must be 2-100 characters long and contain only letters'),
+    body('last_name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .matches(/^[a-zA-Z\s]+$/)
+      .withMessage('Last name must be 2-100 characters long and contain only letters'),
+    handleValidationErrors
+  ]
+};
+
 const commentValidation = {
+  list: [
+    param('articleId')
+      .isInt({ min: 1 })
+      .withMessage('Article ID must be a positive integer'),
+    query('view')
+      .optional()
+      .isIn(['flat', 'tree'])
+      .withMessage('View must be flat or tree'),
+    query('sort')
+      .optional()
+      .isIn(['newest', 'oldest', 'top'])
+      .withMessage('Sort must be newest, oldest or top'),
+    query('depth')
+      .optional()
+      .isInt({ min: 0, max: 5 })
+      .withMessage('Depth must be between 0 and 5'),
+    query('replies_limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Replies limit must be between 1 and 50'),
+    handleValidationErrors
+  ],
+
+  replies: [
+    query('sort')
+      .optional()
+      .isIn(['newest', 'oldest', 'top'])
+      .withMessage('Sort must be newest, oldest or top'),
+    query('depth')
+      .optional()
+      .isInt({ min: 0, max: 5 })
+      .withMessage('Depth must be between 0 and 5'),
+    query('replies_limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Replies limit must be between 1 and 50'),
+    handleValidationErrors
+  ],
+
+  bulk: [
+    body('comment_ids')
+      .isArray({ min: 1 })
+      .withMessage('Comment IDs must be a non-empty array'),
+    body('comment_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('Comment IDs must be positive integers'),
+    body('action')
+      .isIn(['approve', 'reject', 'spam', 'delete'])
+      .withMessage('Action must be approve, reject, spam or delete'),
+    handleValidationErrors
+  ],
+
+  queue: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected', 'spam'])
+      .withMessage('Invalid status'),
+    query('article_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Article ID must be a positive integer'),
+    query('user_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('User ID must be a positive integer'),
+    query('author_email')
+      .optional()
+      .isEmail()
+      .withMessage('Author email must be a valid email address'),
+    query(['date_from', 'date_to'])
+      .optional()
+      .isISO8601()
+      .withMessage('Dates must be ISO 8601 dates'),
+    query(['min_spam_score', 'max_spam_score'])
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Spam scores must be between 0 and 1'),
+    query('sort')
+      .optional()
+      .isIn(['oldest', 'newest', 'spam_score'])
+      .withMessage('Sort must be oldest, newest or spam_score'),
+    handleValidationErrors
+  ],
+
+  vote: [
+    body('value')
+      .isIn([1, 0, -1, '1', '0', '-1'])
+      .withMessage('Vote must be 1, 0 or -1'),
+    handleValidationErrors
+  ],
+
+  reaction: [
+    body('reaction')
+      .isIn(['like', 'love', 'laugh', 'wow', 'sad', 'angry'])
+      .withMessage('Invalid reaction'),
+    handleValidationErrors
+  ],
+
   create: [
     body('content')
       .trim()
@@ -310,6 +699,36 @@ const commentValidation = {
       .isInt({ min: 1 })
       .withMessage('Parent ID must be a positive integer'),
     handleValidationErrors
+  ],
+
+  subscribe: [
+    body('article_id')
+      .isInt({ min: 1 })
+      .withMessage('Article ID must be a positive integer'),
+    body('comment_id')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Comment ID must be a positive integer'),
+    body('email')
+      .optional()
+      .trim()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    body('frequency')
+      .optional()
+      .isIn(['instant', 'daily'])
+      .withMessage('Frequency must be instant or daily'),
+    handleValidationErrors
+  ],
+
+  subscriptionToken: [
+    query('token')
+      .optional()
+      .isString()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage('Invalid token'),
+    handleValidationErrors
   ]
 };
 
@@ -347,6 +766,92 @@ const adsValidation = {
   ]
 };
 
+// Image render validation (ranges are enforced again when rendering)
+const renderTransformRules = [
+  query('w')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Width must be a positive integer'),
+  query('h')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Height must be a positive integer'),
+  query('fit')
+    .optional()
+    .isIn(['cover', 'contain', 'inside', 'fill'])
+    .withMessage('Fit must be cover, contain, inside or fill'),
+  query('fmt')
+    .optional()
+    .isIn(['auto', 'avif', 'webp', 'jpeg'])
+    .withMessage('Format must be auto, avif, webp or jpeg'),
+  query('q')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quality must be between 1 and 100')
+];
+
+const mediaValidation = {
+  update: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('ID must be a positive integer'),
+    body('alt_text')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Alt text must not exceed 255 characters'),
+    body('caption')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Caption must not exceed 1000 characters'),
+    body(['focal_x', 'focal_y'])
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 1 })
+      .toFloat()
+      .withMessage('Focal point coordinates must be between 0 and 1'),
+    body('crops')
+      .optional()
+      .isObject()
+      .withMessage('Crops must be an object keyed by crop name'),
+    body('crops.*')
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage('Each crop must be an object with x, y, width and height, or null'),
+    body(['crops.*.x', 'crops.*.y'])
+      .optional()
+      .isInt({ min: 0 })
+      .toInt()
+      .withMessage('Crop x and y must be non-negative integers'),
+    body(['crops.*.width', 'crops.*.height'])
+      .optional()
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Crop width and height must be positive integers'),
+    handleValidationErrors
+  ],
+
+  render: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('ID must be a positive integer'),
+    ...renderTransformRules,
+    query('sig')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Signature is required'),
+    handleValidationErrors
+  ],
+
+  renderUrl: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('ID must be a positive integer'),
+    ...renderTransformRules,
+    handleValidationErrors
+  ]
+};
+
 // Generic ID validation
 const idValidation = [
   param('id')
@@ -368,6 +873,31 @@ const paginationValidation = [
   handleValidationErrors
 ];
 
+// Audit log filter validation
+const auditLogValidation = [
+  query('actor_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Actor ID must be a positive integer'),
+  query('impersonated_user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Impersonated user ID must be a positive integer'),
+  query('target_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Target ID must be a positive integer'),
+  query('date_from')
+    .optional()
+    .isISO8601()
+    .withMessage('date_from must be a valid date'),
+  query('date_to')
+    .optional()
+    .isISO8601()
+    .withMessage('date_to must be a valid date'),
+  handleValidationErrors
+];
+
 // Search validation
 const searchValidation = [
   query('q')
@@ -380,13 +910,19 @@ const searchValidation = [
 module.exports = {
   handleValidationErrors,
   sanitizeInput,
+  meetsPasswordPolicy,
   userValidation,
   articleValidation,
   categoryValidation,
   tagValidation,
+  roleValidation,
+  apiKeyValidation,
+  invitationValidation,
   commentValidation,
   adsValidation,
+  mediaValidation,
   idValidation,
   paginationValidation,
+  auditLogValidation,
   searchValidation
 };
\ No newline at end of file
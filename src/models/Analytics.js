@@ -6,6 +6,7 @@ class Analytics {
   constructor(data) {
     this.id = data?.id;
     this.article_id = data?.article_id;
+    this.user_id = data?.user_id ?? null;
     this.event_type = data?.event_type;
     this.ip_address = data?.ip_address;
     this.user_agent = data?.user_agent;
@@ -23,6 +24,7 @@ class Analytics {
   static async track(eventData) {
     const {
       article_id,
+      user_id = null,
       event_type,
       ip_address,
       user_agent,
@@ -37,11 +39,11 @@ class Analytics {
 
     const [result] = await db.execute(
       `INSERT INTO analytics (
-        article_id, event_type, ip_address, user_agent, referrer,
+        article_id, user_id, event_type, ip_address, user_agent, referrer,
         country, city, device_type, browser, os, view_duration
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        article_id, event_type, ip_address, user_agent, referrer,
+        article_id, user_id, event_type, ip_address, user_agent, referrer,
         country, city, device_type, browser, os, view_duration
       ]
     );
@@ -0,0 +1,242 @@
+// src/models/ApiKey.js
+const db = require('../config/database');
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+
+// API keys for machine clients. A key acts as its owner but only within its
+// scopes, and only the SHA-256 hash of the key is stored.
+class ApiKey {
+  constructor(data) {
+    this.id = data?.id;
+    this.user_id = data?.user_id;
+    this.name = data?.name;
+    this.key_prefix = data?.key_prefix;
+    this.key_hash = data?.key_hash;
+    this.scopes = ApiKey.parseScopes(data?.scopes);
+    this.rate_limit = data?.rate_limit;
+    this.expires_at = data?.expires_at || null;
+    this.last_used_at = data?.last_used_at || null;
+    this.last_used_ip = data?.last_used_ip || null;
+    this.revoked_at = data?.revoked_at || null;
+    this.created_by = data?.created_by;
+    this.created_at = data?.created_at;
+    this.owner_username = data?.owner_username;
+  }
+
+  static get prefix() {
+    return 'nk_';
+  }
+
+  static get defaultRateLimit() {
+    return parseInt(process.env.API_KEY_RATE_LIMIT) || 1000; // requests per hour
+  }
+
+  // Scopes, the permissions they allow and the requests they may make
+  // (method and path below the API prefix). The first matching route decides
+  // which scope a request needs; anything unmatched is closed to API keys.
+  static get scopes() {
+    return {
+      'analytics:read': {
+        description: 'Read analytics',
+        permissions: ['analytics:read'],
+        routes: [
+          { methods: ['GET'], path: /^\/analytics(\/|$)/ },
+          { methods: ['GET'], path: /^\/articles\/[^/]+\/analytics$/ }
+        ]
+      },
+      'articles:read': {
+        description: 'Read articles, categories and tags',
+        permissions: ['articles:read', 'categories:read', 'tags:read'],
+        routes: [
+          { methods: ['GET'], path: /^\/(articles|categories|tags)(\/|$)/ }
+        ]
+      },
+      'articles:write': {
+        description: 'Create, update and delete articles',
+        permissions: ['articles:read', 'articles:create', 'articles:update', 'articles:delete'],
+        routes: [
+          { methods: ['POST', 'PUT', 'DELETE'], path: /^\/articles(\/|$)/ }
+        ]
+      },
+      'media:upload': {
+        description: 'Upload and list media',
+        permissions: ['media:upload', 'media:read'],
+        routes: [
+          { methods: ['POST'], path: /^\/media\/(upload|bulk-upload)$/ },
+          { methods: ['GET'], path: /^\/media(\/|$)/ }
+        ]
+      }
+    };
+  }
+
+  static parseScopes(scopes) {
+    if (!scopes) {
+      return [];
+    }
+    return typeof scopes === 'string' ? JSON.parse(scopes) : scopes;
+  }
+
+  static validateScopes(scopes) {
+    const invalid = scopes.filter(scope => !ApiKey.scopes[scope]);
+    if (scopes.length === 0 || invalid.length > 0) {
+      throw new AppError(
+        invalid.length > 0 ? `Unknown scopes: ${invalid.join(', ')}` : 'At least one scope is required',
+        400,
+        'INVALID_SCOPES'
+      );
+    }
+  }
+
+  // Scope a request needs, or null if API keys may not make it
+  static scopeForRequest(method, path) {
+    for (const [scope, { routes }] of Object.entries(ApiKey.scopes)) {
+      if (routes.some(route => route.methods.includes(method) && route.path.test(path))) {
+        return scope;
+      }
+    }
+    return null;
+  }
+
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  static generate() {
+    return `${ApiKey.prefix}${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  // Create a key; the raw key is only returned here
+  static async create(keyData) {
+    const {
+      user_id,
+      name,
+      scopes,
+      rate_limit = ApiKey.defaultRateLimit,
+      expires_at = null,
+      created_by
+    } = keyData;
+
+    const unique = [...new Set(scopes || [])];
+    ApiKey.validateScopes(unique);
+
+    const key = ApiKey.generate();
+
+    const [result] = await db.execute(
+      `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, rate_limit, expires_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user_id,
+        name,
+        key.substring(0, ApiKey.prefix.length + 8),
+        ApiKey.hash(key),
+        JSON.stringify(unique),
+        rate_limit,
+        expires_at ? new Date(expires_at) : null,
+        created_by
+      ]
+    );
+
+    return { key, apiKey: await ApiKey.findById(result.insertId) };
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      `SELECT k.*, u.username as owner_username
+       FROM api_keys k
+       LEFT JOIN users u ON k.user_id = u.id
+       WHERE k.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? new ApiKey(rows[0]) : null;
+  }
+
+  static async findByKey(key) {
+    if (!key || !key.startsWith(ApiKey.prefix)) {
+      return null;
+    }
+
+    const [rows] = await db.execute('SELECT * FROM api_keys WHERE key_hash = ?', [ApiKey.hash(key)]);
+    return rows.length > 0 ? new ApiKey(rows[0]) : null;
+  }
+
+  static async findAll(options = {}) {
+    const { user_id, include_revoked = false } = options;
+
+    let query = `SELECT k.*, u.username as owner_username
+                 FROM api_keys k
+                 LEFT JOIN users u ON k.user_id = u.id
+                 WHERE 1 = 1`;
+    const params = [];
+
+    if (user_id) {
+      query += ' AND k.user_id = ?';
+      params.push(user_id);
+    }
+
+    if (!include_revoked) {
+      query += ' AND k.revoked_at IS NULL';
+    }
+
+    query += ' ORDER BY k.created_at DESC';
+
+    const [rows] = await db.execute(query, params);
+    return rows.map(row => new ApiKey(row));
+  }
+
+  isActive() {
+    return !this.revoked_at && (!this.expires_at || new Date(this.expires_at) > new Date());
+  }
+
+  hasScope(scope) {
+    return this.scopes.includes(scope);
+  }
+
+  // Permissions granted by the key's scopes (before the owner's role applies)
+  get permissions() {
+    return this.scopes.flatMap(scope => ApiKey.scopes[scope]?.permissions || []);
+  }
+
+  // Record usage at most once a minute
+  async touch(ip) {
+    if (this.last_used_at && Date.now() - new Date(this.last_used_at).getTime() < 60 * 1000) {
+      return;
+    }
+
+    await db.execute(
+      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?',
+      [ip || null, this.id]
+    );
+    this.last_used_at = new Date();
+    this.last_used_ip = ip || null;
+  }
+
+  async revoke() {
+    await db.execute(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [this.id]
+    );
+    this.revoked_at = this.revoked_at || new Date();
+    return this;
+  }
+
+  toPublicObject() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      owner_username: this.owner_username,
+      name: this.name,
+      key_prefix: this.key_prefix,
+      scopes: this.scopes,
+      rate_limit: this.rate_limit,
+      expires_at: this.expires_at,
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip,
+      revoked_at: this.revoked_at,
+      is_active: this.isActive(),
+      created_by: this.created_by,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ApiKey;
@@ -2,6 +2,10 @@
 const db = require('../config/database');
 const slugify = require('slugify');
 const { AppError } = require('../middleware/errorHandler');
+const ArticleRevision = require('./ArticleRevision');
+const ArticleReview = require('./ArticleReview');
+const LiveEntry = require('./LiveEntry');
+const authService = require('../services/authService');
 
 class Article {
   constructor(data) {
@@ -16,6 +20,7 @@ class Article {
     this.status = data?.status || 'draft';
     this.is_featured = data?.is_featured ?? false;
     this.is_breaking = data?.is_breaking ?? false;
+    this.is_live = data?.is_live ?? false;
     this.views = data?.views || 0;
     this.likes = data?.likes || 0;
     this.meta_title = data?.meta_title;
@@ -27,6 +32,72 @@ class Article {
     this.updated_at = data?.updated_at;
     this.approved_by = data?.approved_by;
     this.approved_at = data?.approved_at;
+    this.reviewer_id = data?.reviewer_id;
+    this.version = data?.version || 1;
+  }
+
+  // Editorial workflow: allowed transitions per status and the permission
+  // needed to perform them. 'author' means the article's own author.
+  static get workflow() {
+    const REVIEW = 'articles:approve';
+    const PUBLISH = 'articles:publish';
+
+    const submitted = {
+      draft: ['author'],
+      in_review: [REVIEW],
+      approved: [REVIEW]
+    };
+
+    return {
+      draft: {
+        submitted: ['author', REVIEW],
+        published: [PUBLISH],
+        archived: [PUBLISH]
+      },
+      submitted,
+      ready_to_post: submitted, // Legacy status, handled like submitted
+      in_review: {
+        changes_requested: [REVIEW],
+        rejected: [REVIEW],
+        approved: [REVIEW]
+      },
+      changes_requested: {
+        draft: ['author', REVIEW],
+        submitted: ['author', REVIEW]
+      },
+      rejected: {
+        draft: ['author', REVIEW],
+        archived: [PUBLISH]
+      },
+      approved: {
+        published: [PUBLISH],
+        in_review: [REVIEW],
+        draft: [REVIEW]
+      },
+      published: {
+        draft: [PUBLISH],
+        archived: [PUBLISH]
+      },
+      archived: {
+        draft: [PUBLISH],
+        published: [PUBLISH]
+      }
+    };
+  }
+
+  // Transitions that must come with a reviewer note
+  static get statusesRequiringNote() {
+    return ['changes_requested', 'rejected'];
+  }
+
+  static isValidTransition(fromStatus, toStatus) {
+    return !!Article.workflow[fromStatus]?.[toStatus];
+  }
+
+  static assertTransition(fromStatus, toStatus) {
+    if (!Article.isValidTransition(fromStatus, toStatus)) {
+      throw new AppError(`Cannot change article status from ${fromStatus} to ${toStatus}`, 400, 'INVALID_TRANSITION');
+    }
   }
 
   // Generate unique slug
@@ -70,6 +141,7 @@ class Article {
       meta_keywords,
       is_featured = false,
       is_breaking = false,
+      is_live = false,
       status = 'draft',
       scheduled_at,
       tags = []
@@ -85,12 +157,12 @@ class Article {
       `INSERT INTO articles (
         title, slug, content, excerpt, author_id, category_id, featured_image,
         meta_title, meta_description, meta_keywords, is_featured, is_breaking,
-        status, published_at, scheduled_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        is_live, status, published_at, scheduled_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         title, slug, content, excerpt, authorId, category_id, featured_image,
         meta_title, meta_description, meta_keywords, is_featured, is_breaking,
-        status, published_at, scheduled_at
+        is_live, status, published_at, scheduled_at
       ]
     );
 
@@ -154,6 +226,7 @@ class Article {
       author_id = null,
       is_featured = null,
       is_breaking = null,
+      reviewer_id = null,
       search = null,
       sortBy = 'created_at',
       sortOrder = 'DESC'
@@ -164,7 +237,10 @@ class Article {
     const params = [];
 
     // Build WHERE conditions
-    if (status) {
+    if (Array.isArray(status) && status.length > 0) {
+      conditions.push(`a.status IN (${status.map(() => '?').join(', ')})`);
+      params.push(...status);
+    } else if (status) {
       conditions.push('a.status = ?');
       params.push(status);
     }
@@ -189,6 +265,11 @@ class Article {
       params.push(is_breaking);
     }
 
+    if (reviewer_id) {
+      conditions.push('a.reviewer_id = ?');
+      params.push(reviewer_id);
+    }
+
     if (search) {
       conditions.push('MATCH(a.title, a.excerpt, a.content) AGAINST(? IN NATURAL LANGUAGE MODE)');
       params.push(search);
@@ -290,17 +371,17 @@ class Article {
   }
 
   // Update article
-  async update(updates, userId = null) {
+  async update(updates, userId = null, options = {}) {
     const allowedUpdates = [
       'title', 'content', 'excerpt', 'category_id', 'featured_image',
       'meta_title', 'meta_description', 'meta_keywords', 'is_featured',
-      'is_breaking', 'status', 'scheduled_at'
+      'is_breaking', 'is_live', 'status', 'scheduled_at'
     ];
 
     const updateFields = [];
     const updateValues = [];
 
-    Object.keys(updates).forEach(key => {
+    for (const key of Object.keys(updates)) {
       if (allowedUpdates.includes(key) && updates[key] !== undefined) {
         updateFields.push(`${key} = ?`);
         updateValues.push(updates[key]);
@@ -308,7 +389,7 @@ class Article {
         // Update slug if title is changed
         if (key === 'title') {
           updateFields.push('slug = ?');
-          updateValues.push(Article.generateSlug(updates[key], this.id));
+          updateValues.push(await Article.generateSlug(updates[key], this.id));
         }
 
         // Set published_at if status changes to published
@@ -317,18 +398,53 @@ class Article {
           updateValues.push(new Date());
         }
       }
-    });
+    }
 
     if (updateFields.length === 0) {
       throw new AppError('No valid fields to update', 400);
     }
 
+    if (updates.status !== undefined && updates.status !== this.status) {
+      Article.assertTransition(this.status, updates.status);
+    }
+
+    // Optimistic concurrency: the caller edited a version that is no longer current
+    const expectedVersion = options.expectedVersion ?? null;
+    if (expectedVersion !== null && parseInt(expectedVersion) !== this.version) {
+      throw await this.buildConflictError(updates, parseInt(expectedVersion));
+    }
+
     updateValues.push(this.id);
 
-    await db.execute(
-      `UPDATE articles SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-      updateValues
-    );
+    // Version check, snapshot and update in one transaction, so a revision is
+    // only kept for an update that went through
+    const conflicted = await db.transaction(async (connection) => {
+      const [rows] = await connection.execute('SELECT * FROM articles WHERE id = ? FOR UPDATE', [this.id]);
+      if (rows.length === 0) {
+        throw new AppError('Article not found', 404);
+      }
+
+      // Another save got in between our read and write
+      const current = new Article(rows[0]);
+      if (expectedVersion !== null && current.version !== parseInt(expectedVersion)) {
+        return true;
+      }
+
+      // Keep the previous version so it can be compared or restored later
+      await ArticleRevision.create(current, userId, options.revisionAction || 'update', connection);
+
+      await connection.execute(
+        `UPDATE articles SET ${updateFields.join(', ')}, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        updateValues
+      );
+
+      return false;
+    });
+
+    if (conflicted) {
+      Object.assign(this, await Article.findById(this.id));
+      throw await this.buildConflictError(updates, parseInt(expectedVersion));
+    }
 
     // Update tags if provided
     if (updates.tags !== undefined) {
@@ -342,13 +458,135 @@ class Article {
     return this;
   }
 
-  // Approve article (for editors)
-  async approve(editorId) {
+  // Build a 409 error listing the submitted fields someone else changed since baseVersion
+  async buildConflictError(updates, baseVersion) {
+    const base = await ArticleRevision.findByVersion(this.id, baseVersion);
+    const normalize = value => (value === undefined || value === null ? null : String(value));
+
+    const conflicts = ArticleRevision.restorableFields
+      .filter(field => updates[field] !== undefined)
+      .filter(field => base
+        ? normalize(base[field]) !== normalize(this[field])
+        : normalize(updates[field]) !== normalize(this[field]))
+      .map(field => ({
+        field,
+        current: this[field] ?? null,
+        submitted: updates[field]
+      }));
+
+    const error = new AppError('Article was modified by someone else since you started editing', 409, 'EDIT_CONFLICT');
+    error.conflicts = conflicts;
+    error.currentVersion = this.version;
+    return error;
+  }
+
+  // Check whether a user (acting through apiKey, if given) may move this
+  // article to the given status
+  async canTransition(toStatus, userId, userRole, apiKey = null) {
+    const allowed = Article.workflow[this.status]?.[toStatus];
+    if (!allowed) {
+      return false;
+    }
+
+    if (allowed.includes('author') && this.author_id === userId &&
+        authService.keyGrants(apiKey, 'articles:update_own')) {
+      return true;
+    }
+
+    for (const permission of allowed.filter(entry => entry !== 'author')) {
+      if (await authService.hasPermission(userRole, permission, apiKey)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Throw unless the user may move the article to the given status with this
+  // note, so callers can check before changing anything else
+  async assertCanTransition(toStatus, user, note = null, apiKey = null) {
+    Article.assertTransition(this.status, toStatus);
+
+    if (!(await this.canTransition(toStatus, user.id, user.role, apiKey))) {
+      throw new AppError(`Insufficient permissions to move article to ${toStatus}`, 403);
+    }
+
+    if (Article.statusesRequiringNote.includes(toStatus) && !note) {
+      throw new AppError('A reviewer note is required for this action', 400, 'NOTE_REQUIRED');
+    }
+  }
+
+  // Move the article through the editorial workflow and record the step
+  async transitionTo(toStatus, user, note = null, apiKey = null) {
+    await this.assertCanTransition(toStatus, user, note, apiKey);
+
+    const fromStatus = this.status;
+
+    if (toStatus === 'published') {
+      await this.approve(user.id);
+    } else {
+      const fields = ['status = ?'];
+      const values = [toStatus];
+
+      // Whoever starts the review becomes the reviewer unless one was assigned
+      if (toStatus === 'in_review' && !this.reviewer_id) {
+        fields.push('reviewer_id = ?');
+        values.push(user.id);
+        this.reviewer_id = user.id;
+      }
+
+      if (toStatus === 'approved') {
+        fields.push('approved_by = ?', 'approved_at = CURRENT_TIMESTAMP');
+        values.push(user.id);
+        this.approved_by = user.id;
+        this.approved_at = new Date();
+      }
+
+      values.push(this.id);
+
+      await db.execute(
+        `UPDATE articles SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+
+      this.status = toStatus;
+    }
+
+    await ArticleReview.create({
+      article_id: this.id,
+      user_id: user.id,
+      from_status: fromStatus,
+      to_status: toStatus,
+      note
+    });
+
+    return this;
+  }
+
+  // Assign an editor to review the article
+  async assignReviewer(reviewerId) {
     await db.execute(
-      'UPDATE articles SET status = ?, approved_by = ?, approved_at = CURRENT_TIMESTAMP, published_at = CURRENT_TIMESTAMP WHERE id = ?',
-      ['published', editorId, this.id]
+      'UPDATE articles SET reviewer_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [reviewerId, this.id]
     );
 
+    this.reviewer_id = reviewerId;
+    return this;
+  }
+
+  // Approve article (for editors)
+  async approve(editorId) {
+    Article.assertTransition(this.status, 'published');
+
+    await db.transaction(async (connection) => {
+      await ArticleRevision.create(this, editorId, 'approve', connection);
+
+      await connection.execute(
+        'UPDATE articles SET status = ?, approved_by = ?, approved_at = CURRENT_TIMESTAMP, published_at = CURRENT_TIMESTAMP WHERE id = ?',
+        ['published', editorId, this.id]
+      );
+    });
+
     this.status = 'published';
     this.approved_by = editorId;
     this.approved_at = new Date();
@@ -414,6 +652,9 @@ class Article {
     await db.execute('DELETE FROM article_tags WHERE article_id = ?', [this.id]);
     await db.execute('DELETE FROM comments WHERE article_id = ?', [this.id]);
     await db.execute('DELETE FROM analytics WHERE article_id = ?', [this.id]);
+    await ArticleRevision.deleteByArticle(this.id);
+    await ArticleReview.deleteByArticle(this.id);
+    await LiveEntry.deleteByArticle(this.id);
     
     // Delete article
     await db.execute('DELETE FROM articles WHERE id = ?', [this.id]);
@@ -634,12 +875,13 @@ class Article {
     });
   }
 
-  // Get articles requiring approval
-  static async getPendingApproval(page = 1, limit = 10) {
+  // Get articles waiting for review (optionally only those assigned to a reviewer)
+  static async getPendingApproval(page = 1, limit = 10, reviewerId = null) {
     return await Article.findAll({
       page,
       limit,
-      status: 'ready_to_post',
+      status: ['submitted', 'ready_to_post', 'in_review'],
+      reviewer_id: reviewerId,
       sortBy: 'created_at',
       sortOrder: 'ASC'
     });
@@ -655,7 +897,7 @@ class Article {
        LEFT JOIN users u ON a.author_id = u.id
        WHERE a.scheduled_at IS NOT NULL 
          AND a.scheduled_at > NOW() 
-         AND a.status = 'draft'
+         AND a.status = 'approved'
        ORDER BY a.scheduled_at ASC
        LIMIT ? OFFSET ?`,
       [limit, offset]
@@ -666,7 +908,7 @@ class Article {
        FROM articles
        WHERE scheduled_at IS NOT NULL 
          AND scheduled_at > NOW() 
-         AND status = 'draft'`
+         AND status = 'approved'`
     );
 
     const articles = rows.map(row => {
@@ -686,19 +928,50 @@ class Article {
     };
   }
 
-  // Check if user can edit article
-  canEdit(userId, userRole) {
-    // Admin and editors can edit any article
-    if (userRole === 'admin' || userRole === 'editor') {
-      return true;
+  // Get scheduled articles whose publish time has passed. Only approved
+  // articles are published; a scheduled draft waits for review first.
+  static async getDueScheduled(limit = 50) {
+    const [rows] = await db.execute(
+      `SELECT * FROM articles
+       WHERE scheduled_at IS NOT NULL
+         AND scheduled_at <= NOW()
+         AND status = 'approved'
+       ORDER BY scheduled_at ASC
+       LIMIT ?`,
+      [limit]
+    );
+
+    return rows.map(row => new Article(row));
+  }
+
+  // Publish a scheduled article. Returns false if it was already published,
+  // unscheduled or sent back out of approved by someone else in the meantime.
+  async publishScheduled() {
+    const [result] = await db.execute(
+      `UPDATE articles
+       SET status = 'published', published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'approved' AND scheduled_at IS NOT NULL AND scheduled_at <= NOW()`,
+      [this.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
     }
 
-    // Journalists can only edit their own articles
-    if (userRole === 'journalist' && this.author_id === userId) {
+    const updatedArticle = await Article.findById(this.id);
+    Object.assign(this, updatedArticle);
+
+    return true;
+  }
+
+  // Check if user can edit article
+  async canEdit(userId, userRole, apiKey = null) {
+    if (await authService.hasPermission(userRole, 'articles:update', apiKey)) {
       return true;
     }
 
-    return false;
+    // Without articles:update, only the author's own articles
+    return this.author_id === userId && await authService.hasPermission(userRole, 'articles:update_own', apiKey);
   }
 
   // Get article analytics summary
@@ -753,6 +1026,7 @@ class Article {
       status: this.status,
       is_featured: this.is_featured,
       is_breaking: this.is_breaking,
+      is_live: this.is_live,
       views: this.views,
       likes: this.likes,
       published_at: this.published_at,
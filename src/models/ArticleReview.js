@@ -0,0 +1,99 @@
+// src/models/ArticleReview.js
+const db = require('../config/database');
+
+// Reviewer note on an article: either attached to a workflow transition or
+// an inline note anchored to a quoted passage of the content
+class ArticleReview {
+  constructor(data) {
+    this.id = data?.id;
+    this.article_id = data?.article_id;
+    this.user_id = data?.user_id;
+    this.from_status = data?.from_status;
+    this.to_status = data?.to_status;
+    this.note = data?.note;
+    this.anchor_text = data?.anchor_text;
+    this.created_at = data?.created_at;
+  }
+
+  // Create review note
+  static async create(reviewData) {
+    const {
+      article_id,
+      user_id,
+      from_status = null,
+      to_status = null,
+      note = null,
+      anchor_text = null
+    } = reviewData;
+
+    const [result] = await db.execute(
+      `INSERT INTO article_reviews (article_id, user_id, from_status, to_status, note, anchor_text)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [article_id, user_id, from_status, to_status, note, anchor_text]
+    );
+
+    return await ArticleReview.findById(result.insertId);
+  }
+
+  // Find review note by ID
+  static async findById(id) {
+    const [rows] = await db.execute(
+      `SELECT r.*, u.username, u.first_name, u.last_name
+       FROM article_reviews r
+       LEFT JOIN users u ON r.user_id = u.id
+       WHERE r.id = ?`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return ArticleReview.fromRow(rows[0]);
+  }
+
+  // Get the review history of an article (oldest first)
+  static async findByArticle(articleId) {
+    const [rows] = await db.execute(
+      `SELECT r.*, u.username, u.first_name, u.last_name
+       FROM article_reviews r
+       LEFT JOIN users u ON r.user_id = u.id
+       WHERE r.article_id = ?
+       ORDER BY r.created_at ASC, r.id ASC`,
+      [articleId]
+    );
+
+    return rows.map(row => ArticleReview.fromRow(row));
+  }
+
+  // Delete all review notes of an article
+  static async deleteByArticle(articleId) {
+    await db.execute('DELETE FROM article_reviews WHERE article_id = ?', [articleId]);
+  }
+
+  static fromRow(row) {
+    const review = new ArticleReview(row);
+    review.user = row.user_id ? {
+      id: row.user_id,
+      username: row.username,
+      first_name: row.first_name,
+      last_name: row.last_name
+    } : null;
+    return review;
+  }
+
+  toPublicObject() {
+    return {
+      id: this.id,
+      article_id: this.article_id,
+      user: this.user,
+      from_status: this.from_status,
+      to_status: this.to_status,
+      note: this.note,
+      anchor_text: this.anchor_text,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ArticleReview;
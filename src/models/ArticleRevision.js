@@ -0,0 +1,171 @@
+// src/models/ArticleRevision.js
+const db = require('../config/database');
+
+// Snapshot of an article taken right before it was changed
+class ArticleRevision {
+  constructor(data) {
+    this.id = data?.id;
+    this.article_id = data?.article_id;
+    this.revision_number = data?.revision_number;
+    this.version = data?.version;
+    this.title = data?.title;
+    this.slug = data?.slug;
+    this.excerpt = data?.excerpt;
+    this.content = data?.content;
+    this.featured_image = data?.featured_image;
+    this.category_id = data?.category_id;
+    this.meta_title = data?.meta_title;
+    this.meta_description = data?.meta_description;
+    this.meta_keywords = data?.meta_keywords;
+    this.status = data?.status;
+    this.action = data?.action;
+    this.created_by = data?.created_by;
+    this.created_at = data?.created_at;
+  }
+
+  // Fields captured in every snapshot (and restorable, except slug/status)
+  static get snapshotFields() {
+    return [
+      'title', 'slug', 'excerpt', 'content', 'featured_image', 'category_id',
+      'meta_title', 'meta_description', 'meta_keywords', 'status'
+    ];
+  }
+
+  static get restorableFields() {
+    return [
+      'title', 'excerpt', 'content', 'featured_image', 'category_id',
+      'meta_title', 'meta_description', 'meta_keywords'
+    ];
+  }
+
+  // Store the current state of an article. Pass the connection of an open
+  // transaction to write the revision together with the article update.
+  static async create(article, userId = null, action = 'update', connection = null) {
+    if (!connection) {
+      return await db.transaction(trx => ArticleRevision.create(article, userId, action, trx));
+    }
+
+    // Revision numbers count per article; locking the article row keeps two
+    // concurrent saves from picking the same number
+    await connection.execute('SELECT id FROM articles WHERE id = ? FOR UPDATE', [article.id]);
+
+    const [numberRows] = await connection.execute(
+      'SELECT COALESCE(MAX(revision_number), 0) + 1 as next_number FROM article_revisions WHERE article_id = ?',
+      [article.id]
+    );
+
+    const [result] = await connection.execute(
+      `INSERT INTO article_revisions (
+        article_id, revision_number, version, title, slug, excerpt, content, featured_image,
+        category_id, meta_title, meta_description, meta_keywords, status, action, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        article.id, numberRows[0].next_number, article.version ?? null, article.title, article.slug,
+        article.excerpt ?? null, article.content, article.featured_image ?? null,
+        article.category_id ?? null, article.meta_title ?? null,
+        article.meta_description ?? null, article.meta_keywords ?? null,
+        article.status, action, userId
+      ]
+    );
+
+    return result.insertId;
+  }
+
+  // Find revision by ID
+  static async findById(id) {
+    const [rows] = await db.execute(
+      `SELECT r.*, u.username as created_by_name
+       FROM article_revisions r
+       LEFT JOIN users u ON r.created_by = u.id
+       WHERE r.id = ?`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const revision = new ArticleRevision(rows[0]);
+    revision.created_by_name = rows[0].created_by_name;
+    return revision;
+  }
+
+  // Find the snapshot of an article as it was at a given version
+  static async findByVersion(articleId, version) {
+    const [rows] = await db.execute(
+      'SELECT * FROM article_revisions WHERE article_id = ? AND version = ? ORDER BY id ASC LIMIT 1',
+      [articleId, version]
+    );
+
+    return rows.length > 0 ? new ArticleRevision(rows[0]) : null;
+  }
+
+  // Get revisions of an article (newest first, without content)
+  static async findByArticle(articleId, page = 1, limit = 20) {
+    const offset = (page - 1) * limit;
+
+    const [rows] = await db.execute(
+      `SELECT r.id, r.article_id, r.revision_number, r.title, r.status, r.action,
+              r.created_by, r.created_at, u.username as created_by_name
+       FROM article_revisions r
+       LEFT JOIN users u ON r.created_by = u.id
+       WHERE r.article_id = ?
+       ORDER BY r.revision_number DESC
+       LIMIT ? OFFSET ?`,
+      [articleId, limit, offset]
+    );
+
+    const [countRows] = await db.execute(
+      'SELECT COUNT(*) as total FROM article_revisions WHERE article_id = ?',
+      [articleId]
+    );
+
+    const revisions = rows.map(row => {
+      const revision = new ArticleRevision(row);
+      revision.created_by_name = row.created_by_name;
+      return revision;
+    });
+
+    return {
+      revisions,
+      pagination: {
+        page,
+        limit,
+        total: countRows[0].total,
+        pages: Math.ceil(countRows[0].total / limit)
+      }
+    };
+  }
+
+  // Delete all revisions of an article
+  static async deleteByArticle(articleId) {
+    await db.execute('DELETE FROM article_revisions WHERE article_id = ?', [articleId]);
+  }
+
+  // Fields to apply to the article when restoring this revision
+  toRestoreUpdates() {
+    const updates = {};
+    ArticleRevision.restorableFields.forEach(field => {
+      updates[field] = this[field] ?? null;
+    });
+    return updates;
+  }
+
+  // Convert to summary object (for listings)
+  toSummaryObject() {
+    return {
+      id: this.id,
+      revision_number: this.revision_number,
+      title: this.title,
+      status: this.status,
+      action: this.action,
+      created_by: this.created_by ? {
+        id: this.created_by,
+        username: this.created_by_name
+      } : null,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ArticleRevision;
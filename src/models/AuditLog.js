@@ -0,0 +1,201 @@
+// src/models/AuditLog.js
+const db = require('../config/database');
+
+// Record of a privileged action: who did what to which record, with
+// snapshots of the record before and after
+class AuditLog {
+  constructor(data) {
+    this.id = data?.id;
+    this.actor_id = data?.actor_id ?? null;
+    this.actor_role = data?.actor_role ?? null;
+    this.actor_username = data?.actor_username ?? null;
+    this.api_key_id = data?.api_key_id ?? null;
+    this.impersonated_user_id = data?.impersonated_user_id ?? null;
+    this.action = data?.action;
+    this.target_type = data?.target_type ?? null;
+    this.target_id = data?.target_id ?? null;
+    this.before_data = AuditLog.parseSnapshot(data?.before_data);
+    this.after_data = AuditLog.parseSnapshot(data?.after_data);
+    this.ip_address = data?.ip_address ?? null;
+    this.user_agent = data?.user_agent ?? null;
+    this.created_at = data?.created_at;
+  }
+
+  static parseSnapshot(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  static async create(entry) {
+    const [result] = await db.execute(
+      `INSERT INTO audit_logs
+        (actor_id, actor_role, api_key_id, impersonated_user_id, action, target_type, target_id,
+         before_data, after_data, ip_address, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.actor_id ?? null,
+        entry.actor_role ?? null,
+        entry.api_key_id ?? null,
+        entry.impersonated_user_id ?? null,
+        entry.action,
+        entry.target_type ?? null,
+        entry.target_id ?? null,
+        entry.before_data ? JSON.stringify(entry.before_data) : null,
+        entry.after_data ? JSON.stringify(entry.after_data) : null,
+        entry.ip_address ?? null,
+        entry.user_agent ? entry.user_agent.substring(0, 255) : null
+      ]
+    );
+
+    return result.insertId;
+  }
+
+  static buildFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.actor_id) {
+      conditions.push('l.actor_id = ?');
+      params.push(filters.actor_id);
+    }
+
+    if (filters.impersonated_user_id) {
+      conditions.push('l.impersonated_user_id = ?');
+      params.push(filters.impersonated_user_id);
+    }
+
+    if (filters.action) {
+      // "articles.*" matches every article action
+      if (filters.action.endsWith('.*')) {
+        conditions.push('l.action LIKE ?');
+        params.push(`${filters.action.slice(0, -1)}%`);
+      } else {
+        conditions.push('l.action = ?');
+        params.push(filters.action);
+      }
+    }
+
+    if (filters.target_type) {
+      conditions.push('l.target_type = ?');
+      params.push(filters.target_type);
+    }
+
+    if (filters.target_id) {
+      conditions.push('l.target_id = ?');
+      params.push(filters.target_id);
+    }
+
+    if (filters.ip_address) {
+      conditions.push('l.ip_address = ?');
+      params.push(filters.ip_address);
+    }
+
+    if (filters.date_from) {
+      conditions.push('l.created_at >= ?');
+      params.push(new Date(filters.date_from));
+    }
+
+    if (filters.date_to) {
+      conditions.push('l.created_at <= ?');
+      params.push(new Date(filters.date_to));
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Find entries with pagination and filters, newest first
+  static async findAll(options = {}) {
+    const { page = 1, limit = 50, ...filters } = options;
+    const offset = (page - 1) * limit;
+    const { whereClause, params } = AuditLog.buildFilters(filters);
+
+    const [rows] = await db.execute(
+      `SELECT l.*, u.username as actor_username
+       FROM audit_logs l
+       LEFT JOIN users u ON l.actor_id = u.id
+       ${whereClause}
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const [countRows] = await db.execute(
+      `SELECT COUNT(*) as total FROM audit_logs l ${whereClause}`,
+      params
+    );
+
+    const total = countRows[0].total;
+
+    return {
+      entries: rows.map(row => new AuditLog(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Entries for export, newest first
+  static async findForExport(filters = {}, maxRows = 10000) {
+    const { whereClause, params } = AuditLog.buildFilters(filters);
+
+    const [rows] = await db.execute(
+      `SELECT l.*, u.username as actor_username
+       FROM audit_logs l
+       LEFT JOIN users u ON l.actor_id = u.id
+       ${whereClause}
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT ?`,
+      [...params, maxRows]
+    );
+
+    return rows.map(row => new AuditLog(row));
+  }
+
+  toPublicObject() {
+    return {
+      id: this.id,
+      actor_id: this.actor_id,
+      actor_username: this.actor_username,
+      actor_role: this.actor_role,
+      api_key_id: this.api_key_id,
+      impersonated_user_id: this.impersonated_user_id,
+      action: this.action,
+      target_type: this.target_type,
+      target_id: this.target_id,
+      before: this.before_data,
+      after: this.after_data,
+      ip_address: this.ip_address,
+      user_agent: this.user_agent,
+      created_at: this.created_at
+    };
+  }
+
+  // Flat row for CSV export
+  toExportRow() {
+    return {
+      id: this.id,
+      created_at: this.created_at instanceof Date ? this.created_at.toISOString() : this.created_at,
+      actor_id: this.actor_id,
+      actor_username: this.actor_username,
+      actor_role: this.actor_role,
+      api_key_id: this.api_key_id,
+      impersonated_user_id: this.impersonated_user_id,
+      action: this.action,
+      target_type: this.target_type,
+      target_id: this.target_id,
+      ip_address: this.ip_address,
+      before: this.before_data ? JSON.stringify(this.before_data) : '',
+      after: this.after_data ? JSON.stringify(this.after_data) : ''
+    };
+  }
+}
+
+module.exports = AuditLog;
@@ -1,6 +1,8 @@
 // src/models/Comment.js
+const crypto = require('crypto');
 const db = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
+const spamService = require('../services/spamService');
 
 class Comment {
   constructor(data) {
@@ -14,12 +16,19 @@ class Comment {
     this.status = data?.status || 'pending';
     this.ip_address = data?.ip_address;
     this.user_agent = data?.user_agent;
+    this.upvotes = data?.upvotes || 0;
+    this.downvotes = data?.downvotes || 0;
+    this.spam_score = data?.spam_score ?? null;
+    this.spam_reasons = typeof data?.spam_reasons === 'string'
+      ? JSON.parse(data.spam_reasons)
+      : data?.spam_reasons ?? null;
     this.created_at = data?.created_at;
     this.updated_at = data?.updated_at;
   }
 
-  // Create new comment
-  static async create(commentData) {
+  // Create new comment (scored by the spam classifier, which also picks the
+  // status unless one is given). context.honeypot is the hidden form field.
+  static async create(commentData, context = {}) {
     const {
       article_id,
       user_id,
@@ -27,19 +36,22 @@ class Comment {
       author_name,
       author_email,
       content,
-      status = 'pending',
+      status = null,
       ip_address,
       user_agent
     } = commentData;
 
+    const classification = await spamService.classify(commentData, context);
+
     const [result] = await db.execute(
       `INSERT INTO comments (
         article_id, user_id, parent_id, author_name, author_email,
-        content, status, ip_address, user_agent
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        content, status, ip_address, user_agent, spam_score, spam_reasons, content_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         article_id, user_id, parent_id, author_name, author_email,
-        content, status, ip_address, user_agent
+        content, status || classification.status, ip_address, user_agent,
+        classification.score, JSON.stringify(classification.reasons), classification.content_hash
       ]
     );
 
@@ -79,13 +91,18 @@ class Comment {
   static async findByArticle(articleId, page = 1, limit = 10, status = 'approved', sortBy = 'created_at', sortOrder = 'DESC') {
     const offset = (page - 1) * limit;
 
+    // "top" sorts by vote score, newest first on ties
+    const orderBy = sortBy === 'top'
+      ? '(c.upvotes - c.downvotes) DESC, c.created_at DESC'
+      : `c.${sortBy} ${sortOrder}`;
+
     // Get parent comments
     const [rows] = await db.execute(
       `SELECT c.*, u.username, u.first_name, u.last_name, u.profile_image
        FROM comments c
        LEFT JOIN users u ON c.user_id = u.id
        WHERE c.article_id = ? AND c.status = ? AND c.parent_id IS NULL
-       ORDER BY c.${sortBy} ${sortOrder}
+       ORDER BY ${orderBy}
        LIMIT ? OFFSET ?`,
       [articleId, status, limit, offset]
     );
@@ -148,6 +165,296 @@ class Comment {
     };
   }
 
+  // Sort modes for threaded comments (columns of the ranked comment query)
+  static get sortModes() {
+    return {
+      newest: 'created_at DESC, id DESC',
+      oldest: 'created_at ASC, id ASC',
+      top: '(upvotes - downvotes) DESC, reply_count DESC, created_at DESC, id DESC'
+    };
+  }
+
+  static get maxThreadDepth() {
+    return 5;
+  }
+
+  // Build a comment (with author and reply count) from a joined row
+  static fromRow(row) {
+    const comment = new Comment(row);
+    if (comment.user_id) {
+      comment.user = {
+        id: comment.user_id,
+        username: row.username,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        profile_image: row.profile_image
+      };
+    }
+    if (row.reply_count !== undefined) {
+      comment.reply_count = Number(row.reply_count);
+    }
+    return comment;
+  }
+
+  // Comments with author and number of direct replies, ranked per parent
+  static rankedQuery(whereClause, order) {
+    return `
+      SELECT t.*, ROW_NUMBER() OVER (PARTITION BY t.parent_id ORDER BY ${order}) as row_num
+      FROM (
+        SELECT c.*, u.username, u.first_name, u.last_name, u.profile_image,
+               (SELECT COUNT(*) FROM comments r WHERE r.parent_id = c.id AND r.status = ?) as reply_count
+        FROM comments c
+        LEFT JOIN users u ON c.user_id = u.id
+        ${whereClause}
+      ) t
+    `;
+  }
+
+  // Get comment threads of an article: paginated top-level comments with
+  // nested replies up to `depth` levels and `repliesLimit` replies per comment
+  static async findThreads(articleId, options = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      status = 'approved',
+      sort = 'newest',
+      depth = 3,
+      repliesLimit = 3
+    } = options;
+
+    const offset = (page - 1) * limit;
+    const order = Comment.sortModes[sort] || Comment.sortModes.newest;
+
+    const [rows] = await db.execute(
+      `SELECT * FROM (${Comment.rankedQuery('WHERE c.article_id = ? AND c.status = ? AND c.parent_id IS NULL', order)}) ranked
+       ORDER BY row_num
+       LIMIT ? OFFSET ?`,
+      [status, articleId, status, limit, offset]
+    );
+
+    const [countRows] = await db.execute(
+      'SELECT COUNT(*) as total FROM comments WHERE article_id = ? AND status = ? AND parent_id IS NULL',
+      [articleId, status]
+    );
+
+    const comments = rows.map(row => Comment.fromRow(row));
+    await Comment.loadReplies(comments, { status, sort, depth, repliesLimit }, 1);
+
+    return {
+      comments,
+      pagination: {
+        page,
+        limit,
+        total: countRows[0].total,
+        pages: Math.ceil(countRows[0].total / limit)
+      }
+    };
+  }
+
+  // Get a page of direct replies of a comment ("load more replies"),
+  // each with its own nested replies
+  static async findReplies(parentId, options = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      status = 'approved',
+      sort = 'oldest',
+      depth = 3,
+      repliesLimit = 3
+    } = options;
+
+    const offset = (page - 1) * limit;
+    const order = Comment.repliesOrder(sort);
+
+    const [rows] = await db.execute(
+      `SELECT * FROM (${Comment.rankedQuery('WHERE c.parent_id = ? AND c.status = ?', order)}) ranked
+       ORDER BY row_num
+       LIMIT ? OFFSET ?`,
+      [status, parentId, status, limit, offset]
+    );
+
+    const [countRows] = await db.execute(
+      'SELECT COUNT(*) as total FROM comments WHERE parent_id = ? AND status = ?',
+      [parentId, status]
+    );
+
+    const replies = rows.map(row => Comment.fromRow(row));
+    await Comment.loadReplies(replies, { status, sort, depth, repliesLimit }, 1);
+
+    return {
+      replies,
+      pagination: {
+        page,
+        limit,
+        total: countRows[0].total,
+        pages: Math.ceil(countRows[0].total / limit)
+      }
+    };
+  }
+
+  // Replies read in conversation order unless sorted by top
+  static repliesOrder(sort) {
+    return sort === 'top' ? Comment.sortModes.top : Comment.sortModes.oldest;
+  }
+
+  // Attach the first replies of each comment, one query per nesting level
+  static async loadReplies(comments, options, level) {
+    const { status, sort, depth, repliesLimit } = options;
+
+    comments.forEach(comment => {
+      comment.depth = level - 1;
+      comment.replies = [];
+    });
+
+    const parents = comments.filter(comment => comment.reply_count > 0);
+    if (level > depth || parents.length === 0) {
+      return;
+    }
+
+    const placeholders = parents.map(() => '?').join(', ');
+    const [rows] = await db.execute(
+      `SELECT * FROM (${Comment.rankedQuery(`WHERE c.parent_id IN (${placeholders}) AND c.status = ?`, Comment.repliesOrder(sort))}) ranked
+       WHERE row_num <= ?
+       ORDER BY parent_id, row_num`,
+      [status, ...parents.map(comment => comment.id), status, repliesLimit]
+    );
+
+    const byParent = new Map(parents.map(comment => [comment.id, comment]));
+    const replies = rows.map(row => {
+      const reply = Comment.fromRow(row);
+      byParent.get(reply.parent_id).replies.push(reply);
+      return reply;
+    });
+
+    await Comment.loadReplies(replies, options, level + 1);
+  }
+
+  static get reactionTypes() {
+    return ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+  }
+
+  // Identify a voter: registered users by ID, guests by a hash of IP and
+  // User-Agent so the raw values are never stored. Nothing the client can
+  // vary per request on purpose (like a fingerprint header) goes into it.
+  static voterKey(userId, ip, userAgent = '') {
+    if (userId) {
+      return `user:${userId}`;
+    }
+
+    const hash = crypto.createHash('sha256').update(`${ip}|${userAgent || ''}`).digest('hex');
+    return `guest:${hash}`;
+  }
+
+  // Attach reaction counts (and the viewer's own vote/reaction) to comments and their replies
+  static async attachVoteData(comments, voterKey = null) {
+    const all = [];
+    const collect = list => list.forEach(comment => {
+      all.push(comment);
+      if (comment.replies) collect(comment.replies);
+    });
+    collect(comments);
+
+    if (all.length === 0) {
+      return comments;
+    }
+
+    const ids = all.map(comment => comment.id);
+    const placeholders = ids.map(() => '?').join(', ');
+
+    const [reactionRows] = await db.execute(
+      `SELECT comment_id, reaction, COUNT(*) as count
+       FROM comment_reactions
+       WHERE comment_id IN (${placeholders})
+       GROUP BY comment_id, reaction`,
+      ids
+    );
+
+    const byId = new Map(all.map(comment => [comment.id, comment]));
+    all.forEach(comment => {
+      comment.reactions = {};
+    });
+    reactionRows.forEach(row => {
+      byId.get(row.comment_id).reactions[row.reaction] = Number(row.count);
+    });
+
+    if (voterKey) {
+      const [voteRows] = await db.execute(
+        `SELECT comment_id, value FROM comment_votes WHERE voter_key = ? AND comment_id IN (${placeholders})`,
+        [voterKey, ...ids]
+      );
+      const [ownReactionRows] = await db.execute(
+        `SELECT comment_id, reaction FROM comment_reactions WHERE voter_key = ? AND comment_id IN (${placeholders})`,
+        [voterKey, ...ids]
+      );
+
+      all.forEach(comment => {
+        comment.my_vote = 0;
+        comment.my_reaction = null;
+      });
+      voteRows.forEach(row => {
+        byId.get(row.comment_id).my_vote = row.value;
+      });
+      ownReactionRows.forEach(row => {
+        byId.get(row.comment_id).my_reaction = row.reaction;
+      });
+    }
+
+    return comments;
+  }
+
+  // Cast, change or remove (value 0) a vote; one vote per voter
+  async vote(voterKey, userId, value) {
+    if (value === 0) {
+      await db.execute(
+        'DELETE FROM comment_votes WHERE comment_id = ? AND voter_key = ?',
+        [this.id, voterKey]
+      );
+    } else {
+      await db.execute(
+        `INSERT INTO comment_votes (comment_id, user_id, voter_key, value)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = CURRENT_TIMESTAMP`,
+        [this.id, userId || null, voterKey, value]
+      );
+    }
+
+    // Keep the denormalized counters used for sorting in sync
+    await db.execute(
+      `UPDATE comments SET
+         upvotes = (SELECT COUNT(*) FROM comment_votes WHERE comment_id = ? AND value = 1),
+         downvotes = (SELECT COUNT(*) FROM comment_votes WHERE comment_id = ? AND value = -1)
+       WHERE id = ?`,
+      [this.id, this.id, this.id]
+    );
+
+    const [rows] = await db.execute('SELECT upvotes, downvotes FROM comments WHERE id = ?', [this.id]);
+    this.upvotes = rows[0].upvotes;
+    this.downvotes = rows[0].downvotes;
+    this.my_vote = value;
+
+    return this;
+  }
+
+  // Set or remove (null) the voter's reaction; one reaction per voter
+  async react(voterKey, userId, reaction) {
+    if (reaction) {
+      await db.execute(
+        `INSERT INTO comment_reactions (comment_id, user_id, voter_key, reaction)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE reaction = VALUES(reaction), updated_at = CURRENT_TIMESTAMP`,
+        [this.id, userId || null, voterKey, reaction]
+      );
+    } else {
+      await db.execute(
+        'DELETE FROM comment_reactions WHERE comment_id = ? AND voter_key = ?',
+        [this.id, voterKey]
+      );
+    }
+
+    await Comment.attachVoteData([this], voterKey);
+    return this;
+  }
+
   // Find all comments with filters (admin)
   static async findAll(options = {}) {
     const {
@@ -157,6 +464,11 @@ class Comment {
       article_id = null,
       user_id = null,
       search = null,
+      author_email = null,
+      date_from = null,
+      date_to = null,
+      min_spam_score = null,
+      max_spam_score = null,
       sortBy = 'created_at',
       sortOrder = 'DESC'
     } = options;
@@ -180,6 +492,35 @@ class Comment {
       params.push(user_id);
     }
 
+    if (author_email) {
+      conditions.push('c.author_email = ?');
+      params.push(author_email);
+    }
+
+    if (date_from) {
+      conditions.push('c.created_at >= ?');
+      params.push(new Date(date_from));
+    }
+
+    // A plain date includes the whole day
+    if (date_to && /^\d{4}-\d{2}-\d{2}$/.test(date_to)) {
+      conditions.push('c.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(date_to);
+    } else if (date_to) {
+      conditions.push('c.created_at <= ?');
+      params.push(new Date(date_to));
+    }
+
+    if (min_spam_score !== null) {
+      conditions.push('c.spam_score >= ?');
+      params.push(min_spam_score);
+    }
+
+    if (max_spam_score !== null) {
+      conditions.push('c.spam_score <= ?');
+      params.push(max_spam_score);
+    }
+
     if (search) {
       conditions.push('(c.content LIKE ? OR c.author_name LIKE ? OR c.author_email LIKE ?)');
       const searchTerm = `%${search}%`;
@@ -269,31 +610,62 @@ class Comment {
   }
 
   // Delete comment
+  // Ids of all replies below this comment, at any depth
+  async descendantIds(connection = db) {
+    const ids = [];
+    let parents = [this.id];
+
+    while (parents.length > 0) {
+      const [rows] = await connection.execute(
+        `SELECT id FROM comments WHERE parent_id IN (${parents.map(() => '?').join(', ')})`,
+        parents
+      );
+      parents = rows.map(row => row.id).filter(id => id !== this.id && !ids.includes(id));
+      ids.push(...parents);
+    }
+
+    return ids;
+  }
+
+  // Delete the comment and its whole thread, with their votes and reactions
   async delete() {
-    // Delete replies first
-    await db.execute('DELETE FROM comments WHERE parent_id = ?', [this.id]);
-    // Delete the comment itself
-    await db.execute('DELETE FROM comments WHERE id = ?', [this.id]);
+    await db.transaction(async (connection) => {
+      const ids = [this.id, ...(await this.descendantIds(connection))];
+      const placeholders = ids.map(() => '?').join(', ');
+
+      for (const table of ['comment_votes', 'comment_reactions']) {
+        await connection.execute(`DELETE FROM ${table} WHERE comment_id IN (${placeholders})`, ids);
+      }
+
+      await connection.execute(`DELETE FROM comments WHERE id IN (${placeholders})`, ids);
+    });
+
+    return this;
+  }
+
+  // Apply a moderation decision and let the spam classifier learn from it
+  async moderate(status) {
+    const previousStatus = this.status;
+    await this.update({ status });
+    await spamService.learn(this, status, previousStatus);
     return this;
   }
 
   // Approve comment
   async approve() {
-    await this.update({ status: 'approved' });
-    return this;
+    return await this.moderate('approved');
   }
 
   // Reject comment
   async reject(reason = null) {
-    await this.update({ status: 'rejected' });
+    await this.moderate('rejected');
     // Could store rejection reason in a separate field or log
     return this;
   }
 
   // Mark as spam
   async markAsSpam() {
-    await this.update({ status: 'spam' });
-    return this;
+    return await this.moderate('spam');
   }
 
   // Get pending comments count
@@ -306,15 +678,16 @@ class Comment {
     return rows[0].count;
   }
 
-  // Bulk actions
+  // Bulk actions (with a result entry per comment ID)
   static async bulkAction(commentIds, action, data = null) {
-    const results = { processed: 0, failed: 0 };
+    const results = { processed: 0, failed: 0, comments: [], items: [] };
 
     for (const id of commentIds) {
       try {
         const comment = await Comment.findById(id);
         if (!comment) {
           results.failed++;
+          results.items.push({ id, success: false, error: 'Comment not found' });
           continue;
         }
 
@@ -333,12 +706,16 @@ class Comment {
             break;
           default:
             results.failed++;
+            results.items.push({ id, success: false, error: 'Invalid action' });
             continue;
         }
 
         results.processed++;
+        results.comments.push(comment);
+        results.items.push({ id, success: true, status: action === 'delete' ? 'deleted' : comment.status });
       } catch (error) {
         results.failed++;
+        results.items.push({ id, success: false, error: error.message });
       }
     }
 
@@ -376,6 +753,25 @@ class Comment {
       updated_at: this.updated_at
     };
 
+    // Votes and reactions
+    publicComment.upvotes = this.upvotes;
+    publicComment.downvotes = this.downvotes;
+    publicComment.score = this.upvotes - this.downvotes;
+    if (this.reactions !== undefined) {
+      publicComment.reactions = this.reactions;
+    }
+    if (this.my_vote !== undefined) {
+      publicComment.my_vote = this.my_vote;
+      publicComment.my_reaction = this.my_reaction ?? null;
+    }
+
+    // Thread information (threaded view)
+    if (this.reply_count !== undefined) {
+      publicComment.depth = this.depth;
+      publicComment.reply_count = this.reply_count;
+      publicComment.has_more_replies = this.reply_count > (this.replies?.length || 0);
+    }
+
     // Add author information
     if (this.user) {
       publicComment.author = {
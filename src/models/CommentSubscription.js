@@ -0,0 +1,148 @@
+// src/models/CommentSubscription.js
+const db = require('../config/database');
+
+// Email subscription to new comments on an article (comment_id = null) or
+// to replies in the thread below a comment
+class CommentSubscription {
+  constructor(data) {
+    this.id = data?.id;
+    this.article_id = data?.article_id;
+    this.comment_id = data?.comment_id ?? null;
+    this.user_id = data?.user_id ?? null;
+    this.email = data?.email;
+    this.frequency = data?.frequency || 'instant';
+    this.confirmed = !!data?.confirmed;
+    this.created_at = data?.created_at;
+  }
+
+  static get frequencies() {
+    return ['instant', 'daily'];
+  }
+
+  // Create or update a subscription (one per email and target). Only the
+  // registered account that owns the address may confirm it without the
+  // email round trip, so nobody can confirm someone else's pending one.
+  static async subscribe(subscriptionData) {
+    const {
+      article_id,
+      comment_id = null,
+      user_id = null,
+      email,
+      frequency = 'instant',
+      confirmed = false
+    } = subscriptionData;
+
+    const existing = await CommentSubscription.findExisting(article_id, comment_id, email);
+
+    if (existing) {
+      const confirm = !!confirmed && !!user_id && (!existing.user_id || existing.user_id === user_id);
+      await db.execute(
+        'UPDATE comment_subscriptions SET frequency = ?, user_id = COALESCE(?, user_id), confirmed = confirmed OR ? WHERE id = ?',
+        [frequency, user_id, confirm, existing.id]
+      );
+      return await CommentSubscription.findById(existing.id);
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO comment_subscriptions (article_id, comment_id, user_id, email, frequency, confirmed)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [article_id, comment_id, user_id, email, frequency, !!confirmed && !!user_id]
+    );
+
+    return await CommentSubscription.findById(result.insertId);
+  }
+
+  // Find subscription by ID
+  static async findById(id) {
+    const [rows] = await db.execute('SELECT * FROM comment_subscriptions WHERE id = ?', [id]);
+    return rows.length > 0 ? new CommentSubscription(rows[0]) : null;
+  }
+
+  static async findExisting(articleId, commentId, email) {
+    const [rows] = await db.execute(
+      `SELECT * FROM comment_subscriptions
+       WHERE article_id = ? AND email = ? AND ${commentId ? 'comment_id = ?' : 'comment_id IS NULL'}`,
+      commentId ? [articleId, email, commentId] : [articleId, email]
+    );
+    return rows.length > 0 ? new CommentSubscription(rows[0]) : null;
+  }
+
+  // Subscriptions of a registered user
+  static async findByUser(userId) {
+    const [rows] = await db.execute(
+      `SELECT s.*, a.title as article_title, a.slug as article_slug
+       FROM comment_subscriptions s
+       LEFT JOIN articles a ON s.article_id = a.id
+       WHERE s.user_id = ?
+       ORDER BY s.created_at DESC`,
+      [userId]
+    );
+
+    return rows.map(row => {
+      const subscription = new CommentSubscription(row);
+      subscription.article = { title: row.article_title, slug: row.article_slug };
+      return subscription;
+    });
+  }
+
+  // Confirmed subscriptions interested in a new comment: the whole article or
+  // any thread the comment belongs to
+  static async findForComment(comment) {
+    const threadIds = [];
+    let parentId = comment.parent_id;
+
+    while (parentId && threadIds.length < 10) {
+      threadIds.push(parentId);
+      const [rows] = await db.execute('SELECT parent_id FROM comments WHERE id = ?', [parentId]);
+      parentId = rows[0]?.parent_id;
+    }
+
+    const threadCondition = threadIds.length > 0
+      ? `OR comment_id IN (${threadIds.map(() => '?').join(', ')})`
+      : '';
+
+    const [rows] = await db.execute(
+      `SELECT * FROM comment_subscriptions
+       WHERE article_id = ? AND confirmed = true AND (comment_id IS NULL ${threadCondition})`,
+      [comment.article_id, ...threadIds]
+    );
+
+    return rows.map(row => new CommentSubscription(row));
+  }
+
+  // Remove every subscription of an email address
+  static async deleteByEmail(email) {
+    await db.execute(
+      'DELETE FROM comment_notifications WHERE subscription_id IN (SELECT id FROM comment_subscriptions WHERE email = ?)',
+      [email]
+    );
+    const [result] = await db.execute('DELETE FROM comment_subscriptions WHERE email = ?', [email]);
+    return result.affectedRows;
+  }
+
+  async confirm() {
+    await db.execute('UPDATE comment_subscriptions SET confirmed = true WHERE id = ?', [this.id]);
+    this.confirmed = true;
+    return this;
+  }
+
+  async delete() {
+    await db.execute('DELETE FROM comment_notifications WHERE subscription_id = ?', [this.id]);
+    await db.execute('DELETE FROM comment_subscriptions WHERE id = ?', [this.id]);
+    return this;
+  }
+
+  toPublicObject() {
+    return {
+      id: this.id,
+      article_id: this.article_id,
+      comment_id: this.comment_id,
+      frequency: this.frequency,
+      confirmed: this.confirmed,
+      article: this.article,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = CommentSubscription;
@@ -0,0 +1,204 @@
+// src/models/Invitation.js
+const db = require('../config/database');
+
+// Invitation for a staff member to create their own account with a role
+// (and categories) chosen by an administrator. Only the SHA-256 hash of the
+// current link's nonce is stored; resending replaces it.
+class Invitation {
+  constructor(data) {
+    this.id = data?.id;
+    this.email = data?.email;
+    this.role = data?.role;
+    this.category_ids = Invitation.parseCategoryIds(data?.category_ids);
+    this.token_hash = data?.token_hash;
+    this.invited_by = data?.invited_by;
+    this.expires_at = data?.expires_at;
+    this.sent_count = data?.sent_count || 0;
+    this.last_sent_at = data?.last_sent_at || null;
+    this.accepted_at = data?.accepted_at || null;
+    this.accepted_user_id = data?.accepted_user_id || null;
+    this.revoked_at = data?.revoked_at || null;
+    this.created_at = data?.created_at;
+    this.invited_by_username = data?.invited_by_username;
+  }
+
+  static get statuses() {
+    return ['pending', 'expired', 'accepted', 'revoked'];
+  }
+
+  static parseCategoryIds(categoryIds) {
+    if (!categoryIds) {
+      return [];
+    }
+    return typeof categoryIds === 'string' ? JSON.parse(categoryIds) : categoryIds;
+  }
+
+  static async create(invitationData) {
+    const { email, role, category_ids = [], invited_by, token_hash, expires_at } = invitationData;
+
+    const [result] = await db.execute(
+      `INSERT INTO invitations (email, role, category_ids, token_hash, invited_by, expires_at, sent_count, last_sent_at)
+       VALUES (?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)`,
+      [email, role, JSON.stringify(category_ids), token_hash, invited_by, expires_at]
+    );
+
+    return await Invitation.findById(result.insertId);
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      `SELECT i.*, u.username as invited_by_username
+       FROM invitations i
+       LEFT JOIN users u ON i.invited_by = u.id
+       WHERE i.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? new Invitation(rows[0]) : null;
+  }
+
+  static async findByTokenHash(tokenHash) {
+    const [rows] = await db.execute('SELECT * FROM invitations WHERE token_hash = ?', [tokenHash]);
+    return rows.length > 0 ? new Invitation(rows[0]) : null;
+  }
+
+  // The open invitation for an email address, if any
+  static async findPendingByEmail(email) {
+    const [rows] = await db.execute(
+      `SELECT * FROM invitations
+       WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC LIMIT 1`,
+      [email]
+    );
+    return rows.length > 0 ? new Invitation(rows[0]) : null;
+  }
+
+  static statusCondition(status) {
+    const conditions = {
+      pending: 'i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()',
+      expired: 'i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at <= NOW()',
+      accepted: 'i.accepted_at IS NOT NULL',
+      revoked: 'i.revoked_at IS NOT NULL'
+    };
+    return conditions[status] || '1 = 1';
+  }
+
+  static async findAll(options = {}) {
+    const { page = 1, limit = 20, status = 'pending' } = options;
+    const offset = (page - 1) * limit;
+    const whereClause = `WHERE ${Invitation.statusCondition(status)}`;
+
+    const [rows] = await db.execute(
+      `SELECT i.*, u.username as invited_by_username
+       FROM invitations i
+       LEFT JOIN users u ON i.invited_by = u.id
+       ${whereClause}
+       ORDER BY i.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+
+    const [countRows] = await db.execute(
+      `SELECT COUNT(*) as total FROM invitations i ${whereClause}`
+    );
+
+    const total = countRows[0].total;
+
+    return {
+      invitations: rows.map(row => new Invitation(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  get status() {
+    if (this.accepted_at) return 'accepted';
+    if (this.revoked_at) return 'revoked';
+    return new Date(this.expires_at) > new Date() ? 'pending' : 'expired';
+  }
+
+  isPending() {
+    return this.status === 'pending';
+  }
+
+  // New link and expiry; earlier links stop working
+  async renew(tokenHash, expiresAt) {
+    await db.execute(
+      `UPDATE invitations SET token_hash = ?, expires_at = ?, sent_count = sent_count + 1,
+       last_sent_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [tokenHash, expiresAt, this.id]
+    );
+
+    this.token_hash = tokenHash;
+    this.expires_at = expiresAt;
+    this.sent_count += 1;
+    this.last_sent_at = new Date();
+    return this;
+  }
+
+  async revoke() {
+    await db.execute(
+      'UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [this.id]
+    );
+    this.revoked_at = this.revoked_at || new Date();
+    return this;
+  }
+
+  // Returns false when the invitation was accepted or revoked meanwhile
+  // Mark a pending invitation as used before the account is created; only one
+  // of several concurrent accepts gets true
+  async claim() {
+    const [result] = await db.execute(
+      `UPDATE invitations SET accepted_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [this.id]
+    );
+
+    if (result.affectedRows === 1) {
+      this.accepted_at = new Date();
+    }
+    return result.affectedRows === 1;
+  }
+
+  // Make a claimed invitation usable again when creating the account failed
+  async releaseClaim() {
+    await db.execute(
+      'UPDATE invitations SET accepted_at = NULL WHERE id = ? AND accepted_user_id IS NULL',
+      [this.id]
+    );
+    this.accepted_at = null;
+  }
+
+  async markAccepted(userId) {
+    await db.execute(
+      'UPDATE invitations SET accepted_user_id = ? WHERE id = ?',
+      [userId, this.id]
+    );
+    this.accepted_user_id = userId;
+  }
+
+  toPublicObject() {
+    return {
+      id: this.id,
+      email: this.email,
+      role: this.role,
+      category_ids: this.category_ids,
+      status: this.status,
+      invited_by: this.invited_by,
+      invited_by_username: this.invited_by_username,
+      expires_at: this.expires_at,
+      sent_count: this.sent_count,
+      last_sent_at: this.last_sent_at,
+      accepted_at: this.accepted_at,
+      accepted_user_id: this.accepted_user_id,
+      revoked_at: this.revoked_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = Invitation;
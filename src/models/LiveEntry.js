@@ -0,0 +1,123 @@
+// src/models/LiveEntry.js
+const db = require('../config/database');
+
+// Timestamped entry of a live-blog article
+class LiveEntry {
+  constructor(data) {
+    this.id = data?.id;
+    this.article_id = data?.article_id;
+    this.author_id = data?.author_id;
+    this.content = data?.content;
+    this.is_pinned = data?.is_pinned ?? false;
+    this.created_at = data?.created_at;
+    this.updated_at = data?.updated_at;
+  }
+
+  // Create new entry
+  static async create(entryData) {
+    const { article_id, author_id, content, is_pinned = false } = entryData;
+
+    const [result] = await db.execute(
+      'INSERT INTO article_live_entries (article_id, author_id, content, is_pinned) VALUES (?, ?, ?, ?)',
+      [article_id, author_id, content, is_pinned]
+    );
+
+    return await LiveEntry.findById(result.insertId);
+  }
+
+  // Find entry by ID
+  static async findById(id) {
+    const [rows] = await db.execute(
+      `SELECT e.*, u.username, u.first_name, u.last_name, u.profile_image
+       FROM article_live_entries e
+       LEFT JOIN users u ON e.author_id = u.id
+       WHERE e.id = ?`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return LiveEntry.fromRow(rows[0]);
+  }
+
+  // Get entries of an article, newest first. `since` returns only entries
+  // created after that date so clients can catch up after reconnecting.
+  static async findByArticle(articleId, options = {}) {
+    const { page = 1, limit = 20, since = null } = options;
+    const offset = (page - 1) * limit;
+
+    const conditions = ['e.article_id = ?'];
+    const params = [articleId];
+
+    if (since) {
+      conditions.push('e.created_at > ?');
+      params.push(new Date(since));
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [rows] = await db.execute(
+      `SELECT e.*, u.username, u.first_name, u.last_name, u.profile_image
+       FROM article_live_entries e
+       LEFT JOIN users u ON e.author_id = u.id
+       ${whereClause}
+       ORDER BY e.is_pinned DESC, e.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const [countRows] = await db.execute(
+      `SELECT COUNT(*) as total FROM article_live_entries e ${whereClause}`,
+      params
+    );
+
+    return {
+      entries: rows.map(row => LiveEntry.fromRow(row)),
+      pagination: {
+        page,
+        limit,
+        total: countRows[0].total,
+        pages: Math.ceil(countRows[0].total / limit)
+      }
+    };
+  }
+
+  // Delete all entries of an article
+  static async deleteByArticle(articleId) {
+    await db.execute('DELETE FROM article_live_entries WHERE article_id = ?', [articleId]);
+  }
+
+  static fromRow(row) {
+    const entry = new LiveEntry(row);
+    entry.author = row.author_id ? {
+      id: row.author_id,
+      username: row.username,
+      first_name: row.first_name,
+      last_name: row.last_name,
+      profile_image: row.profile_image
+    } : null;
+    return entry;
+  }
+
+  // Delete entry
+  async delete() {
+    await db.execute('DELETE FROM article_live_entries WHERE id = ?', [this.id]);
+    return this;
+  }
+
+  toPublicObject() {
+    return {
+      id: this.id,
+      article_id: this.article_id,
+      content: this.content,
+      is_pinned: !!this.is_pinned,
+      author: this.author,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = LiveEntry;
@@ -11,11 +11,16 @@ class Media {
     this.size = data?.size;
     this.width = data?.width;
     this.height = data?.height;
-    this.path = data?.path;
+    this.path = data?.path; // local file; null when stored on another backend
     this.url = data?.url;
     this.cdn_url = data?.cdn_url;
     this.alt_text = data?.alt_text;
     this.caption = data?.caption;
+    // Focal point for cropping, as fractions of width and height (0-1)
+    this.focal_x = data?.focal_x ?? null;
+    this.focal_y = data?.focal_y ?? null;
+    // Editor-chosen crops by preset name, in pixels of the stored image
+    this.crops = Media.parseCrops(data?.crops);
     this.uploaded_by = data?.uploaded_by;
     this.is_optimized = data?.is_optimized ?? false;
     this.compression_ratio = data?.compression_ratio;
@@ -23,6 +28,22 @@ class Media {
     this.updated_at = data?.updated_at;
   }
 
+  // Named crops editors can set, with the size of the derivative each produces
+  static get cropPresets() {
+    return {
+      hero: { aspect: '16:9', width: 1920, height: 1080 },
+      social: { aspect: '1:1', width: 1200, height: 1200 },
+      mobile: { aspect: '4:5', width: 1080, height: 1350 }
+    };
+  }
+
+  static parseCrops(crops) {
+    if (!crops) {
+      return {};
+    }
+    return typeof crops === 'string' ? JSON.parse(crops) : crops;
+  }
+
   // Create new media record
   static async create(mediaData) {
     const {
@@ -237,6 +258,9 @@ class Media {
       cdn_url: this.cdn_url,
       alt_text: this.alt_text,
       caption: this.caption,
+      focal_x: this.focal_x,
+      focal_y: this.focal_y,
+      crops: this.crops,
       is_optimized: this.is_optimized,
       compression_ratio: this.compression_ratio,
       created_at: this.created_at,
@@ -0,0 +1,106 @@
+// src/models/MediaFile.js
+const db = require('../config/database');
+
+// One stored file of a media item: the original or a derivative (thumbnail,
+// hero crop, ...), and the storage backend that holds it
+class MediaFile {
+  constructor(data) {
+    this.id = data?.id;
+    this.media_id = data?.media_id;
+    this.variant = data?.variant;
+    this.backend = data?.backend;
+    this.storage_key = data?.storage_key;
+    this.url = data?.url;
+    this.mime_type = data?.mime_type;
+    this.size = data?.size;
+    this.width = data?.width;
+    this.height = data?.height;
+    this.created_at = data?.created_at;
+    this.updated_at = data?.updated_at;
+  }
+
+  static async findByMedia(mediaId) {
+    const [rows] = await db.execute(
+      'SELECT * FROM media_files WHERE media_id = ? ORDER BY id ASC',
+      [mediaId]
+    );
+    return rows.map(row => new MediaFile(row));
+  }
+
+  static async findVariant(mediaId, variant) {
+    const [rows] = await db.execute(
+      'SELECT * FROM media_files WHERE media_id = ? AND variant = ?',
+      [mediaId, variant]
+    );
+    return rows.length > 0 ? new MediaFile(rows[0]) : null;
+  }
+
+  // Record where a variant is stored, replacing any earlier record
+  static async upsert(fileData) {
+    const {
+      media_id,
+      variant,
+      backend,
+      storage_key,
+      url,
+      mime_type = null,
+      size = null,
+      width = null,
+      height = null
+    } = fileData;
+
+    await db.execute(
+      `INSERT INTO media_files (media_id, variant, backend, storage_key, url, mime_type, size, width, height)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE backend = VALUES(backend), storage_key = VALUES(storage_key),
+         url = VALUES(url), mime_type = VALUES(mime_type), size = VALUES(size),
+         width = VALUES(width), height = VALUES(height), updated_at = CURRENT_TIMESTAMP`,
+      [media_id, variant, backend, storage_key, url, mime_type, size, width, height]
+    );
+
+    return await MediaFile.findVariant(media_id, variant);
+  }
+
+  // Files per backend, for the storage overview
+  static async countByBackend() {
+    const [rows] = await db.execute(
+      `SELECT backend, COUNT(*) as files, COALESCE(SUM(size), 0) as total_size
+       FROM media_files GROUP BY backend`
+    );
+    return rows;
+  }
+
+  async moveTo(backend, url) {
+    await db.execute(
+      'UPDATE media_files SET backend = ?, url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [backend, url, this.id]
+    );
+    this.backend = backend;
+    this.url = url;
+    return this;
+  }
+
+  async delete() {
+    await db.execute('DELETE FROM media_files WHERE id = ?', [this.id]);
+    return this;
+  }
+
+  static async deleteByMedia(mediaId) {
+    await db.execute('DELETE FROM media_files WHERE media_id = ?', [mediaId]);
+  }
+
+  toPublicObject() {
+    return {
+      variant: this.variant,
+      backend: this.backend,
+      url: this.url,
+      mime_type: this.mime_type,
+      size: this.size,
+      width: this.width,
+      height: this.height,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = MediaFile;
@@ -0,0 +1,125 @@
+// src/models/RefreshToken.js
+const db = require('../config/database');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// Rotating refresh tokens. Every token belongs to a family (the device
+// session it was issued for); only a hash of the token is stored. Using a
+// token rotates it, and presenting an already rotated token again means it
+// was copied, so the whole family is revoked.
+class RefreshToken {
+  constructor(data) {
+    this.id = data?.id;
+    this.family_id = data?.family_id;
+    this.user_id = data?.user_id;
+    this.token_hash = data?.token_hash;
+    this.replaced_by = data?.replaced_by;
+    this.rotated_at = data?.rotated_at;
+    this.revoked_at = data?.revoked_at;
+    this.revoked_reason = data?.revoked_reason;
+    this.ip_address = data?.ip_address;
+    this.user_agent = data?.user_agent;
+    this.expires_at = data?.expires_at;
+    this.created_at = data?.created_at;
+  }
+
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Issue a new refresh token for a family; returns the raw token and its record
+  static async issue(user, familyId, context = {}) {
+    const token = user.generateRefreshToken(familyId);
+    const decoded = jwt.decode(token);
+
+    const [result] = await db.execute(
+      `INSERT INTO refresh_tokens (family_id, user_id, token_hash, ip_address, user_agent, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        familyId,
+        user.id,
+        RefreshToken.hash(token),
+        context.ip || null,
+        context.userAgent ? context.userAgent.substring(0, 255) : null,
+        new Date(decoded.exp * 1000)
+      ]
+    );
+
+    return { token, record: await RefreshToken.findById(result.insertId) };
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute('SELECT * FROM refresh_tokens WHERE id = ?', [id]);
+    return rows.length > 0 ? new RefreshToken(rows[0]) : null;
+  }
+
+  static async findByToken(token) {
+    const [rows] = await db.execute(
+      'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+      [RefreshToken.hash(token)]
+    );
+    return rows.length > 0 ? new RefreshToken(rows[0]) : null;
+  }
+
+  // Revoke every live token of a family
+  static async revokeFamily(familyId, reason = 'logout') {
+    const [result] = await db.execute(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+       WHERE family_id = ? AND revoked_at IS NULL`,
+      [reason, familyId]
+    );
+    return result.affectedRows;
+  }
+
+  // Revoke all families of a user, optionally keeping one
+  static async revokeAllForUser(userId, exceptFamilyId = null, reason = 'logout_everywhere') {
+    let query = `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+                 WHERE user_id = ? AND revoked_at IS NULL`;
+    const params = [reason, userId];
+
+    if (exceptFamilyId) {
+      query += ' AND family_id != ?';
+      params.push(exceptFamilyId);
+    }
+
+    const [result] = await db.execute(query, params);
+    return result.affectedRows;
+  }
+
+  // Remove tokens that expired a while ago
+  static async deleteExpired(days = 30) {
+    const [result] = await db.execute(
+      'DELETE FROM refresh_tokens WHERE expires_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+      [days]
+    );
+    return result.affectedRows;
+  }
+
+  isActive() {
+    return !this.rotated_at && !this.revoked_at && new Date(this.expires_at) > new Date();
+  }
+
+  // Mark this token as used; false if it was rotated or revoked in the meantime
+  async rotate() {
+    const [result] = await db.execute(
+      `UPDATE refresh_tokens SET rotated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND rotated_at IS NULL AND revoked_at IS NULL`,
+      [this.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    this.rotated_at = new Date();
+    return true;
+  }
+
+  async setReplacedBy(tokenId) {
+    await db.execute('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [tokenId, this.id]);
+    this.replaced_by = tokenId;
+    return this;
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,319 @@
+// src/models/Role.js
+const db = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Roles and their permissions ("resource:action" strings). Built-in roles
+// fall back to their default permissions until they are stored in the
+// database; `admin` always has every permission.
+class Role {
+  constructor(data) {
+    this.id = data?.id;
+    this.name = data?.name;
+    this.label = data?.label || data?.name;
+    this.description = data?.description;
+    this.is_system = !!data?.is_system;
+    this.permissions = data?.permissions || [];
+    this.user_count = data?.user_count;
+    this.created_at = data?.created_at;
+    this.updated_at = data?.updated_at;
+  }
+
+  // Every permission the application checks
+  static get catalog() {
+    return {
+      articles: ['read', 'create', 'update_own', 'update', 'delete_own', 'delete', 'approve', 'publish', 'schedule', 'takeover_lock'],
+      users: ['read_profile', 'read', 'create', 'update', 'delete', 'manage_roles', 'impersonate'],
+      categories: ['read', 'create', 'update', 'delete'],
+      tags: ['read', 'create', 'update', 'delete'],
+      comments: ['read', 'create', 'approve', 'delete'],
+      media: ['read_own', 'read', 'upload', 'delete', 'manage'],
+      ads: ['read', 'manage'],
+      analytics: ['read_own', 'read', 'export'],
+      sitemap: ['manage'],
+      api_keys: ['manage'],
+      audit_log: ['read']
+    };
+  }
+
+  static get allPermissions() {
+    return Object.entries(Role.catalog)
+      .flatMap(([resource, actions]) => actions.map(action => `${resource}:${action}`));
+  }
+
+  static get systemRoles() {
+    return ['admin', 'editor', 'journalist', 'user'];
+  }
+
+  static get defaultPermissions() {
+    return {
+      admin: ['*'],
+      editor: [
+        'articles:read', 'articles:create', 'articles:update', 'articles:delete',
+        'articles:approve', 'articles:publish', 'articles:schedule',
+        'users:read',
+        'categories:read', 'categories:create', 'categories:update', 'categories:delete',
+        'tags:read', 'tags:create', 'tags:update', 'tags:delete',
+        'comments:read', 'comments:approve', 'comments:delete',
+        'media:upload', 'media:read', 'media:delete',
+        'ads:read',
+        'analytics:read',
+        'sitemap:manage'
+      ],
+      journalist: [
+        'articles:read', 'articles:create', 'articles:update_own', 'articles:delete_own',
+        'users:read_profile',
+        'categories:read',
+        'tags:read',
+        'comments:read',
+        'media:upload', 'media:read_own',
+        'ads:read',
+        'analytics:read_own'
+      ],
+      user: [
+        'articles:read',
+        'users:read_profile',
+        'categories:read',
+        'tags:read',
+        'comments:create', 'comments:read',
+        'media:read',
+        'ads:read'
+      ]
+    };
+  }
+
+  // Whether a permission list grants `permission`. Supports "*" and
+  // "resource:*", and "resource:action" also grants "resource:action_own".
+  static grants(permissions, permission) {
+    const [resource, action] = permission.split(':');
+
+    return permissions.includes('*') ||
+      permissions.includes(`${resource}:*`) ||
+      permissions.includes(permission) ||
+      (action?.endsWith('_own') && permissions.includes(`${resource}:${action.slice(0, -4)}`));
+  }
+
+  // Group "resource:action" strings into { resource: [actions] }
+  static groupPermissions(permissions) {
+    const expanded = permissions.includes('*') ? Role.allPermissions : permissions;
+
+    return expanded.reduce((groups, permission) => {
+      const [resource, action] = permission.split(':');
+      if (action === '*') {
+        groups[resource] = [...(Role.catalog[resource] || [])];
+      } else {
+        (groups[resource] = groups[resource] || []).push(action);
+      }
+      return groups;
+    }, {});
+  }
+
+  static validatePermissions(permissions) {
+    const known = Role.allPermissions;
+    const invalid = permissions.filter(permission => {
+      const [resource, action] = permission.split(':');
+      return !(action === '*' && Role.catalog[resource]) && !known.includes(permission);
+    });
+
+    if (invalid.length > 0) {
+      throw new AppError(`Unknown permissions: ${invalid.join(', ')}`, 400, 'INVALID_PERMISSIONS');
+    }
+  }
+
+  // Store the built-in roles with their defaults so they can be edited
+  static async seedSystemRoles() {
+    if (Role.seeded) {
+      return;
+    }
+
+    for (const name of Role.systemRoles) {
+      const [result] = await db.execute(
+        'INSERT IGNORE INTO roles (name, label, description, is_system) VALUES (?, ?, ?, true)',
+        [name, name.charAt(0).toUpperCase() + name.slice(1), `Built-in ${name} role`]
+      );
+
+      const permissions = Role.defaultPermissions[name];
+      if (result.affectedRows === 1 && name !== 'admin') {
+        await db.execute(
+          `INSERT INTO role_permissions (role_id, permission) VALUES ${permissions.map(() => '(?, ?)').join(', ')}`,
+          permissions.flatMap(permission => [result.insertId, permission])
+        );
+      }
+    }
+
+    Role.seeded = true;
+  }
+
+  static async findAll() {
+    await Role.seedSystemRoles();
+
+    const [rows] = await db.execute(
+      `SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name AND u.is_active = true) as user_count
+       FROM roles r
+       ORDER BY r.is_system DESC, r.name ASC`
+    );
+
+    const roles = rows.map(row => new Role(row));
+    await Role.loadPermissions(roles);
+    return roles;
+  }
+
+  static async findById(id) {
+    await Role.seedSystemRoles();
+
+    const [rows] = await db.execute('SELECT * FROM roles WHERE id = ?', [id]);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const role = new Role(rows[0]);
+    await Role.loadPermissions([role]);
+    return role;
+  }
+
+  static async findByName(name) {
+    const [rows] = await db.execute('SELECT * FROM roles WHERE name = ?', [name]);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const role = new Role(rows[0]);
+    await Role.loadPermissions([role]);
+    return role;
+  }
+
+  static async exists(name) {
+    if (Role.systemRoles.includes(name)) {
+      return true;
+    }
+
+    const [rows] = await db.execute('SELECT id FROM roles WHERE name = ?', [name]);
+    return rows.length > 0;
+  }
+
+  static async loadPermissions(roles) {
+    if (roles.length === 0) {
+      return roles;
+    }
+
+    const [rows] = await db.execute(
+      `SELECT role_id, permission FROM role_permissions WHERE role_id IN (${roles.map(() => '?').join(', ')})`,
+      roles.map(role => role.id)
+    );
+
+    roles.forEach(role => {
+      role.permissions = role.name === 'admin'
+        ? ['*']
+        : rows.filter(row => row.role_id === role.id).map(row => row.permission);
+    });
+
+    return roles;
+  }
+
+  // Effective permissions of a role name, with built-in defaults as fallback
+  static async getPermissionsFor(name) {
+    const role = await Role.findByName(name);
+    if (role) {
+      return role.permissions;
+    }
+
+    return Role.defaultPermissions[name] || [];
+  }
+
+  static async create(roleData) {
+    const { name, label, description, permissions = [] } = roleData;
+
+    if (await Role.exists(name)) {
+      throw new AppError('A role with this name already exists', 400, 'ROLE_EXISTS');
+    }
+
+    Role.validatePermissions(permissions);
+
+    const [result] = await db.execute(
+      'INSERT INTO roles (name, label, description, is_system) VALUES (?, ?, ?, false)',
+      [name, label || name, description || null]
+    );
+
+    const role = await Role.findById(result.insertId);
+    await role.setPermissions(permissions);
+    return role;
+  }
+
+  async update(updates) {
+    const fields = [];
+    const values = [];
+
+    ['label', 'description'].forEach(key => {
+      if (updates[key] !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(updates[key]);
+      }
+    });
+
+    if (fields.length > 0) {
+      values.push(this.id);
+      await db.execute(
+        `UPDATE roles SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+      Object.assign(this, updates);
+    }
+
+    if (updates.permissions !== undefined) {
+      await this.setPermissions(updates.permissions);
+    }
+
+    return this;
+  }
+
+  async setPermissions(permissions) {
+    if (this.name === 'admin') {
+      throw new AppError('Admin permissions cannot be changed', 400, 'SYSTEM_ROLE');
+    }
+
+    const unique = [...new Set(permissions)];
+    Role.validatePermissions(unique);
+
+    await db.execute('DELETE FROM role_permissions WHERE role_id = ?', [this.id]);
+
+    if (unique.length > 0) {
+      await db.execute(
+        `INSERT INTO role_permissions (role_id, permission) VALUES ${unique.map(() => '(?, ?)').join(', ')}`,
+        unique.flatMap(permission => [this.id, permission])
+      );
+    }
+
+    this.permissions = unique;
+    return this;
+  }
+
+  async delete() {
+    if (this.is_system) {
+      throw new AppError('System roles cannot be deleted', 400, 'SYSTEM_ROLE');
+    }
+
+    const [rows] = await db.execute('SELECT COUNT(*) as count FROM users WHERE role = ?', [this.name]);
+    if (rows[0].count > 0) {
+      throw new AppError('Role is still assigned to users', 400, 'ROLE_IN_USE');
+    }
+
+    await db.execute('DELETE FROM role_permissions WHERE role_id = ?', [this.id]);
+    await db.execute('DELETE FROM roles WHERE id = ?', [this.id]);
+    return this;
+  }
+
+  toPublicObject() {
+    return {
+      id: this.id,
+      name: this.name,
+      label: this.label,
+      description: this.description,
+      is_system: this.is_system,
+      permissions: this.permissions,
+      user_count: this.user_count,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Role;
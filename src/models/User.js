@@ -22,6 +22,14 @@ class User {
     this.reset_token = data?.reset_token;
     this.reset_token_expires = data?.reset_token_expires;
     this.last_login = data?.last_login;
+    this.two_factor_method = data?.two_factor_method || 'email';
+    this.totp_secret = data?.totp_secret;
+    this.totp_enabled_at = data?.totp_enabled_at;
+    this.totp_last_step = data?.totp_last_step;
+    this.password_changed_at = data?.password_changed_at;
+    this.must_change_password = !!data?.must_change_password;
+    this.deletion_scheduled_for = data?.deletion_scheduled_for || null;
+    this.deleted_at = data?.deleted_at || null;
     this.created_at = data?.created_at;
     this.updated_at = data?.updated_at;
   }
@@ -67,10 +75,10 @@ class User {
     return new User(rows[0]);
   }
 
-  // Find user by email
-  static async findByEmail(email) {
+  // Find user by email; deactivated accounts only with includeInactive
+  static async findByEmail(email, { includeInactive = false } = {}) {
     const [rows] = await db.execute(
-      'SELECT * FROM users WHERE email = ? AND is_active = true',
+      `SELECT * FROM users WHERE email = ?${includeInactive ? '' : ' AND is_active = true'}`,
       [email]
     );
 
@@ -207,11 +215,25 @@ class User {
     const password_hash = await bcrypt.hash(newPassword, saltRounds);
 
     await db.execute(
-      'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      `UPDATE users SET password_hash = ?, password_changed_at = CURRENT_TIMESTAMP,
+       must_change_password = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
       [password_hash, this.id]
     );
 
     this.password_hash = password_hash;
+    this.password_changed_at = new Date();
+    this.must_change_password = false;
+    return this;
+  }
+
+  // Make the user pick a new password on their next login
+  async requirePasswordChange() {
+    await db.execute(
+      'UPDATE users SET must_change_password = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [this.id]
+    );
+
+    this.must_change_password = true;
     return this;
   }
 
@@ -220,19 +242,19 @@ class User {
     return await bcrypt.compare(password, this.password_hash);
   }
 
-  // Generate JWT token
-  generateToken() {
+  // Generate JWT token (`sessionId` ties it to a device session)
+  generateToken(sessionId = null) {
     return jwt.sign(
-      { id: this.id, email: this.email, role: this.role },
+      { id: this.id, email: this.email, role: this.role, ...(sessionId && { sid: sessionId }) },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
     );
   }
 
   // Generate refresh token
-  generateRefreshToken() {
+  generateRefreshToken(sessionId = null) {
     return jwt.sign(
-      { id: this.id, type: 'refresh' },
+      { id: this.id, type: 'refresh', jti: crypto.randomUUID(), ...(sessionId && { sid: sessionId }) },
       process.env.JWT_REFRESH_SECRET,
       { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
     );
@@ -254,6 +276,18 @@ class User {
     return resetToken;
   }
 
+  // Reset tokens are single use
+  async clearResetToken() {
+    await db.execute(
+      'UPDATE users SET reset_token = NULL, reset_token_expires = NULL WHERE id = ?',
+      [this.id]
+    );
+
+    this.reset_token = null;
+    this.reset_token_expires = null;
+    return this;
+  }
+
   // Verify email
   async verifyEmail() {
     await db.execute(
@@ -278,6 +312,65 @@ class User {
     return this;
   }
 
+  // Store a new (not yet enabled) encrypted TOTP secret
+  async setTotpSecret(encryptedSecret) {
+    await db.execute(
+      'UPDATE users SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+      [encryptedSecret, this.id]
+    );
+
+    this.totp_secret = encryptedSecret;
+    this.totp_enabled_at = null;
+    this.totp_last_step = null;
+    return this;
+  }
+
+  // Enable the stored TOTP secret and make it the login method
+  async enableTotp() {
+    await db.execute(
+      "UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, two_factor_method = 'totp' WHERE id = ?",
+      [this.id]
+    );
+
+    this.totp_enabled_at = new Date();
+    this.two_factor_method = 'totp';
+    return this;
+  }
+
+  async disableTotp() {
+    await db.execute(
+      "UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, two_factor_method = 'email' WHERE id = ?",
+      [this.id]
+    );
+
+    this.totp_secret = null;
+    this.totp_enabled_at = null;
+    this.totp_last_step = null;
+    this.two_factor_method = 'email';
+    return this;
+  }
+
+  async setTwoFactorMethod(method) {
+    await db.execute('UPDATE users SET two_factor_method = ? WHERE id = ?', [method, this.id]);
+    this.two_factor_method = method;
+    return this;
+  }
+
+  // Record a used TOTP time step; false if it (or a later one) was already used
+  async useTotpStep(step) {
+    const [result] = await db.execute(
+      'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+      [step, this.id, step]
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    this.totp_last_step = step;
+    return true;
+  }
+
   // Soft delete user
   async delete() {
     await db.execute(
@@ -289,6 +382,92 @@ class User {
     return this;
   }
 
+  // Categories the user is assigned to (e.g. the desks a journalist writes for)
+  async getCategoryIds() {
+    const [rows] = await db.execute(
+      'SELECT category_id FROM user_categories WHERE user_id = ? ORDER BY category_id ASC',
+      [this.id]
+    );
+    return rows.map(row => row.category_id);
+  }
+
+  async setCategories(categoryIds = []) {
+    await db.execute('DELETE FROM user_categories WHERE user_id = ?', [this.id]);
+
+    const unique = [...new Set(categoryIds)];
+    if (unique.length > 0) {
+      await db.execute(
+        `INSERT INTO user_categories (user_id, category_id) VALUES ${unique.map(() => '(?, ?)').join(', ')}`,
+        unique.flatMap(categoryId => [this.id, categoryId])
+      );
+    }
+
+    return unique;
+  }
+
+  // Self-service deletion waits out a grace period before the account is erased
+  async scheduleDeletion(scheduledFor) {
+    await db.execute(
+      'UPDATE users SET deletion_scheduled_for = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [scheduledFor, this.id]
+    );
+
+    this.deletion_scheduled_for = scheduledFor;
+    return this;
+  }
+
+  async cancelDeletion() {
+    await db.execute(
+      'UPDATE users SET deletion_scheduled_for = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [this.id]
+    );
+
+    this.deletion_scheduled_for = null;
+    return this;
+  }
+
+  // Users whose deletion grace period is over
+  static async findDueForDeletion(limit = 20) {
+    const [rows] = await db.execute(
+      `SELECT * FROM users
+       WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= NOW() AND deleted_at IS NULL
+       ORDER BY deletion_scheduled_for ASC LIMIT ?`,
+      [limit]
+    );
+    return rows.map(row => new User(row));
+  }
+
+  // Erase personal data but keep the row, so authored content and audit
+  // entries still resolve
+  async anonymize() {
+    const placeholder = `deleted_${this.id}`;
+
+    await db.execute(
+      `UPDATE users SET
+         username = ?, email = ?, password_hash = '', first_name = NULL, last_name = NULL,
+         profile_image = NULL, bio = NULL, verification_token = NULL, reset_token = NULL,
+         reset_token_expires = NULL, totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+         two_factor_method = 'email', is_active = FALSE, deletion_scheduled_for = NULL,
+         deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [placeholder, `${placeholder}@deleted.invalid`, this.id]
+    );
+
+    Object.assign(this, {
+      username: placeholder,
+      email: `${placeholder}@deleted.invalid`,
+      password_hash: '',
+      first_name: null,
+      last_name: null,
+      profile_image: null,
+      bio: null,
+      is_active: false,
+      deletion_scheduled_for: null,
+      deleted_at: new Date()
+    });
+    return this;
+  }
+
   // Get user's articles
   async getArticles(page = 1, limit = 10, status = null) {
     const offset = (page - 1) * limit;
@@ -375,7 +554,16 @@ class User {
 
   // Get safe user data (without sensitive fields)
   toSafeObject() {
-    const { password_hash, verification_token, reset_token, reset_token_expires, ...safeUser } = this;
+    const {
+      password_hash,
+      verification_token,
+      reset_token,
+      reset_token_expires,
+      totp_secret,
+      totp_last_step,
+      ...safeUser
+    } = this;
+    safeUser.totp_enabled = !!totp_secret && !!this.totp_enabled_at;
     return safeUser;
   }
 
@@ -0,0 +1,73 @@
+// src/models/UserIdentity.js
+const db = require('../config/database');
+
+// Link between a user and an account at an OpenID Connect provider
+class UserIdentity {
+  constructor(data) {
+    this.id = data?.id;
+    this.user_id = data?.user_id;
+    this.provider = data?.provider;
+    this.subject = data?.subject;
+    this.email = data?.email;
+    this.last_login_at = data?.last_login_at || null;
+    this.created_at = data?.created_at;
+  }
+
+  static async create(identityData) {
+    const { user_id, provider, subject, email } = identityData;
+
+    const [result] = await db.execute(
+      'INSERT INTO user_identities (user_id, provider, subject, email) VALUES (?, ?, ?, ?)',
+      [user_id, provider, subject, email || null]
+    );
+
+    return await UserIdentity.findById(result.insertId);
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute('SELECT * FROM user_identities WHERE id = ?', [id]);
+    return rows.length > 0 ? new UserIdentity(rows[0]) : null;
+  }
+
+  static async findByProviderSubject(provider, subject) {
+    const [rows] = await db.execute(
+      'SELECT * FROM user_identities WHERE provider = ? AND subject = ?',
+      [provider, subject]
+    );
+    return rows.length > 0 ? new UserIdentity(rows[0]) : null;
+  }
+
+  static async findByUser(userId) {
+    const [rows] = await db.execute(
+      'SELECT * FROM user_identities WHERE user_id = ? ORDER BY created_at ASC',
+      [userId]
+    );
+    return rows.map(row => new UserIdentity(row));
+  }
+
+  async touch(email) {
+    await db.execute(
+      'UPDATE user_identities SET last_login_at = CURRENT_TIMESTAMP, email = COALESCE(?, email) WHERE id = ?',
+      [email || null, this.id]
+    );
+    this.last_login_at = new Date();
+    return this;
+  }
+
+  async delete() {
+    await db.execute('DELETE FROM user_identities WHERE id = ?', [this.id]);
+    return this;
+  }
+
+  toPublicObject() {
+    return {
+      id: this.id,
+      provider: this.provider,
+      email: this.email,
+      last_login_at: this.last_login_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = UserIdentity;
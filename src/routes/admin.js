@@ -0,0 +1,15 @@
+// src/routes/admin.js
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { paginationValidation, auditLogValidation } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Audit log
+router.get('/audit-log', requirePermission('audit_log:read'), paginationValidation, auditLogValidation, adminController.getAuditLog);
+router.get('/audit-log/export', requirePermission('audit_log:read'), auditLogValidation, adminController.exportAuditLog);
+
+module.exports = router;
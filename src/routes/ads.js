@@ -2,21 +2,22 @@
 const express = require('express');
 const router = express.Router();
 const adsController = require('../controllers/adsController');
-const { verifyToken, requireRole } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { adsValidation, idValidation, paginationValidation } = require('../middleware/validation');
+const { audit } = require('../middleware/audit');
 
 // Public routes
 router.get('/position/:position', adsController.getAdsByPosition);
 
-// Protected routes (admin only)
+// Protected routes
 router.use(verifyToken);
-router.use(requireRole(['admin']));
+router.use(requirePermission('ads:manage'));
 
 router.get('/', paginationValidation, adsController.getAds);
 router.get('/:id', idValidation, adsController.getAd);
-router.post('/', adsValidation.create, adsController.createAd);
-router.put('/:id', idValidation, adsValidation.create, adsController.updateAd);
-router.delete('/:id', idValidation, adsController.deleteAd);
+router.post('/', adsValidation.create, audit('ad.create', 'ad'), adsController.createAd);
+router.put('/:id', idValidation, adsValidation.create, audit('ad.update', 'ad'), adsController.updateAd);
+router.delete('/:id', idValidation, audit('ad.delete', 'ad'), adsController.deleteAd);
 router.get('/:id/stats', idValidation, adsController.getAdStats);
 
 module.exports = router;
@@ -2,12 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { verifyToken, requireRole } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { idValidation } = require('../middleware/validation');
 
 // All routes require authentication
 router.use(verifyToken);
-router.use(requireRole(['admin', 'editor', 'journalist']));
+router.use(requirePermission('analytics:read_own'));
 
 router.get('/dashboard', analyticsController.getDashboard);
 router.get('/articles/top', analyticsController.getTopArticles);
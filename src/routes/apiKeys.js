@@ -0,0 +1,19 @@
+// src/routes/apiKeys.js
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { apiKeyValidation, idValidation } = require('../middleware/validation');
+const { audit } = require('../middleware/audit');
+
+// All routes require API key management permission
+router.use(verifyToken);
+router.use(requirePermission('api_keys:manage'));
+
+router.get('/', apiKeyController.getApiKeys);
+router.get('/scopes', apiKeyController.getScopes);
+router.get('/:id', idValidation, apiKeyController.getApiKey);
+router.post('/', apiKeyValidation.create, audit('api_key.create', 'api_key'), apiKeyController.createApiKey);
+router.delete('/:id', idValidation, audit('api_key.revoke', 'api_key'), apiKeyController.revokeApiKey);
+
+module.exports = router;
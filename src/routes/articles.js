@@ -2,8 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const articleController = require('../controllers/articleController');
-const { verifyToken, requireRole, optionalAuth, checkArticleAccess } = require('../middleware/auth');
+const { verifyToken, requirePermission, optionalAuth, checkArticleAccess } = require('../middleware/auth');
 const { articleValidation, idValidation, paginationValidation } = require('../middleware/validation');
+const { audit } = require('../middleware/audit');
 
 // Public routes
 router.get('/', paginationValidation, articleController.getArticles);
@@ -13,28 +14,51 @@ router.get('/popular', articleController.getPopularArticles);
 router.get('/category/:categoryId', idValidation, paginationValidation, articleController.getArticlesByCategory);
 router.get('/:id', optionalAuth, checkArticleAccess, articleController.getArticle);
 router.get('/:id/comments', idValidation, paginationValidation, articleController.getArticleComments);
+router.get('/:id/live-entries', optionalAuth, idValidation, checkArticleAccess, paginationValidation, articleValidation.liveEntries, articleController.getLiveEntries);
 
 // Protected routes
 router.use(verifyToken);
 
 // Like article (authenticated users)
-router.post('/:id/like', idValidation, articleController.likeArticle);
+router.post('/:id/like', optionalAuth, idValidation, articleController.likeArticle);
 
 // Admin/Editor/Journalist routes
-router.get('/admin/all', requireRole(['admin', 'editor', 'journalist']), paginationValidation, articleController.getArticlesAdmin);
-router.get('/admin/pending', requireRole(['admin', 'editor']), paginationValidation, articleController.getPendingArticles);
-router.get('/admin/scheduled', requireRole(['admin', 'editor']), paginationValidation, articleController.getScheduledArticles);
+router.get('/admin/all', requirePermission('articles:update_own'), paginationValidation, articleController.getArticlesAdmin);
+router.get('/admin/pending', requirePermission('articles:approve'), paginationValidation, articleController.getPendingArticles);
+router.get('/admin/scheduled', requirePermission('articles:schedule'), paginationValidation, articleController.getScheduledArticles);
+router.post('/admin/scheduled/:id/retry', requirePermission('articles:schedule'), idValidation, audit('article.schedule_retry', 'article'), articleController.retryScheduledArticle);
 
 // CRUD operations
-router.post('/', requireRole(['admin', 'editor', 'journalist']), articleValidation.create, articleController.createArticle);
-router.put('/:id', requireRole(['admin', 'editor', 'journalist']), idValidation, articleValidation.update, articleController.updateArticle);
-router.delete('/:id', requireRole(['admin', 'editor', 'journalist']), idValidation, articleController.deleteArticle);
+router.post('/', requirePermission('articles:create'), articleValidation.create, audit('article.create', 'article'), articleController.createArticle);
+router.put('/:id', requirePermission('articles:update_own'), idValidation, articleValidation.update, audit('article.update', 'article'), articleController.updateArticle);
+router.delete('/:id', requirePermission('articles:delete_own'), idValidation, audit('article.delete', 'article'), articleController.deleteArticle);
+
+// Live blog
+router.post('/:id/live-entries', requirePermission('articles:update_own'), idValidation, articleValidation.liveEntry, audit('article.live_entry_create', 'article'), articleController.createLiveEntry);
+router.delete('/:id/live-entries/:entryId', requirePermission('articles:update_own'), idValidation, audit('article.live_entry_delete', 'article'), articleController.deleteLiveEntry);
+
+// Edit locks
+router.get('/:id/lock', requirePermission('articles:update_own'), idValidation, articleController.getArticleLock);
+router.post('/:id/lock', requirePermission('articles:update_own'), idValidation, articleController.acquireArticleLock);
+router.put('/:id/lock', requirePermission('articles:update_own'), idValidation, articleController.renewArticleLock);
+router.delete('/:id/lock', requirePermission('articles:update_own'), idValidation, articleController.releaseArticleLock);
 
 // Approval (editors only)
-router.post('/:id/approve', requireRole(['admin', 'editor']), idValidation, articleController.approveArticle);
+router.post('/:id/approve', requirePermission('articles:approve'), idValidation, articleValidation.approve, audit('article.approve', 'article'), articleController.approveArticle);
+
+// Editorial workflow
+router.post('/:id/transition', requirePermission('articles:update_own'), idValidation, articleValidation.transition, audit('article.transition', 'article'), articleController.transitionArticle);
+router.put('/:id/reviewer', requirePermission('articles:approve'), idValidation, articleValidation.reviewer, audit('article.assign_reviewer', 'article'), articleController.assignReviewer);
+router.get('/:id/reviews', requirePermission('articles:update_own'), idValidation, checkArticleAccess, articleController.getArticleReviews);
+router.post('/:id/reviews', requirePermission('articles:update_own'), idValidation, checkArticleAccess, articleValidation.reviewNote, articleController.addReviewNote);
 
 // Analytics
-router.get('/:id/analytics', requireRole(['admin', 'editor', 'journalist']), idValidation, articleController.getArticleAnalytics);
+router.get('/:id/analytics', requirePermission('analytics:read_own'), idValidation, articleController.getArticleAnalytics);
+
+// Revision history
+router.get('/:id/revisions', requirePermission('articles:update_own'), idValidation, checkArticleAccess, paginationValidation, articleController.getArticleRevisions);
+router.get('/:id/revisions/:revId/diff', requirePermission('articles:update_own'), idValidation, articleValidation.revision, checkArticleAccess, articleController.getRevisionDiff);
+router.post('/:id/revisions/:revId/restore', requirePermission('articles:update_own'), idValidation, articleValidation.restoreRevision, checkArticleAccess, audit('article.restore_revision', 'article'), articleController.restoreRevision);
 
 module.exports = router;
 
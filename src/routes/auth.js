@@ -2,9 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { verifyToken } = require('../middleware/auth');
-const { userValidation } = require('../middleware/validation');
+const { verifyToken, requirePermission, forbidImpersonation } = require('../middleware/auth');
+const { userValidation, meetsPasswordPolicy } = require('../middleware/validation');
 const { fileUploadSecurity, rateLimiters } = require('../middleware/security');
+const { audit } = require('../middleware/audit');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 
@@ -30,12 +31,18 @@ const otpValidation = [
     .isLength({ min: 64, max: 64 })
     .withMessage('Invalid OTP token format'),
   body('otp')
+    .if(body('recoveryCode').not().exists())
     .notEmpty()
     .withMessage('OTP is required')
     .isLength({ min: 6, max: 6 })
     .withMessage('OTP must be 6 digits')
     .isNumeric()
     .withMessage('OTP must contain only numbers'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code format'),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -94,6 +101,34 @@ const loginValidation = [
   }
 ];
 
+// Validation for authenticator app codes
+const totpCodeValidation = [
+  body('code')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Code must be 6 digits')
+    .isNumeric()
+    .withMessage('Code must contain only numbers'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+// Enrollment accepts a normal session or the setup token issued at login
+const enrollmentAuth = (req, res, next) => {
+  if (req.body?.setupToken) {
+    return next();
+  }
+  return verifyToken(req, res, next);
+};
+
 // Public routes - Authentication Flow
 
 // Step 1: Initial login (username/password verification)
@@ -117,6 +152,96 @@ router.post('/resend-otp',
   authController.resendOTP
 );
 
+// Passwordless sign-in links
+router.post('/magic-link',
+  rateLimiters.auth,
+  [
+    body('email')
+      .trim()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      next();
+    }
+  ],
+  authController.requestMagicLink
+);
+
+router.post('/magic-link/verify',
+  rateLimiters.auth,
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Token is required'),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      next();
+    }
+  ],
+  authController.verifyMagicLink
+);
+
+// Authenticator app enrollment (also reachable with a login setup token)
+router.post('/2fa/totp/setup',
+  rateLimiters.auth,
+  enrollmentAuth,
+  forbidImpersonation,
+  authController.setupTotp
+);
+
+router.post('/2fa/totp/confirm',
+  rateLimiters.auth,
+  enrollmentAuth,
+  forbidImpersonation,
+  totpCodeValidation,
+  authController.confirmTotp
+);
+
+// Password change required at login (expired or flagged by an admin)
+router.post('/password/change-required',
+  rateLimiters.auth,
+  [
+    body('changeToken')
+      .notEmpty()
+      .withMessage('Change token is required')
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid change token format'),
+    body('newPassword')
+      .custom(meetsPasswordPolicy),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      next();
+    }
+  ],
+  authController.changeRequiredPassword
+);
+
+router.get('/password-policy', authController.getPasswordPolicy);
+
 // Other authentication endpoints
 router.post('/register', 
   rateLimiters.auth,
@@ -158,10 +283,7 @@ router.post('/reset-password',
       .notEmpty()
       .withMessage('Reset token is required'),
     body('newPassword')
-      .isLength({ min: 8 })
-      .withMessage('Password must be at least 8 characters long')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+      .custom(meetsPasswordPolicy),
     (req, res, next) => {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -202,26 +324,60 @@ router.post('/resend-verification',
   authController.resendVerification
 );
 
+// OpenID Connect login (authorization code flow with PKCE)
+router.get('/oidc/providers', authController.getOidcProviders);
+
+router.get('/oidc/:provider/authorize',
+  rateLimiters.auth,
+  authController.startOidcLogin
+);
+
+router.post('/oidc/:provider/callback',
+  rateLimiters.auth,
+  [
+    body('state')
+      .isString()
+      .notEmpty()
+      .withMessage('State is required'),
+    body('code')
+      .if(body('error').not().exists())
+      .isString()
+      .notEmpty()
+      .withMessage('Authorization code is required'),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      next();
+    }
+  ],
+  authController.completeOidcLogin
+);
+
 // Protected routes - require authentication
 router.use(verifyToken);
 
 router.get('/profile', authController.getProfile);
 
-router.put('/profile', 
-  userValidation.update, 
+router.put('/profile',
+  forbidImpersonation,
+  userValidation.update,
   authController.updateProfile
 );
 
 router.post('/change-password',
+  forbidImpersonation,
   [
     body('currentPassword')
       .notEmpty()
       .withMessage('Current password is required'),
     body('newPassword')
-      .isLength({ min: 8 })
-      .withMessage('New password must be at least 8 characters long')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-      .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+      .custom(meetsPasswordPolicy),
     (req, res, next) => {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -243,6 +399,87 @@ router.post('/upload-avatar',
   authController.uploadProfileImage
 );
 
+// Signed-in devices
+router.get('/sessions', authController.getSessions);
+router.post('/sessions/revoke-all', forbidImpersonation, authController.revokeAllSessions);
+router.delete('/sessions/:id', forbidImpersonation, authController.revokeSession);
+
+// Personal data export and account deletion
+router.post('/me/export', forbidImpersonation, rateLimiters.auth, authController.exportAccountData);
+
+router.post('/me/deletion-request', forbidImpersonation, rateLimiters.auth, authController.requestAccountDeletion);
+
+router.delete('/me',
+  forbidImpersonation,
+  rateLimiters.auth,
+  [
+    body('password')
+      .if(body('confirmation_token').not().exists({ checkFalsy: true }))
+      .notEmpty()
+      .withMessage('Password or confirmation token is required to delete your account'),
+    body('confirmation_token')
+      .optional()
+      .isString()
+      .isLength({ max: 128 })
+      .withMessage('Invalid confirmation token'),
+    (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+      next();
+    }
+  ],
+  authController.deleteAccount
+);
+
+router.delete('/me/deletion', forbidImpersonation, authController.cancelAccountDeletion);
+
+// Linked login provider accounts
+router.get('/identities', authController.getIdentities);
+router.delete('/identities/:id', forbidImpersonation, authController.unlinkIdentity);
+
+// Two-factor settings
+router.get('/2fa', authController.getTwoFactorStatus);
+
+router.put('/2fa/method',
+  forbidImpersonation,
+  [
+    body('method')
+      .isIn(['email', 'totp'])
+      .withMessage('Method must be email or totp'),
+    ...totpCodeValidation
+  ],
+  authController.setTwoFactorMethod
+);
+
+router.post('/2fa/recovery-codes',
+  forbidImpersonation,
+  rateLimiters.auth,
+  totpCodeValidation,
+  authController.regenerateRecoveryCodes
+);
+
+router.delete('/2fa/totp',
+  forbidImpersonation,
+  rateLimiters.auth,
+  authController.disableTotp
+);
+
+router.delete('/2fa/users/:id',
+  forbidImpersonation,
+  requirePermission('users:update'),
+  audit('user.reset_two_factor', 'user'),
+  authController.resetUserTwoFactor
+);
+
+// End an impersonation (called with the impersonation token)
+router.delete('/impersonation', authController.stopImpersonation);
+
 router.get('/check', authController.checkAuth);
 
 router.get('/permissions', authController.getPermissions);
@@ -255,6 +492,7 @@ router.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     features: {
       twoFactorAuth: true,
+      authenticatorApp: true,
       emailVerification: true,
       passwordReset: true,
       sessionManagement: true
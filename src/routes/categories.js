@@ -2,20 +2,20 @@
 const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/categoryController');
-const { verifyToken, requireRole } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { categoryValidation, idValidation, paginationValidation } = require('../middleware/validation');
+const { audit } = require('../middleware/audit');
 
 // Public routes
 router.get('/', paginationValidation, categoryController.getCategories);
 router.get('/:id', idValidation, categoryController.getCategory);
 
-// Protected routes (admin/editor only)
+// Protected routes
 router.use(verifyToken);
-router.use(requireRole(['admin', 'editor']));
 
-router.post('/', categoryValidation.create, categoryController.createCategory);
-router.put('/:id', idValidation, categoryValidation.update, categoryController.updateCategory);
-router.delete('/:id', idValidation, categoryController.deleteCategory);
+router.post('/', requirePermission('categories:create'), categoryValidation.create, audit('category.create', 'category'), categoryController.createCategory);
+router.put('/:id', requirePermission('categories:update'), idValidation, categoryValidation.update, audit('category.update', 'category'), categoryController.updateCategory);
+router.delete('/:id', requirePermission('categories:delete'), idValidation, audit('category.delete', 'category'), categoryController.deleteCategory);
 
 module.exports = router;
 
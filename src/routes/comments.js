@@ -2,12 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const commentController = require('../controllers/commentController');
-const { verifyToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { verifyToken, requirePermission, optionalAuth } = require('../middleware/auth');
 const { commentValidation, idValidation, paginationValidation } = require('../middleware/validation');
 const { rateLimiters } = require('../middleware/security');
+const { audit } = require('../middleware/audit');
 
 // Public routes
-router.get('/article/:articleId', idValidation, paginationValidation, commentController.getComments);
+router.get('/article/:articleId', optionalAuth, commentValidation.list, paginationValidation, commentController.getComments);
+router.get('/:id/replies', optionalAuth, idValidation, commentValidation.replies, paginationValidation, commentController.getReplies);
+
+// Signed links from notification emails
+router.get('/subscriptions/unsubscribe', commentValidation.subscriptionToken, commentController.unsubscribe);
+router.post('/subscriptions/unsubscribe', commentValidation.subscriptionToken, commentController.unsubscribe);
+router.get('/subscriptions/confirm', commentValidation.subscriptionToken, commentController.confirmSubscription);
 
 // Protected routes
 router.use(optionalAuth);
@@ -15,18 +22,33 @@ router.use(optionalAuth);
 // Create comment (rate limited)
 router.post('/', rateLimiters.comment, commentValidation.create, commentController.createComment);
 
+// Votes and reactions (guests identified by IP + User-Agent, rate limited)
+router.post('/:id/vote', rateLimiters.commentVote, idValidation, commentValidation.vote, commentController.voteComment);
+router.post('/:id/reactions', rateLimiters.commentVote, idValidation, commentValidation.reaction, commentController.reactToComment);
+router.delete('/:id/reactions', rateLimiters.commentVote, idValidation, commentController.removeReaction);
+
+// Follow an article or thread (guests confirm by email)
+router.post('/subscriptions', rateLimiters.comment, commentValidation.subscribe, commentController.subscribe);
+
 // Authenticated routes
 router.use(verifyToken);
 
+// Subscriptions of the current user
+router.get('/subscriptions', commentController.getSubscriptions);
+router.delete('/subscriptions/:id', idValidation, commentController.deleteSubscription);
+
 // User can update/delete their own comments
 router.put('/:id', idValidation, commentController.updateComment);
 router.delete('/:id', idValidation, commentController.deleteComment);
 
-// Admin/Editor routes
-router.get('/admin/all', requireRole(['admin', 'editor']), paginationValidation, commentController.getCommentsAdmin);
-router.post('/:id/approve', requireRole(['admin', 'editor']), idValidation, commentController.approveComment);
-router.post('/:id/reject', requireRole(['admin', 'editor']), idValidation, commentController.rejectComment);
-router.post('/:id/spam', requireRole(['admin', 'editor']), idValidation, commentController.markAsSpam);
+// Moderation routes
+router.get('/admin/all', requirePermission('comments:approve'), paginationValidation, commentController.getCommentsAdmin);
+router.get('/admin/queue', requirePermission('comments:approve'), paginationValidation, commentValidation.queue, commentController.getModerationQueue);
+router.get('/admin/pending-count', requirePermission('comments:approve'), commentController.getPendingCount);
+router.post('/admin/bulk', requirePermission('comments:approve'), commentValidation.bulk, audit('comment.bulk_moderate'), commentController.bulkAction);
+router.post('/:id/approve', requirePermission('comments:approve'), idValidation, audit('comment.approve', 'comment'), commentController.approveComment);
+router.post('/:id/reject', requirePermission('comments:approve'), idValidation, audit('comment.reject', 'comment'), commentController.rejectComment);
+router.post('/:id/spam', requirePermission('comments:approve'), idValidation, audit('comment.spam', 'comment'), commentController.markAsSpam);
 
 module.exports = router;
 
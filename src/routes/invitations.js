@@ -0,0 +1,24 @@
+// src/routes/invitations.js
+const express = require('express');
+const router = express.Router();
+const invitationController = require('../controllers/invitationController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { invitationValidation, idValidation, paginationValidation } = require('../middleware/validation');
+const { rateLimiters } = require('../middleware/security');
+const { audit } = require('../middleware/audit');
+
+// Public routes for the invitee (the link token is the credential)
+router.post('/lookup', rateLimiters.auth, invitationValidation.token, invitationController.lookupInvitation);
+router.post('/accept', rateLimiters.auth, invitationValidation.accept, invitationController.acceptInvitation);
+
+// Invitation management
+router.use(verifyToken);
+router.use(requirePermission('users:create'));
+
+router.get('/', paginationValidation, invitationValidation.list, invitationController.getInvitations);
+router.get('/:id', idValidation, invitationController.getInvitation);
+router.post('/', invitationValidation.create, audit('invitation.create', 'invitation'), invitationController.createInvitation);
+router.post('/:id/resend', idValidation, audit('invitation.resend', 'invitation'), invitationController.resendInvitation);
+router.delete('/:id', idValidation, audit('invitation.revoke', 'invitation'), invitationController.revokeInvitation);
+
+module.exports = router;
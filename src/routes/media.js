@@ -2,8 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const mediaController = require('../controllers/mediaController');
-const { verifyToken, requireRole } = require('../middleware/auth');
-const { idValidation, paginationValidation } = require('../middleware/validation');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { idValidation, paginationValidation, mediaValidation } = require('../middleware/validation');
+const { audit } = require('../middleware/audit');
 const { fileUploadSecurity, rateLimiters } = require('../middleware/security');
 const multer = require('multer');
 
@@ -26,27 +27,31 @@ const upload = multer({
   }
 });
 
-// All routes require authentication
+// Signed image renders are public (the signature is the authorization)
+router.get('/:id/render', mediaValidation.render, mediaController.renderMedia);
+
+// All other routes require authentication
 router.use(verifyToken);
 
 // Get media
 router.get('/', paginationValidation, mediaController.getMedia);
 router.get('/:id', idValidation, mediaController.getMediaById);
+router.get('/:id/render-url', requirePermission('media:upload'), mediaValidation.renderUrl, mediaController.getRenderUrl);
 
 // Upload media (rate limited)
 router.post('/upload', rateLimiters.upload, upload.single('file'), fileUploadSecurity, mediaController.uploadMedia);
 router.post('/bulk-upload', rateLimiters.upload, upload.array('files', 10), fileUploadSecurity, mediaController.bulkUploadMedia);
 
 // Update media metadata
-router.put('/:id', idValidation, mediaController.updateMedia);
+router.put('/:id', requirePermission('media:upload'), mediaValidation.update, mediaController.updateMedia);
 
 // Delete media
 router.delete('/:id', idValidation, mediaController.deleteMedia);
 
-// Admin only routes
-router.get('/admin/stats', requireRole(['admin']), mediaController.getMediaStats);
-router.post('/admin/cleanup', requireRole(['admin']), mediaController.cleanupUnusedMedia);
-router.post('/:id/convert-webp', requireRole(['admin']), idValidation, mediaController.convertToWebP);
+// Media management routes
+router.get('/admin/stats', requirePermission('media:manage'), mediaController.getMediaStats);
+router.post('/admin/cleanup', requirePermission('media:manage'), audit('media.cleanup'), mediaController.cleanupUnusedMedia);
+router.post('/:id/convert-webp', requirePermission('media:manage'), idValidation, audit('media.convert_webp', 'media'), mediaController.convertToWebP);
 
 module.exports = router;
 
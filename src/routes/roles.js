@@ -0,0 +1,20 @@
+// src/routes/roles.js
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { roleValidation, idValidation } = require('../middleware/validation');
+const { audit } = require('../middleware/audit');
+
+// All routes require role management permission
+router.use(verifyToken);
+router.use(requirePermission('users:manage_roles'));
+
+router.get('/', roleController.getRoles);
+router.get('/permissions', roleController.getPermissionCatalog);
+router.get('/:id', idValidation, roleController.getRole);
+router.post('/', roleValidation.create, audit('role.create', 'role'), roleController.createRole);
+router.put('/:id', idValidation, roleValidation.update, audit('role.update', 'role'), roleController.updateRole);
+router.delete('/:id', idValidation, audit('role.delete', 'role'), roleController.deleteRole);
+
+module.exports = router;
@@ -2,7 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const sitemapController = require('../controllers/sitemapController');
-const { verifyToken, requireRole } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const { rateLimiters } = require('../middleware/security'); // Fixed: Changed from rateLimiter to security
 
 // Public sitemap routes (no authentication required)
@@ -19,11 +20,11 @@ router.get('/robots.txt', rateLimiters.general, sitemapController.getRobotsTxt);
 router.get('/ads.txt', rateLimiters.general, sitemapController.getAdsTxt);
 
 // Admin routes for sitemap management
-router.use('/admin', verifyToken, requireRole(['admin', 'editor']));
+router.use('/admin', verifyToken, requirePermission('sitemap:manage'));
 
 router.get('/admin/stats', sitemapController.getSitemapStats);
-router.post('/admin/generate', sitemapController.generateSitemaps);
-router.post('/admin/clear-cache', sitemapController.clearSitemapCache);
-router.post('/admin/ping-search-engines', sitemapController.pingSearchEngines);
+router.post('/admin/generate', audit('sitemap.generate'), sitemapController.generateSitemaps);
+router.post('/admin/clear-cache', audit('sitemap.clear_cache'), sitemapController.clearSitemapCache);
+router.post('/admin/ping-search-engines', audit('sitemap.ping_search_engines'), sitemapController.pingSearchEngines);
 
 module.exports = router;
\ No newline at end of file
@@ -2,20 +2,20 @@
 const express = require('express');
 const router = express.Router();
 const tagController = require('../controllers/tagController');
-const { verifyToken, requireRole } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const { tagValidation, idValidation, paginationValidation } = require('../middleware/validation');
+const { audit } = require('../middleware/audit');
 
 // Public routes
 router.get('/', paginationValidation, tagController.getTags);
 router.get('/:id', idValidation, tagController.getTag);
 
-// Protected routes (admin/editor only)
+// Protected routes
 router.use(verifyToken);
-router.use(requireRole(['admin', 'editor']));
 
-router.post('/', tagValidation.create, tagController.createTag);
-router.put('/:id', idValidation, tagValidation.update, tagController.updateTag);
-router.delete('/:id', idValidation, tagController.deleteTag);
+router.post('/', requirePermission('tags:create'), tagValidation.create, audit('tag.create', 'tag'), tagController.createTag);
+router.put('/:id', requirePermission('tags:update'), idValidation, tagValidation.update, audit('tag.update', 'tag'), tagController.updateTag);
+router.delete('/:id', requirePermission('tags:delete'), idValidation, audit('tag.delete', 'tag'), tagController.deleteTag);
 
 module.exports = router;
 
@@ -2,24 +2,25 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { verifyToken, requireRole } = require('../middleware/auth');
+const { verifyToken, requirePermission, forbidImpersonation } = require('../middleware/auth');
 const { userValidation, idValidation, paginationValidation } = require('../middleware/validation');
+const { audit } = require('../middleware/audit');
 
 // All routes require authentication
 router.use(verifyToken);
 
-// Get users (admin/editor only)
-router.get('/', requireRole(['admin', 'editor']), paginationValidation, userController.getUsers);
-router.get('/:id', requireRole(['admin', 'editor']), idValidation, userController.getUser);
+// Get users
+router.get('/', requirePermission('users:read'), paginationValidation, userController.getUsers);
+router.get('/:id', requirePermission('users:read'), idValidation, userController.getUser);
 
-// Admin only routes
-router.use(requireRole(['admin']));
-
-router.post('/', userValidation.register, userController.createUser);
-router.put('/:id', idValidation, userValidation.update, userController.updateUser);
-router.delete('/:id', idValidation, userController.deleteUser);
-router.post('/:id/activate', idValidation, userController.activateUser);
-router.post('/:id/deactivate', idValidation, userController.deactivateUser);
+// User management
+router.post('/', requirePermission('users:create'), userValidation.register, audit('user.create', 'user'), userController.createUser);
+router.put('/:id', requirePermission('users:update'), idValidation, userValidation.update, audit('user.update', 'user'), userController.updateUser);
+router.delete('/:id', requirePermission('users:delete'), idValidation, audit('user.delete', 'user'), userController.deleteUser);
+router.post('/:id/activate', requirePermission('users:update'), idValidation, audit('user.activate', 'user'), userController.activateUser);
+router.post('/:id/deactivate', requirePermission('users:update'), idValidation, audit('user.deactivate', 'user'), userController.deactivateUser);
+router.post('/:id/impersonate', forbidImpersonation, requirePermission('users:impersonate'), idValidation, userValidation.impersonate, userController.impersonateUser);
+router.post('/:id/reset-password', requirePermission('users:update'), idValidation, userValidation.resetPassword, audit('user.password_reset', 'user'), userController.resetUserPassword);
 
 module.exports = router;
 
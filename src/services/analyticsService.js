@@ -15,6 +15,7 @@ class AnalyticsService {
     try {
       const eventData = {
         article_id: articleId,
+        user_id: req.user?.id || null,
         event_type: 'view',
         ip_address: this.getClientIP(req),
         user_agent: req.get('User-Agent'),
@@ -43,6 +44,7 @@ class AnalyticsService {
     try {
       const eventData = {
         article_id: articleId,
+        user_id: req.user?.id || null,
         event_type: eventType,
         ip_address: this.getClientIP(req),
         user_agent: req.get('User-Agent'),
@@ -408,16 +410,32 @@ class AnalyticsService {
     const csvContent = [
       headers.join(','),
       ...data.map(row =>
-        headers.map(header => {
-          const value = row[header];
-          return typeof value === 'string' && value.includes(',') ? `"${value}"` : value;
-        }).join(',')
+        headers.map(header => this.escapeCSVValue(row[header])).join(',')
       )
     ].join('\n');
 
     return csvContent;
   }
 
+  // Quote values with separators, quotes or line breaks, and keep
+  // spreadsheet apps from evaluating text that looks like a formula
+  escapeCSVValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
   // Parse user agent for device/browser info
   parseUserAgent(userAgent) {
     if (!userAgent) {
@@ -1,6 +1,7 @@
 // src/services/articleService.js
 const Article = require('../models/Article');
 const redis = require('../config/redis');
+const schedulerService = require('./schedulerService');
 const logger = require('../utils/logger');
 
 class ArticleService {
@@ -194,19 +195,23 @@ class ArticleService {
       throw new Error('Article not found');
     }
 
-    await article.update({
-      scheduled_at: publishAt,
-      status: 'draft'
-    });
+    // Only approved articles are published by the scheduler, so scheduling
+    // never skips editorial review
+    if (article.status !== 'approved') {
+      throw new Error('Only approved articles can be scheduled');
+    }
 
-    // You could implement a job queue here to actually publish the article
-    // For now, this is just setting the scheduled_at time
+    await article.update({ scheduled_at: publishAt });
+
+    // The publish scheduler (see schedulerService) publishes the article once
+    // scheduled_at has passed; rescheduling resets any previous failed attempts
+    await schedulerService.clearJob(article.id);
     
     return article;
   }
 
   // Bulk operations
-  async bulkUpdateStatus(articleIds, status, userId) {
+  async bulkUpdateStatus(articleIds, status, userId, userRole, apiKey = null) {
     const results = { processed: 0, failed: 0 };
 
     for (const id of articleIds) {
@@ -218,7 +223,7 @@ class ArticleService {
         }
 
         // Check permissions
-        if (!article.canEdit(userId, 'admin')) {
+        if (!(await article.canEdit(userId, userRole, apiKey))) {
           results.failed++;
           continue;
         }
@@ -264,6 +269,106 @@ class ArticleService {
     }, 300); // 5 minute cache
   }
 
+  // Compare a stored revision with the current article, field by field
+  diffRevision(revision, article) {
+    const fields = ['title', 'excerpt', 'content', 'meta_title', 'meta_description', 'meta_keywords'];
+    const changes = {};
+
+    fields.forEach(field => {
+      const before = revision[field] || '';
+      const after = article[field] || '';
+
+      if (before !== after) {
+        changes[field] = this.diffWords(before, after);
+      }
+    });
+
+    // Non-text fields are reported as plain before/after values
+    ['featured_image', 'category_id'].forEach(field => {
+      if ((revision[field] ?? null) !== (article[field] ?? null)) {
+        changes[field] = { from: revision[field] ?? null, to: article[field] ?? null };
+      }
+    });
+
+    return changes;
+  }
+
+  // Word-level diff of two texts (HTML tags are ignored)
+  diffWords(oldText, newText) {
+    const tokenize = text => text.replace(/<[^>]*>/g, ' ').split(/\s+/).filter(word => word.length > 0);
+    const oldWords = tokenize(oldText);
+    const newWords = tokenize(newText);
+
+    // Skip the common prefix and suffix so only the changed middle is compared
+    let start = 0;
+    while (start < oldWords.length && start < newWords.length && oldWords[start] === newWords[start]) {
+      start++;
+    }
+
+    let oldEnd = oldWords.length;
+    let newEnd = newWords.length;
+    while (oldEnd > start && newEnd > start && oldWords[oldEnd - 1] === newWords[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    const segments = [];
+    const push = (type, words) => {
+      if (words.length === 0) return;
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) {
+        last.text += ' ' + words.join(' ');
+      } else {
+        segments.push({ type, text: words.join(' ') });
+      }
+    };
+
+    push('equal', oldWords.slice(0, start));
+
+    const oldMiddle = oldWords.slice(start, oldEnd);
+    const newMiddle = newWords.slice(start, newEnd);
+    const rows = oldMiddle.length + 1;
+    const cols = newMiddle.length + 1;
+
+    if (rows * cols > 4000000) {
+      // Too large for a word-by-word comparison, report the block as replaced
+      push('removed', oldMiddle);
+      push('added', newMiddle);
+    } else {
+      // Longest common subsequence table, filled from the end
+      const lcs = new Uint32Array(rows * cols);
+      for (let i = oldMiddle.length - 1; i >= 0; i--) {
+        for (let j = newMiddle.length - 1; j >= 0; j--) {
+          lcs[i * cols + j] = oldMiddle[i] === newMiddle[j]
+            ? lcs[(i + 1) * cols + j + 1] + 1
+            : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < oldMiddle.length && j < newMiddle.length) {
+        if (oldMiddle[i] === newMiddle[j]) {
+          push('equal', [oldMiddle[i]]);
+          i++;
+          j++;
+        } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+          push('removed', [oldMiddle[i]]);
+          i++;
+        } else {
+          push('added', [newMiddle[j]]);
+          j++;
+        }
+      }
+      push('removed', oldMiddle.slice(i));
+      push('added', newMiddle.slice(j));
+    }
+
+    push('equal', oldWords.slice(oldEnd));
+
+    return segments;
+  }
+
   // Get content analysis
   analyzeContent(content) {
     if (!content) {
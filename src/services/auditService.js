@@ -0,0 +1,79 @@
+// src/services/auditService.js
+const db = require('../config/database');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+class AuditService {
+  constructor() {
+    // Audited target types and the tables their snapshots come from
+    this.tables = {
+      article: 'articles',
+      user: 'users',
+      ad: 'ads',
+      category: 'categories',
+      tag: 'tags',
+      media: 'media',
+      comment: 'comments',
+      role: 'roles',
+      api_key: 'api_keys',
+      invitation: 'invitations'
+    };
+
+    // Never copied into a snapshot
+    this.redactedFields = /password|secret|token|hash/i;
+  }
+
+  redact(data) {
+    if (Array.isArray(data)) {
+      return data.map(item => this.redact(item));
+    }
+
+    if (!data || typeof data !== 'object' || data instanceof Date) {
+      return data;
+    }
+
+    return Object.fromEntries(
+      Object.entries(data)
+        .filter(([, value]) => !Buffer.isBuffer(value))
+        .map(([key, value]) => [key, this.redactedFields.test(key) ? '[redacted]' : this.redact(value)])
+    );
+  }
+
+  // Current state of a record, or null if it doesn't exist (anymore)
+  async snapshot(targetType, targetId) {
+    const table = this.tables[targetType];
+    if (!table || !targetId) {
+      return null;
+    }
+
+    const [rows] = await db.execute(`SELECT * FROM ${table} WHERE id = ?`, [targetId]);
+    return rows.length > 0 ? this.redact(rows[0]) : null;
+  }
+
+  // Write an entry for the current request. Failures are logged, never thrown,
+  // so auditing can't break the action itself. Under impersonation the
+  // administrator is the actor.
+  async record(req, { action, targetType = null, targetId = null, before = null, after = null }) {
+    const actor = req.impersonator || req.user;
+
+    try {
+      await AuditLog.create({
+        actor_id: actor?.id,
+        actor_role: actor?.role,
+        api_key_id: req.apiKey?.id,
+        impersonated_user_id: req.impersonator ? req.user?.id : null,
+        action,
+        target_type: targetType,
+        target_id: targetId,
+        before_data: before,
+        after_data: after,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log entry:', { action, targetType, targetId, error: error.message });
+    }
+  }
+}
+
+module.exports = new AuditService();
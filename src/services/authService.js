@@ -1,5 +1,8 @@
 // src/services/authService.js - Enhanced with better error handling
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
+const passwordPolicyService = require('./passwordPolicyService');
 const redis = require('../config/redis');
 const crypto = require('crypto');
 const logger = require('../../scripts/baksrc/utils/logger');
@@ -11,6 +14,14 @@ class AuthService {
     this.lockoutDuration = 15 * 60; // 15 minutes
     this.otpLength = 6;
     this.otpValidityDuration = 600; // 10 minutes
+    this.sessionTTL = parseInt(process.env.SESSION_TTL) || 7 * 24 * 60 * 60; // matches refresh token lifetime
+    this.sessionTouchInterval = 60; // seconds between last-activity writes
+    this.permissionCacheTTL = 5 * 60; // 5 minutes
+    this.magicLinkTTL = parseInt(process.env.MAGIC_LINK_TTL) || 15 * 60; // 15 minutes
+    this.magicLinkRoles = (process.env.MAGIC_LINK_ROLES ?? 'user')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
   }
 
   // Generate OTP
@@ -175,12 +186,13 @@ class AuthService {
     }
   }
 
-  // Store OTP session data
-  async storeOTPSession(userId, email, otp, sessionToken) {
+  // Store OTP session data (`method` is 'email' or 'totp'; TOTP sessions carry no code)
+  async storeOTPSession(userId, email, otp, sessionToken, method = 'email') {
     try {
       const sessionData = {
         userId,
         email,
+        method,
         otp,
         attempts: 0,
         maxAttempts: 3,
@@ -299,35 +311,10 @@ class AuthService {
     return crypto.randomBytes(length).toString('hex');
   }
 
-  // Validate password strength
-  validatePasswordStrength(password) {
-    const minLength = 8;
-    const hasUpperCase = /[A-Z]/.test(password);
-    const hasLowerCase = /[a-z]/.test(password);
-    const hasNumbers = /\d/.test(password);
-    const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-
-    const issues = [];
-
-    if (password.length < minLength) {
-      issues.push(`Password must be at least ${minLength} characters long`);
-    }
-
-    if (!hasUpperCase) {
-      issues.push('Password must contain at least one uppercase letter');
-    }
-
-    if (!hasLowerCase) {
-      issues.push('Password must contain at least one lowercase letter');
-    }
-
-    if (!hasNumbers) {
-      issues.push('Password must contain at least one number');
-    }
-
-    if (!hasSpecialChar) {
-      issues.push('Password must contain at least one special character');
-    }
+  // Validate a candidate password against the password policy
+  // (`user` adds the reuse check against their recent passwords)
+  async validatePasswordStrength(password, user = null) {
+    const issues = await passwordPolicyService.check(password, user);
 
     return {
       isValid: issues.length === 0,
@@ -364,70 +351,110 @@ class AuthService {
     return 'very_strong';
   }
 
-  // Get user permissions based on role
-  getUserPermissions(role) {
-    const permissions = {
-      admin: {
-        articles: ['create', 'read', 'update', 'delete', 'approve', 'schedule'],
-        users: ['create', 'read', 'update', 'delete', 'manage_roles'],
-        categories: ['create', 'read', 'update', 'delete'],
-        tags: ['create', 'read', 'update', 'delete'],
-        comments: ['read', 'approve', 'delete'],
-        media: ['upload', 'read', 'delete'],
-        ads: ['create', 'read', 'update', 'delete'],
-        analytics: ['read', 'export']
-      },
-      editor: {
-        articles: ['create', 'read', 'update', 'delete', 'approve', 'schedule'],
-        users: ['read'],
-        categories: ['create', 'read', 'update'],
-        tags: ['create', 'read', 'update'],
-        comments: ['read', 'approve', 'delete'],
-        media: ['upload', 'read', 'delete'],
-        ads: ['read'],
-        analytics: ['read']
-      },
-      journalist: {
-        articles: ['create', 'read', 'update_own'],
-        users: ['read_profile'],
-        categories: ['read'],
-        tags: ['read'],
-        comments: ['read'],
-        media: ['upload', 'read_own'],
-        ads: ['read'],
-        analytics: ['read_own']
-      },
-      user: {
-        articles: ['read'],
-        users: ['read_profile'],
-        categories: ['read'],
-        tags: ['read'],
-        comments: ['create', 'read'],
-        media: ['read'],
-        ads: ['read'],
-        analytics: []
-      }
-    };
+  // Effective permissions ("resource:action") of a role, cached briefly
+  async getEffectivePermissions(role) {
+    const cacheKey = `role_permissions:${role}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const permissions = await Role.getPermissionsFor(role);
+      await redis.set(cacheKey, permissions, this.permissionCacheTTL);
+      return permissions;
+    } catch (error) {
+      logger.error('Error loading role permissions:', error);
+      return Role.defaultPermissions[role] || [];
+    }
+  }
+
+  async invalidateRolePermissions(role) {
+    await redis.del(`role_permissions:${role}`);
+  }
+
+  // A request made with an API key only gets the permissions both the
+  // owner's role and the key's scopes grant
+  async hasPermission(role, permission, apiKey = null) {
+    return Role.grants(await this.getEffectivePermissions(role), permission) &&
+      this.keyGrants(apiKey, permission);
+  }
+
+  keyGrants(apiKey, permission) {
+    return !apiKey || Role.grants(apiKey.permissions, permission);
+  }
+
+  // Permission check for the user (and API key) of the current request
+  async can(req, permission) {
+    return !!req.user && await this.hasPermission(req.user.role, permission, req.apiKey);
+  }
+
+  // Managing an account whose role grants something the caller's role doesn't
+  // (resetting its password, editing or deleting it) would hand the caller
+  // those permissions, so that needs users:manage_roles
+  async canManageUser(req, user) {
+    const [own, target] = await Promise.all([
+      this.getEffectivePermissions(req.user.role),
+      this.getEffectivePermissions(user.role)
+    ]);
+
+    if (target.every(permission => Role.grants(own, permission))) {
+      return true;
+    }
+
+    return await this.can(req, 'users:manage_roles');
+  }
+
+  // Get user permissions based on role, grouped by resource
+  async getUserPermissions(role) {
+    return Role.groupPermissions(await this.getEffectivePermissions(role));
+  }
 
-    return permissions[role] || permissions.user;
+  // Session management. Each login creates a device session (`session:<id>`)
+  // that is indexed per user in `user_sessions:<userId>`; tokens carry its id.
+  userSessionsKey(userId) {
+    return `user_sessions:${userId}`;
+  }
+
+  // Short device label from a user agent, e.g. "Chrome on Windows"
+  describeDevice(userAgent = '') {
+    const browsers = [
+      ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ];
+    const systems = [
+      ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+      ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) {
+      return 'Unknown device';
+    }
+
+    return [browser?.[0] || 'Unknown browser', system?.[0]].filter(Boolean).join(' on ');
   }
 
-  // Session management
   async createSession(userId, deviceInfo = {}) {
     try {
       const sessionId = this.generateSecureToken();
       const sessionData = {
+        id: sessionId,
         userId,
         createdAt: new Date().toISOString(),
         lastActivity: new Date().toISOString(),
         deviceInfo: {
           userAgent: deviceInfo.userAgent || 'unknown',
           ip: deviceInfo.ip || 'unknown',
-          location: deviceInfo.location || 'unknown'
+          location: deviceInfo.location || 'unknown',
+          device: this.describeDevice(deviceInfo.userAgent)
         }
       };
 
-      await redis.setSession(sessionId, sessionData, 24 * 60 * 60); // 24 hours
+      await redis.setSession(sessionId, sessionData, this.sessionTTL);
+      await redis.hset(this.userSessionsKey(userId), sessionId, sessionData.createdAt, this.sessionTTL);
       return sessionId;
     } catch (error) {
       logger.error('Error creating session:', error);
@@ -445,7 +472,7 @@ class AuthService {
 
       // Update last activity
       sessionData.lastActivity = new Date().toISOString();
-      await redis.setSession(sessionId, sessionData, 24 * 60 * 60);
+      await redis.setSession(sessionId, sessionData, this.sessionTTL);
 
       return sessionData;
     } catch (error) {
@@ -454,10 +481,61 @@ class AuthService {
     }
   }
 
+  // Whether a token's session is still valid. Without Redis there is no
+  // registry to check, so tokens stay valid until they expire.
+  async isSessionActive(sessionId, userId) {
+    const status = redis.getStatus();
+    if (!status.enabled || !status.connected) {
+      return true;
+    }
+
+    const sessionData = await redis.getSession(sessionId);
+    return !!sessionData && sessionData.userId === userId;
+  }
+
+  // Record activity on a session (throttled to one write per interval)
+  async touchSession(sessionId, { ip, userAgent } = {}) {
+    try {
+      const sessionData = await redis.getSession(sessionId);
+      if (!sessionData) {
+        return null;
+      }
+
+      const sinceLastWrite = Date.now() - new Date(sessionData.lastActivity).getTime();
+      const ipChanged = ip && sessionData.deviceInfo.ip !== ip;
+      if (sinceLastWrite < this.sessionTouchInterval * 1000 && !ipChanged) {
+        return sessionData;
+      }
+
+      sessionData.lastActivity = new Date().toISOString();
+      if (ip) sessionData.deviceInfo.ip = ip;
+      if (userAgent) {
+        sessionData.deviceInfo.userAgent = userAgent;
+        sessionData.deviceInfo.device = this.describeDevice(userAgent);
+      }
+
+      await redis.setSession(sessionId, sessionData, this.sessionTTL);
+      await redis.expire(this.userSessionsKey(sessionData.userId), this.sessionTTL);
+      return sessionData;
+    } catch (error) {
+      logger.error('Error updating session activity:', error);
+      return null;
+    }
+  }
+
   // Revoke session
-  async revokeSession(sessionId) {
+  async revokeSession(sessionId, userId = null, reason = 'logout') {
     try {
+      const sessionData = await redis.getSession(sessionId);
+      const ownerId = userId || sessionData?.userId;
+
       await redis.deleteSession(sessionId);
+      if (ownerId) {
+        await redis.hdel(this.userSessionsKey(ownerId), sessionId);
+      }
+
+      // The session's refresh tokens stop working as well
+      await RefreshToken.revokeFamily(sessionId, reason);
       return true;
     } catch (error) {
       logger.error('Error revoking session:', error);
@@ -465,14 +543,55 @@ class AuthService {
     }
   }
 
-  // Get user sessions
+  // Revoke every session of a user, optionally keeping one (the current device)
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    const sessionIds = Object.keys(await redis.hgetall(this.userSessionsKey(userId)));
+    let revoked = 0;
+
+    for (const sessionId of sessionIds) {
+      if (sessionId === exceptSessionId) {
+        continue;
+      }
+
+      if (await this.revokeSession(sessionId, userId, 'logout_everywhere')) {
+        revoked++;
+      }
+    }
+
+    // Also catches families whose session index was lost (e.g. Redis restart)
+    await RefreshToken.revokeAllForUser(userId, exceptSessionId);
+
+    return revoked;
+  }
+
+  // Get user sessions, most recently active first
   async getUserSessions(userId) {
     try {
-      // This is a simplified implementation
-      // In a real app, you'd maintain a user-to-sessions mapping
+      const registryKey = this.userSessionsKey(userId);
+      const sessionIds = Object.keys(await redis.hgetall(registryKey));
       const sessions = [];
-      // Implementation would depend on your session storage strategy
-      return sessions;
+
+      for (const sessionId of sessionIds) {
+        const sessionData = await redis.getSession(sessionId);
+
+        // Drop index entries of sessions that expired on their own
+        if (!sessionData) {
+          await redis.hdel(registryKey, sessionId);
+          continue;
+        }
+
+        sessions.push({
+          id: sessionId,
+          device: sessionData.deviceInfo.device,
+          user_agent: sessionData.deviceInfo.userAgent,
+          ip: sessionData.deviceInfo.ip,
+          location: sessionData.deviceInfo.location,
+          created_at: sessionData.createdAt,
+          last_activity: sessionData.lastActivity
+        });
+      }
+
+      return sessions.sort((a, b) => new Date(b.last_activity) - new Date(a.last_activity));
     } catch (error) {
       logger.error('Error getting user sessions:', error);
       return [];
@@ -512,6 +631,99 @@ class AuthService {
     }
   }
 
+  // Magic links: single-use signed sign-in links, `<payload>.<signature>`.
+  // The payload's id must still be in Redis, so every link works only once.
+  signMagicLinkPayload(data) {
+    return crypto
+      .createHmac('sha256', process.env.MAGIC_LINK_SECRET || process.env.JWT_SECRET)
+      .update(data)
+      .digest('base64url');
+  }
+
+  canUseMagicLink(user) {
+    return this.magicLinkRoles.includes(user.role);
+  }
+
+  // Create a link token for an email address; null when no eligible account
+  // exists (callers must not reveal which)
+  async createMagicLink(email, ip) {
+    if (await this.isAccountLocked(email)) {
+      const error = new Error('Account is temporarily locked due to too many failed login attempts');
+      error.code = 'ACCOUNT_LOCKED';
+      throw error;
+    }
+
+    if (!redis.getStatus().connected) {
+      const error = new Error('Magic link sign-in is temporarily unavailable');
+      error.code = 'MAGIC_LINK_UNAVAILABLE';
+      throw error;
+    }
+
+    const user = await User.findByEmail(email);
+    if (!user || !user.email_verified || !this.canUseMagicLink(user)) {
+      return null;
+    }
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const payload = Buffer.from(JSON.stringify({
+      id,
+      uid: user.id,
+      exp: Date.now() + this.magicLinkTTL * 1000
+    })).toString('base64url');
+
+    await redis.set(`magic_link:${id}`, { userId: user.id, ip }, this.magicLinkTTL);
+
+    return { user, token: `${payload}.${this.signMagicLinkPayload(payload)}` };
+  }
+
+  // Use a link token; returns the user, or null for invalid, expired or used links
+  async consumeMagicLink(token, ip) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = this.signMagicLinkPayload(payload);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    // Atomic, so two requests racing with the same link can't both sign in
+    const stored = await redis.getDel(`magic_link:${data.id}`);
+
+    const user = await User.findById(data.uid);
+    if (!user) {
+      return null;
+    }
+
+    if (await this.isAccountLocked(user.email)) {
+      const error = new Error('Account is temporarily locked due to too many failed login attempts');
+      error.code = 'ACCOUNT_LOCKED';
+      throw error;
+    }
+
+    if (!stored || stored.userId !== user.id || data.exp < Date.now()) {
+      // A used or expired link counts as a failed attempt for the account
+      await this.trackFailedLogin(user.email, ip);
+      return null;
+    }
+
+    if (!user.email_verified || !this.canUseMagicLink(user)) {
+      return null;
+    }
+
+    await this.clearFailedAttempts(user.email);
+    return user;
+  }
+
   // Password reset flow
   async initiatePasswordReset(email) {
     try {
@@ -566,7 +778,7 @@ class AuthService {
       const { user } = validation;
       
       // Validate new password
-      const passwordValidation = this.validatePasswordStrength(newPassword);
+      const passwordValidation = await this.validatePasswordStrength(newPassword, user);
       if (!passwordValidation.isValid) {
         const error = new Error('Password does not meet requirements: ' + passwordValidation.issues.join(', '));
         error.code = 'WEAK_PASSWORD';
@@ -574,11 +786,8 @@ class AuthService {
       }
 
       // Update password
-      await user.updatePassword(newPassword);
-      await user.update({ 
-        reset_token: null, 
-        reset_token_expires: null 
-      });
+      await passwordPolicyService.setPassword(user, newPassword);
+      await user.clearResetToken();
 
       // Clean up reset metadata
       await redis.del(`reset_meta:${token}`);
@@ -0,0 +1,246 @@
+// src/services/commentNotificationService.js
+const crypto = require('crypto');
+const db = require('../config/database');
+const CommentSubscription = require('../models/CommentSubscription');
+const emailService = require('./emailService');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+class CommentNotificationService {
+  constructor() {
+    this.secret = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+    this.apiUrl = process.env.API_URL ||
+      `${process.env.SITE_URL || 'http://localhost:3000'}/api/${process.env.API_VERSION || 'v1'}`;
+    this.confirmTokenTTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+  }
+
+  // Signed tokens for one-click links: base64url(payload).signature
+  createToken(payload) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    return `${data}.${signature}`;
+  }
+
+  verifyToken(token) {
+    const [data, signature] = String(token || '').split('.');
+    if (!data || !signature) {
+      return null;
+    }
+
+    const expected = crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+      if (payload.exp && payload.exp < Date.now()) {
+        return null;
+      }
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  unsubscribeUrl(subscription) {
+    const token = this.createToken({ type: 'unsubscribe', sid: subscription.id, email: subscription.email });
+    return `${this.apiUrl}/comments/subscriptions/unsubscribe?token=${token}`;
+  }
+
+  unsubscribeAllUrl(email) {
+    const token = this.createToken({ type: 'unsubscribe_all', email });
+    return `${this.apiUrl}/comments/subscriptions/unsubscribe?token=${token}`;
+  }
+
+  confirmUrl(subscription) {
+    const token = this.createToken({
+      type: 'confirm',
+      sid: subscription.id,
+      email: subscription.email,
+      exp: Date.now() + this.confirmTokenTTL
+    });
+    return `${this.apiUrl}/comments/subscriptions/confirm?token=${token}`;
+  }
+
+  // Subscribe someone. Registered users subscribing their account address are
+  // confirmed right away; guests confirm by email first.
+  async subscribe(data, { confirmed = false } = {}) {
+    const subscription = await CommentSubscription.subscribe({ ...data, confirmed });
+
+    if (!subscription.confirmed) {
+      await emailService.sendSubscriptionConfirmation(subscription, this.confirmUrl(subscription));
+    }
+
+    return subscription;
+  }
+
+  // Follow replies to a new comment on behalf of its author. A guest's
+  // address is unverified, so guests get a confirmation email like any other.
+  async subscribeAuthor(comment, user = null) {
+    const email = user?.email || comment.author_email;
+    if (!email) {
+      return null;
+    }
+
+    try {
+      return await this.subscribe({
+        article_id: comment.article_id,
+        comment_id: comment.id,
+        user_id: user?.id || null,
+        email
+      }, { confirmed: !!user });
+    } catch (error) {
+      logger.error('Failed to subscribe comment author:', error);
+      return null;
+    }
+  }
+
+  // Notify subscribers about a newly approved comment. Each comment is only
+  // ever queued once per subscription, so re-approvals don't send twice.
+  async notifyNewComment(comment, article) {
+    if (comment.status !== 'approved') {
+      return;
+    }
+
+    try {
+      const subscriptions = await CommentSubscription.findForComment(comment);
+      const authorEmail = comment.author_email || null;
+
+      for (const subscription of subscriptions) {
+        // Nobody needs to hear about their own comment
+        if ((comment.user_id && subscription.user_id === comment.user_id) ||
+            (authorEmail && subscription.email === authorEmail)) {
+          continue;
+        }
+
+        const [result] = await db.execute(
+          'INSERT IGNORE INTO comment_notifications (subscription_id, comment_id) VALUES (?, ?)',
+          [subscription.id, comment.id]
+        );
+
+        if (result.affectedRows === 0 || subscription.frequency !== 'instant') {
+          continue;
+        }
+
+        const sent = await emailService.safeEmailSend(
+          emailService.sendReplyNotification.bind(emailService),
+          subscription,
+          comment,
+          article,
+          this.unsubscribeUrl(subscription)
+        );
+
+        if (sent) {
+          await db.execute(
+            'UPDATE comment_notifications SET sent_at = CURRENT_TIMESTAMP WHERE subscription_id = ? AND comment_id = ?',
+            [subscription.id, comment.id]
+          );
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to send comment notifications:', error);
+    }
+  }
+
+  // Send one digest per email address with the queued daily notifications
+  async sendDailyDigests() {
+    const [rows] = await db.execute(
+      `SELECT n.subscription_id, n.comment_id, s.email,
+              c.content, c.author_name, c.created_at as comment_created_at,
+              u.username, u.first_name, u.last_name,
+              a.id as article_id, a.title as article_title, a.slug as article_slug
+       FROM comment_notifications n
+       JOIN comment_subscriptions s ON n.subscription_id = s.id
+       JOIN comments c ON n.comment_id = c.id
+       JOIN articles a ON c.article_id = a.id
+       LEFT JOIN users u ON c.user_id = u.id
+       WHERE n.sent_at IS NULL AND s.frequency = 'daily' AND s.confirmed = true AND c.status = 'approved'
+       ORDER BY s.email, a.id, c.created_at`
+    );
+
+    const byEmail = new Map();
+    rows.forEach(row => {
+      if (!byEmail.has(row.email)) {
+        byEmail.set(row.email, []);
+      }
+      byEmail.get(row.email).push(row);
+    });
+
+    const results = { sent: 0, failed: 0 };
+
+    for (const [email, items] of byEmail.entries()) {
+      const comments = items.map(item => ({
+        article_title: item.article_title,
+        article_url: `${emailService.siteUrl}/articles/${item.article_slug}#comment-${item.comment_id}`,
+        author: item.username
+          ? (`${item.first_name || ''} ${item.last_name || ''}`.trim() || item.username)
+          : item.author_name || 'Anonymous',
+        content: item.content,
+        created_at: item.comment_created_at
+      }));
+
+      const sent = await emailService.safeEmailSend(
+        emailService.sendCommentDigest.bind(emailService),
+        email,
+        comments,
+        this.unsubscribeAllUrl(email)
+      );
+
+      if (!sent) {
+        results.failed++;
+        continue;
+      }
+
+      const keys = items.map(() => '(?, ?)').join(', ');
+      await db.execute(
+        `UPDATE comment_notifications SET sent_at = CURRENT_TIMESTAMP
+         WHERE (subscription_id, comment_id) IN (${keys})`,
+        items.flatMap(item => [item.subscription_id, item.comment_id])
+      );
+      results.sent++;
+    }
+
+    if (results.sent > 0 || results.failed > 0) {
+      logger.info('Comment digests sent', results);
+    }
+
+    return results;
+  }
+
+  // Handle a one-click unsubscribe token
+  async unsubscribe(token) {
+    const payload = this.verifyToken(token);
+    if (!payload || !['unsubscribe', 'unsubscribe_all'].includes(payload.type)) {
+      return null;
+    }
+
+    if (payload.type === 'unsubscribe_all') {
+      const removed = await CommentSubscription.deleteByEmail(payload.email);
+      return { scope: 'all', removed };
+    }
+
+    const subscription = await CommentSubscription.findById(payload.sid);
+    if (subscription && subscription.email === payload.email) {
+      await subscription.delete();
+    }
+
+    return { scope: 'subscription', removed: subscription ? 1 : 0 };
+  }
+
+  async confirm(token) {
+    const payload = this.verifyToken(token);
+    if (!payload || payload.type !== 'confirm') {
+      return null;
+    }
+
+    const subscription = await CommentSubscription.findById(payload.sid);
+    if (!subscription || subscription.email !== payload.email) {
+      return null;
+    }
+
+    return await subscription.confirm();
+  }
+}
+
+module.exports = new CommentNotificationService();
@@ -0,0 +1,274 @@
+// src/services/editingService.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const authService = require('./authService');
+const impersonationService = require('./impersonationService');
+const redis = require('../config/redis');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+class EditingService {
+  constructor() {
+    this.lockTTL = parseInt(process.env.ARTICLE_LOCK_TTL) || 90; // seconds, renewed by heartbeat
+    this.lockAttempts = 3;
+    this.locks = new Map(); // Memory fallback when Redis is unavailable
+    this.presence = new Map(); // articleId -> Map(socketId -> editor), per process like the sockets
+  }
+
+  lockKey(articleId) {
+    return `article_lock:${articleId}`;
+  }
+
+  // Socket.IO room for the editors of an article
+  editorsRoom(articleId) {
+    return `article-${articleId}-editors`;
+  }
+
+  buildLock(articleId, user) {
+    const now = Date.now();
+    return {
+      article_id: parseInt(articleId),
+      user_id: user.id,
+      username: user.username,
+      acquired_at: new Date(now).toISOString(),
+      expires_at: new Date(now + this.lockTTL * 1000).toISOString()
+    };
+  }
+
+  // Get the current lock of an article (null when unlocked or expired)
+  async getLock(articleId) {
+    if (redis.isConnected) {
+      return await redis.get(this.lockKey(articleId));
+    }
+
+    const lock = this.locks.get(String(articleId));
+    if (!lock || new Date(lock.expires_at) <= new Date()) {
+      this.locks.delete(String(articleId));
+      return null;
+    }
+    return lock;
+  }
+
+  async storeLock(lock) {
+    if (redis.isConnected) {
+      await redis.set(this.lockKey(lock.article_id), lock, this.lockTTL);
+      return;
+    }
+    this.locks.set(String(lock.article_id), lock);
+  }
+
+  async removeLock(articleId) {
+    if (redis.isConnected) {
+      await redis.del(this.lockKey(articleId));
+      return;
+    }
+    this.locks.delete(String(articleId));
+  }
+
+  // Acquire the edit lock. Taking over a lock held by someone else needs
+  // articles:takeover_lock (admins only by default).
+  async acquireLock(articleId, user, force = false, apiKey = null) {
+    const lock = this.buildLock(articleId, user);
+    let current = null;
+
+    if (redis.isConnected) {
+      // The lock can expire or be released between setnx and the read; then
+      // try setnx again rather than overwrite whatever another editor set
+      for (let attempt = 0; attempt < this.lockAttempts; attempt++) {
+        if (await redis.setnx(this.lockKey(articleId), lock, this.lockTTL)) {
+          return { lock, previous: null };
+        }
+
+        current = await this.getLock(articleId);
+        if (current) {
+          break;
+        }
+      }
+
+      if (!current) {
+        throw new AppError('Could not acquire the edit lock, please try again', 409, 'LOCK_BUSY');
+      }
+    } else {
+      current = await this.getLock(articleId);
+    }
+
+    if (current && current.user_id !== user.id) {
+      if (!force) {
+        throw this.lockedError(current);
+      }
+
+      if (!(await authService.hasPermission(user.role, 'articles:takeover_lock', apiKey))) {
+        throw new AppError('Insufficient permissions to take over this edit lock', 403);
+      }
+
+      logger.info('Article edit lock taken over', {
+        articleId,
+        userId: user.id,
+        previousUserId: current.user_id
+      });
+    }
+
+    // Keep the original acquisition time when the holder re-acquires
+    if (current && current.user_id === user.id) {
+      lock.acquired_at = current.acquired_at;
+    }
+
+    await this.storeLock(lock);
+    return { lock, previous: current && current.user_id !== user.id ? current : null };
+  }
+
+  // Extend the lock held by the user
+  async heartbeat(articleId, user) {
+    const current = await this.getLock(articleId);
+
+    if (!current) {
+      throw new AppError('Edit lock has expired', 409, 'LOCK_EXPIRED');
+    }
+
+    if (current.user_id !== user.id) {
+      throw this.lockedError(current);
+    }
+
+    const lock = this.buildLock(articleId, user);
+    lock.acquired_at = current.acquired_at;
+    await this.storeLock(lock);
+
+    return lock;
+  }
+
+  // Release the lock (holder, or anyone who may take it over)
+  async releaseLock(articleId, user, apiKey = null) {
+    const current = await this.getLock(articleId);
+    if (!current) {
+      return false;
+    }
+
+    if (current.user_id !== user.id && !(await authService.hasPermission(user.role, 'articles:takeover_lock', apiKey))) {
+      throw new AppError('Only the lock holder or an administrator can release this lock', 403);
+    }
+
+    await this.removeLock(articleId);
+    return true;
+  }
+
+  // Refuse saves while another user holds the lock
+  async assertCanSave(articleId, user) {
+    const current = await this.getLock(articleId);
+    if (current && current.user_id !== user.id) {
+      throw this.lockedError(current);
+    }
+  }
+
+  lockedError(lock) {
+    return new AppError(
+      `Article is being edited by ${lock.username} until ${lock.expires_at}`,
+      423,
+      'ARTICLE_LOCKED'
+    );
+  }
+
+  // Resolve the user behind a socket from the JWT sent when joining, and the
+  // administrator when the token is an impersonation token
+  async authenticateSocket(token) {
+    if (!token) {
+      return null;
+    }
+
+    try {
+      if (await redis.get(`blacklist:${token}`)) {
+        return null;
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.sid && !(await authService.isSessionActive(decoded.sid, decoded.id))) {
+        return null;
+      }
+
+      // Impersonation tokens only work while the impersonation is running
+      let impersonator = null;
+      if (decoded.act) {
+        impersonator = await impersonationService.resolve(decoded);
+        if (!impersonator) {
+          return null;
+        }
+      }
+
+      const user = await User.findById(decoded.id);
+
+      if (!user || !user.is_active ||
+          !(await authService.hasPermission(user.role, 'articles:update_own'))) {
+        return null;
+      }
+
+      return { user, impersonator };
+    } catch (error) {
+      logger.debug('Socket authentication failed:', error.message);
+      return null;
+    }
+  }
+
+  // Presence tracking
+  joinPresence(articleId, socketId, user) {
+    const key = String(articleId);
+    if (!this.presence.has(key)) {
+      this.presence.set(key, new Map());
+    }
+
+    this.presence.get(key).set(socketId, {
+      user_id: user.id,
+      username: user.username,
+      role: user.role,
+      joined_at: new Date().toISOString()
+    });
+
+    return this.getPresence(articleId);
+  }
+
+  leavePresence(articleId, socketId) {
+    const key = String(articleId);
+    const editors = this.presence.get(key);
+    if (!editors) {
+      return [];
+    }
+
+    editors.delete(socketId);
+    if (editors.size === 0) {
+      this.presence.delete(key);
+    }
+
+    return this.getPresence(articleId);
+  }
+
+  // Remove a disconnected socket everywhere; returns the affected article IDs
+  leaveAllPresence(socketId) {
+    const articleIds = [];
+
+    for (const [articleId, editors] of this.presence.entries()) {
+      if (editors.has(socketId)) {
+        this.leavePresence(articleId, socketId);
+        articleIds.push(articleId);
+      }
+    }
+
+    return articleIds;
+  }
+
+  // Editors currently on an article (one entry per user)
+  getPresence(articleId) {
+    const editors = this.presence.get(String(articleId));
+    if (!editors) {
+      return [];
+    }
+
+    const byUser = new Map();
+    for (const editor of editors.values()) {
+      if (!byUser.has(editor.user_id)) {
+        byUser.set(editor.user_id, editor);
+      }
+    }
+
+    return Array.from(byUser.values());
+  }
+}
+
+module.exports = new EditingService();
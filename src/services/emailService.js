@@ -206,7 +206,8 @@ class EmailService {
       // Replace variables in template
       Object.keys(variables).forEach(key => {
         const regex = new RegExp(`{{${key}}}`, 'g');
-        template = template.replace(regex, variables[key] || '');
+        // Function replacement, so `$` in user content is kept literally
+        template = template.replace(regex, () => variables[key] ?? '');
       });
 
       // Replace default variables
@@ -262,7 +263,7 @@ class EmailService {
   }
 
   // Send email with comprehensive error handling
-  async sendEmail(to, subject, html, text = null) {
+  async sendEmail(to, subject, html, text = null, headers = null) {
     // If email service is disabled or no transporter, log and return success
     if (!this.isEnabled || !this.transporter) {
       logger.info(`📧 [MOCK] Email would be sent to ${to}: ${subject}`);
@@ -285,6 +286,10 @@ class EmailService {
         text: text || this.htmlToText(html)
       };
 
+      if (headers) {
+        mailOptions.headers = headers;
+      }
+
       const result = await this.transporter.sendMail(mailOptions);
       logger.info(`✅ Email sent successfully to ${to}: ${subject}`);
       return { ...result, success: true };
@@ -495,57 +500,114 @@ class EmailService {
   }
 
   // Additional email methods with error handling...
-  async sendApprovalNotification(article) {
+  // Notify editors that an article is waiting for review. When a reviewer is
+  // given (options.reviewerId) only that editor is notified.
+  async sendApprovalNotification(article, options = {}) {
     try {
       const db = require('../config/database');
-      const [editors] = await db.execute(
-        'SELECT email, first_name, username FROM users WHERE role IN ("admin", "editor") AND is_active = true AND email_verified = true'
-      );
+      const { reviewerId = null, note = null } = options;
+
+      const [editors] = reviewerId
+        ? await db.execute(
+          'SELECT email, first_name, username FROM users WHERE id = ? AND is_active = true',
+          [reviewerId]
+        )
+        : await db.execute(
+          'SELECT email, first_name, username FROM users WHERE role IN ("admin", "editor") AND is_active = true AND email_verified = true'
+        );
 
       const approvalUrl = `${this.siteUrl}/admin/articles/${article.id}`;
+      const subject = reviewerId ? 'Article Assigned for Review' : 'Article Pending Approval';
       
+      const safeNote = note ? this.escapeHtml(note) : '';
+
       for (const editor of editors) {
         const html = await this.loadTemplate('approval-notification', {
           editor_name: editor.first_name || editor.username,
           article_title: article.title,
           article_author: article.author?.username || 'Unknown',
           approval_url: approvalUrl,
-          subject: 'Article Pending Approval',
+          note: safeNote,
+          subject,
           content: `
-            <h2>Article Pending Approval</h2>
+            <h2>${subject}</h2>
             <p>Hello ${editor.first_name || editor.username},</p>
-            <p>A new article is waiting for your approval:</p>
+            <p>${reviewerId ? 'You have been assigned to review this article:' : 'A new article is waiting for your approval:'}</p>
             <p><strong>Title:</strong> ${article.title}</p>
             <p><strong>Author:</strong> ${article.author?.username || 'Unknown'}</p>
+            ${safeNote ? `<p><strong>Note:</strong> ${safeNote}</p>` : ''}
             <a href="${approvalUrl}" class="button">Review Article</a>
           `
         });
 
-        await this.safeEmailSend(this.sendEmail.bind(this), editor.email, 'Article Pending Approval', html);
+        await this.safeEmailSend(this.sendEmail.bind(this), editor.email, subject, html);
       }
     } catch (error) {
       logger.error('Failed to send approval notifications:', error.message);
     }
   }
 
-  async sendApprovalConfirmation(email, article) {
-    const articleUrl = `${this.siteUrl}/articles/${article.slug}`;
+  // Tell the author about a review decision (defaults to publication)
+  async sendApprovalConfirmation(email, article, options = {}) {
+    const { status = 'published', note = null } = options;
+    const articleUrl = status === 'published'
+      ? `${this.siteUrl}/articles/${article.slug}`
+      : `${this.siteUrl}/admin/articles/${article.id}`;
+
+    const messages = {
+      in_review: {
+        subject: 'Your Article Is Being Reviewed',
+        heading: 'Review Started',
+        body: `An editor has started reviewing your article "${article.title}".`,
+        button: 'View Article'
+      },
+      changes_requested: {
+        subject: 'Changes Requested for Your Article',
+        heading: 'Changes Requested',
+        body: `The reviewer has asked for changes to your article "${article.title}" before it can be approved.`,
+        button: 'Edit Article'
+      },
+      rejected: {
+        subject: 'Your Article Was Not Accepted',
+        heading: 'Article Rejected',
+        body: `Your article "${article.title}" was not accepted for publication.`,
+        button: 'View Article'
+      },
+      approved: {
+        subject: 'Your Article Has Been Approved',
+        heading: 'Article Approved',
+        body: `Your article "${article.title}" has been approved and will be published soon.`,
+        button: 'View Article'
+      },
+      published: {
+        subject: 'Your Article Has Been Published',
+        heading: 'Congratulations!',
+        body: `Your article "${article.title}" has been approved and published.`,
+        button: 'View Published Article'
+      }
+    };
+    const message = messages[status] || messages.published;
     
+    const safeNote = note ? this.escapeHtml(note) : '';
+
     const html = await this.loadTemplate('approval-confirmation', {
       article_title: article.title,
       article_url: articleUrl,
-      subject: 'Your Article Has Been Published',
+      status,
+      note: safeNote,
+      subject: message.subject,
       content: `
-        <h2>Congratulations!</h2>
-        <p>Your article "${article.title}" has been approved and published.</p>
-        <a href="${articleUrl}" class="button">View Published Article</a>
+        <h2>${message.heading}</h2>
+        <p>${message.body}</p>
+        ${safeNote ? `<blockquote style="border-left: 4px solid #3498db; padding-left: 15px; margin: 15px 0; background: #f8f9fa; padding: 15px;">${safeNote}</blockquote>` : ''}
+        <a href="${articleUrl}" class="button">${message.button}</a>
         <p>Thank you for your contribution to ${this.siteName}!</p>
       `
     });
 
     return await this.sendEmail(
       email,
-      'Your Article Has Been Published',
+      message.subject,
       html
     );
   }
@@ -583,6 +645,221 @@ class EmailService {
     }
   }
 
+  // Escape user-provided text before placing it in an email
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Header pair that lets mail clients offer one-click unsubscribe (RFC 8058)
+  unsubscribeHeaders(unsubscribeUrl) {
+    return {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  // Notify a subscriber about a new comment in a thread or article they follow
+  async sendReplyNotification(subscription, comment, article, unsubscribeUrl) {
+    const articleUrl = `${this.siteUrl}/articles/${article.slug}#comment-${comment.id}`;
+    const author = this.escapeHtml(comment.author_name || comment.user?.username || 'Anonymous');
+    const excerpt = this.escapeHtml(comment.content.substring(0, 300) + (comment.content.length > 300 ? '...' : ''));
+    const title = this.escapeHtml(article.title);
+    const isReply = subscription.comment_id !== null;
+    const subject = isReply
+      ? `New reply on "${article.title}"`
+      : `New comment on "${article.title}"`;
+
+    const intro = isReply
+      ? `${author} replied in a discussion you follow on "${title}":`
+      : `${author} commented on "${title}":`;
+
+    const html = await this.loadTemplate('reply-notification', {
+      article_title: title,
+      intro,
+      comment_author: author,
+      comment_content: excerpt,
+      article_url: articleUrl,
+      unsubscribe_url: unsubscribeUrl,
+      subject: this.escapeHtml(subject),
+      content: `
+        <h2>${isReply ? 'New Reply in a Discussion You Follow' : 'New Comment on an Article You Follow'}</h2>
+        <p>${intro}</p>
+        <blockquote style="border-left: 4px solid #3498db; padding-left: 15px; margin: 15px 0; background: #f8f9fa; padding: 15px;">
+          ${excerpt}
+        </blockquote>
+        <a href="${articleUrl}" class="button">View Comment</a>
+        <p style="font-size: 12px; color: #666;">
+          You receive this email because you subscribed to comments on this article.
+          <a href="${unsubscribeUrl}">Unsubscribe</a>
+        </p>
+      `
+    });
+
+    return await this.sendEmail(subscription.email, subject, html, null, this.unsubscribeHeaders(unsubscribeUrl));
+  }
+
+  // Daily summary of new comments for subscribers who chose the digest
+  async sendCommentDigest(email, comments, unsubscribeUrl) {
+    const subject = `${comments.length} new comment${comments.length === 1 ? '' : 's'} on articles you follow`;
+
+    const items = comments.map(comment => `
+      <div style="border-bottom: 1px solid #eee; padding: 10px 0;">
+        <p style="margin: 0;"><strong>${this.escapeHtml(comment.author)}</strong> on <a href="${comment.article_url}">${this.escapeHtml(comment.article_title)}</a></p>
+        <p style="margin: 5px 0;">${this.escapeHtml(comment.content.substring(0, 200))}${comment.content.length > 200 ? '...' : ''}</p>
+      </div>
+    `).join('');
+
+    const html = await this.loadTemplate('comment-digest', {
+      comment_count: comments.length,
+      comments: items,
+      unsubscribe_url: unsubscribeUrl,
+      subject,
+      content: `
+        <h2>Your Daily Comment Digest</h2>
+        <p>Here are the new comments on articles and discussions you follow:</p>
+        ${items}
+        <p style="font-size: 12px; color: #666;">
+          <a href="${unsubscribeUrl}">Unsubscribe from all comment emails</a>
+        </p>
+      `
+    });
+
+    return await this.sendEmail(email, subject, html, null, this.unsubscribeHeaders(unsubscribeUrl));
+  }
+
+  // Double opt-in for guest subscriptions
+  async sendSubscriptionConfirmation(subscription, confirmUrl) {
+    const html = await this.loadTemplate('subscription-confirmation', {
+      confirm_url: confirmUrl,
+      subject: 'Confirm Your Comment Subscription',
+      content: `
+        <h2>Confirm Your Subscription</h2>
+        <p>Please confirm that you want to receive emails about new comments:</p>
+        <a href="${confirmUrl}" class="button">Confirm Subscription</a>
+        <p>If you didn't request this, you can ignore this email.</p>
+        <p>This link will expire in 7 days.</p>
+      `
+    });
+
+    return await this.sendEmail(subscription.email, 'Confirm Your Comment Subscription', html);
+  }
+
+  // Send a single-use sign-in link
+  async sendMagicLinkEmail(user, loginUrl, expiryMinutes) {
+    const userName = this.escapeHtml(user.first_name || user.username);
+
+    const html = await this.loadTemplate('magic-link', {
+      user_name: userName,
+      login_url: loginUrl,
+      expiry_minutes: expiryMinutes,
+      subject: `Sign in to ${this.siteName}`,
+      content: `
+        <h2>Sign In</h2>
+        <p>Hello ${userName},</p>
+        <p>Click the button below to sign in:</p>
+        <a href="${loginUrl}" class="button">Sign In</a>
+        <p>This link works once and expires in ${expiryMinutes} minutes.</p>
+        <p>If you didn't try to sign in, you can ignore this email.</p>
+      `
+    });
+
+    return await this.sendEmail(user.email, `Sign in to ${this.siteName}`, html);
+  }
+
+  // Invite a staff member to create their account
+  async sendStaffInvitationEmail(invitation, acceptUrl, inviterName, expiryDays) {
+    const safeInviter = this.escapeHtml(inviterName);
+    const role = this.escapeHtml(invitation.role);
+
+    const html = await this.loadTemplate('staff-invitation', {
+      inviter_name: safeInviter,
+      role,
+      accept_url: acceptUrl,
+      expiry_days: expiryDays,
+      subject: `You're Invited to Join ${this.siteName}`,
+      content: `
+        <h2>You're Invited</h2>
+        <p>${safeInviter} invited you to join ${this.siteName} as ${role}.</p>
+        <p>Click the button below to choose your username and password:</p>
+        <a href="${acceptUrl}" class="button">Accept Invitation</a>
+        <p>This invitation expires in ${expiryDays} days.</p>
+        <p>If you weren't expecting this, you can ignore this email.</p>
+      `
+    });
+
+    return await this.sendEmail(invitation.email, `You're Invited to Join ${this.siteName}`, html);
+  }
+
+  // Confirmation link for deleting an account without entering a password
+  async sendAccountDeletionConfirmationEmail(user, confirmUrl, expiryMinutes) {
+    const userName = this.escapeHtml(user.first_name || user.username);
+
+    const html = await this.loadTemplate('account-deletion-confirm', {
+      user_name: userName,
+      confirm_url: confirmUrl,
+      expiry_minutes: expiryMinutes,
+      subject: 'Confirm Account Deletion',
+      content: `
+        <h2>Confirm Account Deletion</h2>
+        <p>Hello ${userName},</p>
+        <p>Click the button below to confirm that you want to delete your account:</p>
+        <a href="${confirmUrl}" class="button">Delete My Account</a>
+        <p>This link works once and expires in ${expiryMinutes} minutes.</p>
+        <p>If you didn't ask to delete your account, ignore this email and change your password.</p>
+      `
+    });
+
+    return await this.sendEmail(user.email, 'Confirm Account Deletion', html);
+  }
+
+  // Confirm a self-service account deletion request
+  async sendAccountDeletionScheduledEmail(user, scheduledFor, graceDays) {
+    const userName = this.escapeHtml(user.first_name || user.username);
+    const deletionDate = new Date(scheduledFor).toUTCString();
+    const loginUrl = `${this.siteUrl}/login`;
+
+    const html = await this.loadTemplate('account-deletion-scheduled', {
+      user_name: userName,
+      deletion_date: deletionDate,
+      grace_days: graceDays,
+      login_url: loginUrl,
+      subject: 'Your Account Will Be Deleted',
+      content: `
+        <h2>Account Deletion Requested</h2>
+        <p>Hello ${userName},</p>
+        <p>Your account and personal data will be deleted on ${deletionDate}.</p>
+        <p>Changed your mind? Sign in within ${graceDays} days and cancel the deletion from your account settings.</p>
+        <a href="${loginUrl}" class="button">Sign In</a>
+        <p>If you didn't request this, sign in and cancel it, then change your password.</p>
+      `
+    });
+
+    return await this.sendEmail(user.email, 'Your Account Will Be Deleted', html);
+  }
+
+  // Confirm that an account was erased
+  async sendAccountDeletedEmail(email, userName) {
+    const safeName = this.escapeHtml(userName);
+
+    const html = await this.loadTemplate('account-deleted', {
+      user_name: safeName,
+      subject: 'Your Account Has Been Deleted',
+      content: `
+        <h2>Account Deleted</h2>
+        <p>Hello ${safeName},</p>
+        <p>Your account and personal data have been deleted. Comments you wrote remain without your name or contact details.</p>
+        <p>This is the last email you will receive from us.</p>
+      `
+    });
+
+    return await this.sendEmail(email, 'Your Account Has Been Deleted', html);
+  }
+
   // Send OTP email for login verification
   async sendOTPEmail(email, otp, userName) {
     const html = await this.loadTemplate('otp-verification', {
@@ -0,0 +1,253 @@
+// src/services/imageRenderService.js
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const redis = require('../config/redis');
+const mediaService = require('./mediaService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+// On-the-fly image derivatives: GET /media/:id/render?w=&h=&fit=&fmt=&q=&sig=
+// Only URLs signed by the API are rendered, so clients cannot request
+// arbitrary sizes. Renders are cached on disk, small ones in Redis as well.
+class ImageRenderService {
+  constructor() {
+    this.secret = process.env.MEDIA_RENDER_SECRET || process.env.JWT_SECRET;
+    this.apiUrl = process.env.API_URL ||
+      `${process.env.SITE_URL || 'http://localhost:3000'}/api/${process.env.API_VERSION || 'v1'}`;
+    this.cacheDir = process.env.MEDIA_RENDER_CACHE_PATH ||
+      path.join(mediaService.uploadPath, 'cache', 'renders');
+    this.cacheTTL = parseInt(process.env.MEDIA_RENDER_CACHE_TTL) || 7 * 24 * 60 * 60; // seconds
+    this.browserCacheTTL = parseInt(process.env.MEDIA_RENDER_BROWSER_TTL) || 60 * 60; // seconds
+    this.redisMaxBytes = parseInt(process.env.MEDIA_RENDER_REDIS_MAX_BYTES) || 256 * 1024;
+    this.maxDimension = parseInt(process.env.MEDIA_RENDER_MAX_DIMENSION) || 2560;
+    this.defaultQuality = parseInt(process.env.MEDIA_RENDER_QUALITY) || 80;
+
+    this.fits = ['cover', 'contain', 'inside', 'fill'];
+    this.formats = ['auto', 'avif', 'webp', 'jpeg'];
+    this.contentTypes = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg' };
+    this.renderableTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/gif', 'image/tiff'];
+
+    // Renders in progress, so concurrent requests for one derivative share it
+    this.pending = new Map();
+  }
+
+  // Fill in defaults and reject anything outside the allowed ranges
+  normalizeParams(params = {}) {
+    const toInt = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+    const width = toInt(params.w);
+    const height = toInt(params.h);
+    const quality = toInt(params.q) ?? this.defaultQuality;
+    const fit = params.fit || 'cover';
+    const format = params.fmt || 'auto';
+
+    for (const [name, value] of [['w', width], ['h', height]]) {
+      if (value !== null && (!Number.isInteger(value) || value < 1 || value > this.maxDimension)) {
+        throw new AppError(`${name} must be between 1 and ${this.maxDimension}`, 400, 'INVALID_RENDER_PARAMS');
+      }
+    }
+
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new AppError('q must be between 1 and 100', 400, 'INVALID_RENDER_PARAMS');
+    }
+
+    if (!this.fits.includes(fit)) {
+      throw new AppError(`fit must be one of: ${this.fits.join(', ')}`, 400, 'INVALID_RENDER_PARAMS');
+    }
+
+    if (!this.formats.includes(format)) {
+      throw new AppError(`fmt must be one of: ${this.formats.join(', ')}`, 400, 'INVALID_RENDER_PARAMS');
+    }
+
+    return { w: width, h: height, fit, fmt: format, q: quality };
+  }
+
+  // Canonical form of a transform; the signature and cache key cover it
+  canonicalize(mediaId, params) {
+    return [mediaId, params.w || '', params.h || '', params.fit, params.fmt, params.q].join(':');
+  }
+
+  sign(mediaId, params) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(this.canonicalize(mediaId, params))
+      .digest('base64url');
+  }
+
+  verifySignature(mediaId, params, signature) {
+    const expected = Buffer.from(this.sign(mediaId, params));
+    const given = Buffer.from(String(signature || ''));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // Signed render URL for a media item
+  getRenderUrl(mediaId, options = {}) {
+    const params = this.normalizeParams(options);
+    const query = new URLSearchParams();
+
+    if (params.w) query.set('w', params.w);
+    if (params.h) query.set('h', params.h);
+    query.set('fit', params.fit);
+    query.set('fmt', params.fmt);
+    query.set('q', params.q);
+    query.set('sig', this.sign(mediaId, params));
+
+    return `${this.apiUrl}/media/${mediaId}/render?${query.toString()}`;
+  }
+
+  // Pick the output format; `auto` follows the Accept header
+  negotiateFormat(format, acceptHeader = '') {
+    if (format !== 'auto') {
+      return format;
+    }
+
+    const accept = String(acceptHeader).toLowerCase();
+    if (accept.includes('image/avif')) return 'avif';
+    if (accept.includes('image/webp')) return 'webp';
+    return 'jpeg';
+  }
+
+  // Derivatives are keyed by the media's last update, so replacing the file
+  // or changing the focal point or crops never serves a stale render
+  cacheKey(media, params, format) {
+    const version = media.updated_at ? new Date(media.updated_at).getTime() : 0;
+    return crypto
+      .createHash('sha256')
+      .update(`${this.canonicalize(media.id, params)}:${format}:${version}`)
+      .digest('hex');
+  }
+
+  cachePath(mediaId, key, format) {
+    return path.join(this.cacheDir, String(mediaId), `${key}.${format}`);
+  }
+
+  async transform(media, params, format) {
+    const source = await mediaService.readOriginal(media);
+    let pipeline = sharp(source, { failOn: 'none' }).rotate();
+
+    if (params.fit === 'cover' && params.w && params.h) {
+      const metadata = await sharp(source).metadata();
+      // EXIF orientations 5-8 swap the axes
+      const rotated = metadata.orientation >= 5;
+      const sourceWidth = rotated ? metadata.height : metadata.width;
+      const sourceHeight = rotated ? metadata.width : metadata.height;
+
+      // The editor's crop for this aspect ratio, or the focal point crop
+      pipeline = pipeline.extract(
+        mediaService.cropRegion(media, sourceWidth, sourceHeight, params.w, params.h)
+      );
+    }
+
+    if (params.w || params.h) {
+      pipeline = pipeline.resize(params.w, params.h, {
+        fit: params.fit,
+        withoutEnlargement: true
+      });
+    }
+
+    if (format === 'avif') {
+      pipeline = pipeline.avif({ quality: params.q });
+    } else if (format === 'webp') {
+      pipeline = pipeline.webp({ quality: params.q });
+    } else {
+      pipeline = pipeline
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: params.q, progressive: true, mozjpeg: true });
+    }
+
+    return await pipeline.toBuffer();
+  }
+
+  // Redis first (shared between instances, small renders only), then disk
+  async readCached(key, filePath) {
+    const cached = await redis.get(`media_render:${key}`);
+    if (cached) {
+      return Buffer.from(cached, 'base64');
+    }
+
+    try {
+      return await fs.readFile(filePath);
+    } catch {
+      return null;
+    }
+  }
+
+  async writeCached(key, filePath, buffer, mediaId) {
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      logger.warn('Failed to cache rendered image:', { mediaId, error: error.message });
+    }
+
+    if (buffer.length <= this.redisMaxBytes) {
+      await redis.set(`media_render:${key}`, buffer.toString('base64'), this.cacheTTL);
+    }
+  }
+
+  // Render (or fetch from cache) a derivative for a signed request
+  async render(mediaId, query, acceptHeader) {
+    const params = this.normalizeParams(query);
+
+    if (!this.verifySignature(mediaId, params, query.sig)) {
+      throw new AppError('Invalid render signature', 403, 'INVALID_SIGNATURE');
+    }
+
+    const media = await mediaService.getById(mediaId);
+    if (!media) {
+      throw new AppError('Media not found', 404);
+    }
+
+    if (!this.renderableTypes.includes(media.mime_type)) {
+      throw new AppError('This media type cannot be rendered', 400, 'UNSUPPORTED_MEDIA_TYPE');
+    }
+
+    const format = this.negotiateFormat(params.fmt, acceptHeader);
+    const key = this.cacheKey(media, params, format);
+    const filePath = this.cachePath(media.id, key, format);
+    const result = {
+      key,
+      format,
+      contentType: this.contentTypes[format],
+      negotiated: params.fmt === 'auto'
+    };
+
+    const cached = await this.readCached(key, filePath);
+    if (cached) {
+      return { ...result, buffer: cached, cacheHit: true };
+    }
+
+    if (!this.pending.has(key)) {
+      const rendering = (async () => {
+        try {
+          const buffer = await this.transform(media, params, format);
+          await this.writeCached(key, filePath, buffer, media.id);
+          return buffer;
+        } catch (error) {
+          logger.error('Error rendering image:', { mediaId: media.id, error: error.message });
+          throw new AppError('Failed to render image', 500);
+        } finally {
+          this.pending.delete(key);
+        }
+      })();
+      this.pending.set(key, rendering);
+    }
+
+    const buffer = await this.pending.get(key);
+    return { ...result, buffer, cacheHit: false };
+  }
+
+  // Drop every cached derivative of a media item
+  async purge(mediaId) {
+    try {
+      await fs.rm(path.join(this.cacheDir, String(mediaId)), { recursive: true, force: true });
+    } catch (error) {
+      logger.warn('Failed to purge rendered images:', { mediaId, error: error.message });
+    }
+  }
+}
+
+module.exports = new ImageRenderService();
@@ -0,0 +1,184 @@
+// src/services/impersonationService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const redis = require('../config/redis');
+const authService = require('./authService');
+const auditService = require('./auditService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+// Administrators acting as another user ("see what the journalist sees").
+// The token names the administrator in an `act` claim (RFC 8693) and only
+// works while its impersonation session exists, so stopping ends it at once.
+class ImpersonationService {
+  constructor() {
+    this.ttl = parseInt(process.env.IMPERSONATION_TTL) || 15 * 60; // seconds
+  }
+
+  sessionKey(impersonationId) {
+    return `impersonation:${impersonationId}`;
+  }
+
+  async start(req, target, reason = null) {
+    const admin = req.user;
+
+    if (req.impersonator) {
+      throw new AppError('Stop the current impersonation first', 400, 'ALREADY_IMPERSONATING');
+    }
+
+    if (target.id === admin.id) {
+      throw new AppError('You cannot impersonate yourself', 400);
+    }
+
+    // No acting as someone who could impersonate in turn
+    if (await authService.hasPermission(target.role, 'users:impersonate')) {
+      throw new AppError('This user cannot be impersonated', 403, 'IMPERSONATION_NOT_ALLOWED');
+    }
+
+    if (!redis.getStatus().connected) {
+      throw new AppError('Impersonation is temporarily unavailable', 503, 'IMPERSONATION_UNAVAILABLE');
+    }
+
+    const impersonationId = crypto.randomUUID();
+    const startedAt = new Date();
+    const expiresAt = new Date(startedAt.getTime() + this.ttl * 1000);
+
+    await redis.set(this.sessionKey(impersonationId), {
+      adminId: admin.id,
+      userId: target.id,
+      reason,
+      startedAt: startedAt.toISOString()
+    }, this.ttl);
+
+    const token = jwt.sign(
+      {
+        id: target.id,
+        email: target.email,
+        role: target.role,
+        imp: impersonationId,
+        act: { sub: String(admin.id) }
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: this.ttl }
+    );
+
+    await auditService.record(req, {
+      action: 'user.impersonate.start',
+      targetType: 'user',
+      targetId: target.id,
+      after: { impersonation_id: impersonationId, reason, expires_at: expiresAt.toISOString() }
+    });
+
+    logger.info('Impersonation started', {
+      impersonationId,
+      adminId: admin.id,
+      userId: target.id,
+      ip: req.ip
+    });
+
+    return { token, impersonationId, expiresAt, expiresIn: this.ttl };
+  }
+
+  // The administrator behind an impersonation token, or null when the
+  // impersonation ended or they may no longer impersonate
+  async resolve(decoded) {
+    if (!decoded.imp) {
+      return null;
+    }
+
+    const session = await redis.get(this.sessionKey(decoded.imp));
+    if (!session || String(session.adminId) !== String(decoded.act?.sub) || session.userId !== decoded.id) {
+      return null;
+    }
+
+    const [rows] = await db.query(
+      'SELECT id, username, email, role, is_active FROM users WHERE id = ?',
+      [session.adminId]
+    );
+    const admin = rows[0];
+
+    if (!admin || !admin.is_active || !(await authService.hasPermission(admin.role, 'users:impersonate'))) {
+      return null;
+    }
+
+    return {
+      id: admin.id,
+      username: admin.username,
+      email: admin.email,
+      role: admin.role,
+      impersonation_id: decoded.imp,
+      started_at: session.startedAt,
+      reason: session.reason
+    };
+  }
+
+  async stop(req) {
+    const { impersonator } = req;
+
+    await redis.del(this.sessionKey(impersonator.impersonation_id));
+
+    await auditService.record(req, {
+      action: 'user.impersonate.stop',
+      targetType: 'user',
+      targetId: req.user.id,
+      after: {
+        impersonation_id: impersonator.impersonation_id,
+        started_at: impersonator.started_at,
+        duration_seconds: Math.round((Date.now() - new Date(impersonator.started_at).getTime()) / 1000)
+      }
+    });
+
+    logger.info('Impersonation stopped', {
+      impersonationId: impersonator.impersonation_id,
+      adminId: impersonator.id,
+      userId: req.user.id
+    });
+  }
+
+  // Every request made while impersonating goes into the audit log (once,
+  // even when a route authenticates more than once)
+  trackRequest(req, res) {
+    if (req.impersonationTracked) {
+      return;
+    }
+    req.impersonationTracked = true;
+
+    res.on('finish', () => {
+      auditService.record(req, {
+        action: 'impersonation.request',
+        targetType: 'user',
+        targetId: req.user.id,
+        after: {
+          impersonation_id: req.impersonator.impersonation_id,
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode
+        }
+      });
+    });
+  }
+
+  // Socket.IO events sent with an impersonation token are audited the same way
+  trackSocketEvent(socket, { user, impersonator }, event, details = {}) {
+    const req = {
+      user,
+      impersonator,
+      ip: socket.handshake.address,
+      get: name => socket.handshake.headers[name.toLowerCase()]
+    };
+
+    auditService.record(req, {
+      action: 'impersonation.socket_event',
+      targetType: 'user',
+      targetId: user.id,
+      after: {
+        impersonation_id: impersonator.impersonation_id,
+        event,
+        ...details
+      }
+    });
+  }
+}
+
+module.exports = new ImpersonationService();
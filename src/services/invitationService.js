@@ -0,0 +1,189 @@
+// src/services/invitationService.js
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Category = require('../models/Category');
+const emailService = require('./emailService');
+const passwordPolicyService = require('./passwordPolicyService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+// Staff invitations: an administrator picks the email, role and categories,
+// the invitee sets their own password from a signed link
+class InvitationService {
+  constructor() {
+    this.expiryDays = parseInt(process.env.INVITATION_EXPIRY_DAYS) || 7;
+  }
+
+  signNonce(nonce) {
+    return crypto
+      .createHmac('sha256', process.env.INVITATION_SECRET || process.env.JWT_SECRET)
+      .update(nonce)
+      .digest('base64url');
+  }
+
+  hashNonce(nonce) {
+    return crypto.createHash('sha256').update(nonce).digest('hex');
+  }
+
+  // Link token `<nonce>.<signature>`; only the nonce hash is stored
+  createToken() {
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    return {
+      token: `${nonce}.${this.signNonce(nonce)}`,
+      tokenHash: this.hashNonce(nonce)
+    };
+  }
+
+  expiryDate() {
+    return new Date(Date.now() + this.expiryDays * 24 * 60 * 60 * 1000);
+  }
+
+  async assertCategoriesExist(categoryIds = []) {
+    for (const categoryId of categoryIds) {
+      if (!(await Category.findById(categoryId))) {
+        throw new AppError(`Category ${categoryId} not found`, 400);
+      }
+    }
+  }
+
+  async invite({ email, role, category_ids = [] }, inviter) {
+    const normalizedEmail = email.toLowerCase();
+
+    if (await User.findByEmail(normalizedEmail)) {
+      throw new AppError('A user with this email already exists', 409);
+    }
+
+    if (await Invitation.findPendingByEmail(normalizedEmail)) {
+      throw new AppError('An invitation for this email is already pending. Resend it instead.', 409);
+    }
+
+    const categoryIds = [...new Set(category_ids.map(id => parseInt(id)))];
+    await this.assertCategoriesExist(categoryIds);
+
+    const { token, tokenHash } = this.createToken();
+    const invitation = await Invitation.create({
+      email: normalizedEmail,
+      role,
+      category_ids: categoryIds,
+      invited_by: inviter.id,
+      token_hash: tokenHash,
+      expires_at: this.expiryDate()
+    });
+
+    const sent = await this.sendInvitation(invitation, token, inviter);
+    return { invitation, sent };
+  }
+
+  async sendInvitation(invitation, token, inviter) {
+    const acceptUrl = `${emailService.siteUrl}/invitations/accept?token=${encodeURIComponent(token)}`;
+
+    const sent = await emailService.safeEmailSend(
+      emailService.sendStaffInvitationEmail,
+      invitation,
+      acceptUrl,
+      inviter.first_name || inviter.username,
+      this.expiryDays
+    );
+
+    if (!sent) {
+      logger.warn('Invitation email could not be sent', { invitationId: invitation.id });
+    }
+
+    return sent;
+  }
+
+  // New link with a fresh expiry; also revives expired invitations
+  async resend(invitation, inviter) {
+    if (invitation.accepted_at || invitation.revoked_at) {
+      throw new AppError('Only pending or expired invitations can be resent', 400);
+    }
+
+    const { token, tokenHash } = this.createToken();
+    await invitation.renew(tokenHash, this.expiryDate());
+
+    return await this.sendInvitation(invitation, token, inviter);
+  }
+
+  // Pending invitation for a link token, or null
+  async resolveToken(token) {
+    const [nonce, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!nonce || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signNonce(nonce));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+
+    const invitation = await Invitation.findByTokenHash(this.hashNonce(nonce));
+    return invitation?.isPending() ? invitation : null;
+  }
+
+  // Create the invitee's account: verified, with the invited role and categories
+  async accept(token, { username, password, first_name, last_name }) {
+    const invitation = await this.resolveToken(token);
+    if (!invitation) {
+      throw new AppError('This invitation is invalid, expired or has already been used', 400, 'INVALID_INVITATION');
+    }
+
+    if (!(await Role.exists(invitation.role))) {
+      throw new AppError('The role of this invitation no longer exists. Please ask for a new invitation.', 409);
+    }
+
+    const issues = await passwordPolicyService.check(password);
+    if (issues.length > 0) {
+      throw new AppError(`Password does not meet requirements: ${issues.join(', ')}`, 400, 'WEAK_PASSWORD');
+    }
+
+    // Claim the invitation first, so it can't create two accounts
+    if (!(await invitation.claim())) {
+      throw new AppError('This invitation is invalid, expired or has already been used', 400, 'INVALID_INVITATION');
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        username,
+        email: invitation.email,
+        password,
+        first_name,
+        last_name,
+        role: invitation.role
+      });
+    } catch (error) {
+      await invitation.releaseClaim();
+
+      // Registered between the existence check in User.create and the insert
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new AppError('User with this email or username already exists', 400);
+      }
+      throw error;
+    }
+
+    await invitation.markAccepted(user.id);
+    await user.verifyEmail();
+
+    // Categories deleted since the invitation was sent are skipped
+    const categoryIds = [];
+    for (const categoryId of invitation.category_ids) {
+      if (await Category.findById(categoryId)) {
+        categoryIds.push(categoryId);
+      }
+    }
+    await user.setCategories(categoryIds);
+
+    logger.info('Invitation accepted', {
+      invitationId: invitation.id,
+      userId: user.id,
+      role: user.role
+    });
+
+    return { user, invitation };
+  }
+}
+
+module.exports = new InvitationService();
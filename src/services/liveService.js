@@ -0,0 +1,80 @@
+// src/services/liveService.js
+const logger = require('../../scripts/baksrc/utils/logger');
+
+// Pushes live updates (breaking news, live-blog entries, comments) to Socket.IO rooms
+class LiveService {
+  constructor() {
+    this.io = null;
+    this.breakingRoom = 'breaking';
+  }
+
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  articleRoom(articleId) {
+    return `article-${articleId}`;
+  }
+
+  emit(room, event, payload) {
+    if (!this.io) {
+      return false;
+    }
+
+    try {
+      this.io.to(room).emit(event, payload);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to emit ${event} to ${room}:`, error);
+      return false;
+    }
+  }
+
+  // Broadcast a published breaking-news article to the breaking channel
+  breakingNews(article) {
+    if (!article.is_breaking || article.status !== 'published') {
+      return false;
+    }
+
+    return this.emit(this.breakingRoom, 'breaking-news', {
+      article: article.toSummaryObject()
+    });
+  }
+
+  // Push a new live-blog entry to readers of the article
+  liveEntryAdded(article, entry) {
+    if (article.status !== 'published') {
+      return false;
+    }
+
+    return this.emit(this.articleRoom(article.id), 'live-entry', {
+      article_id: article.id,
+      entry: entry.toPublicObject()
+    });
+  }
+
+  liveEntryRemoved(article, entryId) {
+    if (article.status !== 'published') {
+      return false;
+    }
+
+    return this.emit(this.articleRoom(article.id), 'live-entry-removed', {
+      article_id: article.id,
+      entry_id: entryId
+    });
+  }
+
+  // Push a comment once it is approved
+  commentApproved(comment) {
+    if (comment.status !== 'approved') {
+      return false;
+    }
+
+    return this.emit(this.articleRoom(comment.article_id), 'comment-approved', {
+      article_id: comment.article_id,
+      comment: comment.toPublicObject()
+    });
+  }
+}
+
+module.exports = new LiveService();
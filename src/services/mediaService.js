@@ -1,24 +1,19 @@
 // src/services/mediaService.js
 const sharp = require('sharp');
-const cloudinary = require('cloudinary').v2;
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const db = require('../config/database');
+const Media = require('../models/Media');
+const MediaFile = require('../models/MediaFile');
+const { getStorage, defaultBackend } = require('./storage');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
 class MediaService {
   constructor() {
     this.uploadPath = process.env.UPLOAD_PATH || './uploads';
-    this.cdnEnabled = process.env.CDN_ENABLED === 'true';
+    this.storageBackend = defaultBackend;
     this.webpEnabled = process.env.WEBP_ENABLED === 'true';
     this.webpQuality = parseInt(process.env.WEBP_QUALITY) || 80;
   }
@@ -58,6 +53,8 @@ class MediaService {
       const {
         width = null,
         height = null,
+        fit = 'inside',
+        crop = null,
         quality = 85,
         format = null,
         progressive = true,
@@ -71,10 +68,15 @@ class MediaService {
         pipeline = pipeline.withMetadata(false);
       }
 
+      // Cut out the crop region first, so resizing never centre-crops
+      if (crop) {
+        pipeline = pipeline.extract(crop);
+      }
+
       // Resize if dimensions provided
       if (width || height) {
         pipeline = pipeline.resize(width, height, {
-          fit: 'inside',
+          fit,
           withoutEnlargement: true
         });
       }
@@ -108,33 +110,124 @@ class MediaService {
     }
   }
 
-  // Create responsive image sizes
-  async createResponsiveSizes(inputPath, baseName, outputDir) {
-    const sizes = [
-      { suffix: '_thumbnail', width: 150, height: 150 },
+  // Stored focal point (0-1 on both axes), or the centre
+  focalPoint(media) {
+    const x = media?.focal_x === null || media?.focal_x === undefined ? 0.5 : Number(media.focal_x);
+    const y = media?.focal_y === null || media?.focal_y === undefined ? 0.5 : Number(media.focal_y);
+    return { x, y };
+  }
+
+  // Largest region with the target aspect ratio, centred on the focal point
+  // as far as the image edges allow
+  focalCrop(sourceWidth, sourceHeight, targetWidth, targetHeight, focalX = 0.5, focalY = 0.5) {
+    const ratio = targetWidth / targetHeight;
+    let width = sourceWidth;
+    let height = Math.round(sourceWidth / ratio);
+
+    if (height > sourceHeight) {
+      height = sourceHeight;
+      width = Math.round(sourceHeight * ratio);
+    }
+
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+    return {
+      left: clamp(Math.round(focalX * sourceWidth - width / 2), sourceWidth - width),
+      top: clamp(Math.round(focalY * sourceHeight - height / 2), sourceHeight - height),
+      width,
+      height
+    };
+  }
+
+  // Preset whose aspect ratio matches the target (within 1%), if any
+  findCropPreset(targetWidth, targetHeight) {
+    const ratio = targetWidth / targetHeight;
+    return Object.keys(Media.cropPresets).find(name => {
+      const preset = Media.cropPresets[name];
+      return Math.abs(preset.width / preset.height - ratio) / ratio < 0.01;
+    }) || null;
+  }
+
+  // Region to cut for a target size: the editor's crop for that aspect ratio
+  // when there is one, otherwise the focal point crop
+  cropRegion(media, sourceWidth, sourceHeight, targetWidth, targetHeight) {
+    const presetName = this.findCropPreset(targetWidth, targetHeight);
+    const crop = presetName ? Media.parseCrops(media?.crops)[presetName] : null;
+
+    if (crop) {
+      // Crops are stored against the record's dimensions; scale to the source
+      const scaleX = sourceWidth / (media.width || sourceWidth);
+      const scaleY = sourceHeight / (media.height || sourceHeight);
+      const left = Math.min(Math.round(crop.x * scaleX), sourceWidth - 1);
+      const top = Math.min(Math.round(crop.y * scaleY), sourceHeight - 1);
+
+      return {
+        left,
+        top,
+        width: Math.max(1, Math.min(Math.round(crop.width * scaleX), sourceWidth - left)),
+        height: Math.max(1, Math.min(Math.round(crop.height * scaleY), sourceHeight - top))
+      };
+    }
+
+    const focal = this.focalPoint(media);
+    return this.focalCrop(sourceWidth, sourceHeight, targetWidth, targetHeight, focal.x, focal.y);
+  }
+
+  // Sizes generated for every image; `crop` sizes have a fixed aspect ratio
+  get responsiveSizes() {
+    const presets = Media.cropPresets;
+    return [
+      { suffix: '_thumbnail', width: 150, height: 150, crop: true },
       { suffix: '_small', width: 300, height: null },
       { suffix: '_medium', width: 600, height: null },
       { suffix: '_large', width: 1200, height: null },
-      { suffix: '_xlarge', width: 1920, height: null }
+      { suffix: '_xlarge', width: 1920, height: null },
+      ...Object.keys(presets).map(name => ({
+        suffix: `_${name}`,
+        width: presets[name].width,
+        height: presets[name].height,
+        crop: true
+      }))
     ];
+  }
+
+  // Paths of every responsive size of an image file, by size name
+  responsiveSizePaths(filePath) {
+    const ext = path.extname(filePath);
+    const baseName = path.basename(filePath, ext);
+    const paths = {};
+
+    for (const size of this.responsiveSizes) {
+      paths[size.suffix.substring(1)] = path.join(path.dirname(filePath), `${baseName}${size.suffix}${ext}`);
+    }
+    return paths;
+  }
 
+  // Create responsive image sizes; `media` supplies the focal point and crops
+  async createResponsiveSizes(inputPath, baseName, outputDir, media = null) {
     const responsiveSizes = {};
     const originalExt = path.extname(baseName);
     const baseName_ = path.basename(baseName, originalExt);
+    const source = await this.getImageMetadata(inputPath);
 
-    for (const size of sizes) {
+    for (const size of this.responsiveSizes) {
       const outputPath = path.join(outputDir, `${baseName_}${size.suffix}${originalExt}`);
       
       try {
         const metadata = await this.optimizeImage(inputPath, outputPath, {
           width: size.width,
           height: size.height,
+          fit: size.crop ? 'cover' : 'inside',
+          crop: size.crop
+            ? this.cropRegion(media, source.width, source.height, size.width, size.height)
+            : null,
           format: this.webpEnabled ? 'webp' : null
         });
 
         responsiveSizes[size.suffix.substring(1)] = {
           path: outputPath,
           url: outputPath.replace(this.uploadPath, ''),
+          format: metadata.format,
           width: metadata.width,
           height: metadata.height,
           size: metadata.size
@@ -147,53 +240,193 @@ class MediaService {
     return responsiveSizes;
   }
 
-  // Upload to CDN (Cloudinary)
-  async uploadToCDN(filePath, options = {}) {
-    if (!this.cdnEnabled) {
-      return null;
+  // Storage key of a file under the upload directory ('images/x.jpg')
+  storageKey(filePath) {
+    return path.relative(this.uploadPath, filePath).split(path.sep).join('/');
+  }
+
+  contentType(fileName) {
+    const types = {
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.webp': 'image/webp',
+      '.avif': 'image/avif',
+      '.gif': 'image/gif',
+      '.mp4': 'video/mp4',
+      '.webm': 'video/webm'
+    };
+    return types[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+  }
+
+  // Put processed files (original and derivatives, on local disk) on a
+  // storage backend. Local copies are removed once stored elsewhere.
+  async storeFiles(files, backend = this.storageBackend) {
+    const storage = getStorage(backend);
+    const stored = {};
+
+    for (const [variant, file] of Object.entries(files)) {
+      const key = this.storageKey(file.path);
+      const mimeType = file.format ? `image/${file.format}` : this.contentType(file.path);
+
+      try {
+        const { url } = await storage.put(key, file.path, { contentType: mimeType });
+        stored[variant] = {
+          backend,
+          storage_key: key,
+          url,
+          mime_type: mimeType,
+          size: file.size,
+          width: file.width,
+          height: file.height
+        };
+      } catch (error) {
+        logger.error(`Error storing ${variant} on ${backend}:`, error);
+        throw new AppError('Failed to store media file', 500);
+      }
+
+      if (backend !== 'local') {
+        await fs.unlink(file.path).catch(() => {});
+      }
+    }
+
+    return stored;
+  }
+
+  // Record where each variant of a media item is stored; files replaced by
+  // a new location or key are removed
+  async recordFiles(mediaId, stored) {
+    const previous = await MediaFile.findByMedia(mediaId);
+
+    for (const [variant, file] of Object.entries(stored)) {
+      await MediaFile.upsert({ media_id: mediaId, variant, ...file });
     }
 
+    for (const old of previous) {
+      const replacement = stored[old.variant];
+      if (replacement && (replacement.backend !== old.backend || replacement.storage_key !== old.storage_key)) {
+        await this.deleteStoredFile(old.backend, old.storage_key);
+      }
+    }
+  }
+
+  async deleteStoredFile(backend, key) {
     try {
-      const {
-        folder = 'news-portal',
-        public_id = null,
-        transformation = null,
-        resource_type = 'auto'
-      } = options;
+      await getStorage(backend).delete(key);
+    } catch (error) {
+      logger.error(`Error deleting ${key} from ${backend}:`, error);
+    }
+  }
 
-      const uploadOptions = {
-        folder,
-        resource_type,
-        use_filename: true,
-        unique_filename: !public_id,
-        overwrite: false
-      };
+  // Stored files of a media item. Media uploaded before files were tracked
+  // get records for whatever is on local disk.
+  async getFiles(media) {
+    const files = await MediaFile.findByMedia(media.id);
+    if (files.length > 0 || !media.path) {
+      return files;
+    }
 
-      if (public_id) {
-        uploadOptions.public_id = public_id;
+    const local = getStorage('local');
+    const candidates = {
+      original: media.path,
+      ...this.responsiveSizePaths(media.path)
+    };
+
+    for (const [variant, filePath] of Object.entries(candidates)) {
+      const key = this.storageKey(filePath);
+      if (await local.exists(key)) {
+        files.push(await MediaFile.upsert({
+          media_id: media.id,
+          variant,
+          backend: 'local',
+          storage_key: key,
+          url: local.url(key),
+          mime_type: variant === 'original' ? media.mime_type : this.contentType(filePath),
+          size: variant === 'original' ? media.size : null,
+          width: variant === 'original' ? media.width : null,
+          height: variant === 'original' ? media.height : null
+        }));
       }
+    }
+
+    return files;
+  }
+
+  // Backend holding a media item's original
+  async getBackend(media) {
+    const files = await this.getFiles(media);
+    return files.find(file => file.variant === 'original')?.backend || 'local';
+  }
+
+  // Contents of the original file, from whichever backend holds it
+  async readOriginal(media) {
+    const files = await this.getFiles(media);
+    const original = files.find(file => file.variant === 'original');
+
+    if (!original) {
+      throw new AppError('Media file not found in storage', 404);
+    }
+
+    return await getStorage(original.backend).get(original.storage_key);
+  }
+
+  // Recreate all derivatives from the stored original, on the same backend
+  async regenerateDerivatives(media) {
+    const source = await this.readOriginal(media);
+    const outputDir = path.join(this.uploadPath, 'images');
+    await fs.mkdir(outputDir, { recursive: true });
 
-      if (transformation) {
-        uploadOptions.transformation = transformation;
+    const sizes = await this.createResponsiveSizes(source, media.filename, outputDir, media);
+    const stored = await this.storeFiles(sizes, await this.getBackend(media));
+    await this.recordFiles(media.id, stored);
+
+    return stored;
+  }
+
+  // Move every file of a media item to another backend
+  async migrateMedia(media, target, options = {}) {
+    const { from = null, dryRun = false, keepSource = false } = options;
+    const targetStorage = getStorage(target);
+    const files = await this.getFiles(media);
+    const moved = [];
+
+    for (const file of files) {
+      if (file.backend === target || (from && file.backend !== from)) {
+        continue;
       }
 
-      const result = await cloudinary.uploader.upload(filePath, uploadOptions);
+      moved.push(file.variant);
+      if (dryRun) {
+        continue;
+      }
 
-      return {
-        public_id: result.public_id,
-        version: result.version,
-        signature: result.signature,
-        width: result.width,
-        height: result.height,
-        format: result.format,
-        resource_type: result.resource_type,
-        url: result.secure_url,
-        bytes: result.bytes
-      };
-    } catch (error) {
-      logger.error('CDN upload error:', error);
-      throw new AppError('Failed to upload to CDN', 500);
+      const source = file.backend;
+      const contents = await getStorage(source).get(file.storage_key);
+      const { url } = await targetStorage.put(file.storage_key, contents, {
+        contentType: file.mime_type || this.contentType(file.storage_key)
+      });
+
+      await file.moveTo(target, url);
+      if (!keepSource) {
+        await this.deleteStoredFile(source, file.storage_key);
+      }
+
+      // The media row points at the original
+      if (file.variant === 'original') {
+        const cdnUrl = target === 'cloudinary' ? url : (source === 'cloudinary' ? null : media.cdn_url);
+        await db.execute(
+          'UPDATE media SET path = ?, url = ?, cdn_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [
+            target === 'local' ? path.join(this.uploadPath, file.storage_key) : null,
+            url,
+            cdnUrl,
+            media.id
+          ]
+        );
+      }
     }
+
+    return moved;
   }
 
   // Process uploaded file
@@ -202,7 +435,6 @@ class MediaService {
       const {
         userId,
         createResponsive = true,
-        uploadToCDN = this.cdnEnabled,
         alt_text = '',
         caption = ''
       } = options;
@@ -246,17 +478,13 @@ class MediaService {
         responsiveSizes = await this.createResponsiveSizes(finalPath, fileName, uploadDir);
       }
 
-      // Upload to CDN if enabled
-      let cdnData = null;
-      if (uploadToCDN) {
-        cdnData = await this.uploadToCDN(finalPath, {
-          folder: 'news-portal/images',
-          transformation: [
-            { quality: 'auto:good' },
-            { fetch_format: 'auto' }
-          ]
-        });
-      }
+      // Move the files to the storage backend
+      const stored = await this.storeFiles({
+        original: { path: finalPath, ...optimizedMetadata },
+        ...responsiveSizes
+      });
+      const original = stored.original;
+      const cdnUrl = this.storageBackend === 'cloudinary' ? original.url : null;
 
       // Save to database
       const [result] = await db.execute(
@@ -272,9 +500,9 @@ class MediaService {
           optimizedMetadata.size,
           optimizedMetadata.width,
           optimizedMetadata.height,
-          finalPath,
-          `/uploads/images/${fileName}`,
-          cdnData?.url || null,
+          this.storageBackend === 'local' ? finalPath : null,
+          original.url,
+          cdnUrl,
           alt_text,
           caption,
           userId,
@@ -283,6 +511,8 @@ class MediaService {
         ]
       );
 
+      await this.recordFiles(result.insertId, stored);
+
       // Clean up temp file
       try {
         await fs.unlink(tempPath);
@@ -298,13 +528,17 @@ class MediaService {
         size: optimizedMetadata.size,
         width: optimizedMetadata.width,
         height: optimizedMetadata.height,
-        url: `/uploads/images/${fileName}`,
-        cdn_url: cdnData?.url || null,
+        url: original.url,
+        cdn_url: cdnUrl,
         alt_text,
         caption,
         compression_ratio: parseFloat(compressionRatio),
-        responsive_sizes: responsiveSizes,
-        cdn_data: cdnData
+        responsive_sizes: Object.fromEntries(
+          Object.entries(stored)
+            .filter(([variant]) => variant !== 'original')
+            .map(([variant, file]) => [variant, { url: file.url, width: file.width, height: file.height, size: file.size }])
+        ),
+        storage_backend: this.storageBackend
       };
     } catch (error) {
       logger.error('Error processing upload:', error);
@@ -323,7 +557,13 @@ class MediaService {
       return null;
     }
 
-    return rows[0];
+    const files = await MediaFile.findByMedia(id);
+
+    return {
+      ...rows[0],
+      crops: Media.parseCrops(rows[0].crops),
+      files: files.map(file => file.toPublicObject())
+    };
   }
 
   // Get all media with pagination
@@ -363,7 +603,7 @@ class MediaService {
     const [countRows] = await db.execute(countQuery, params);
 
     return {
-      media: rows,
+      media: rows.map(row => ({ ...row, crops: Media.parseCrops(row.crops) })),
       pagination: {
         page,
         limit,
@@ -385,42 +625,31 @@ class MediaService {
       throw new AppError('You can only delete your own media', 403);
     }
 
-    // Delete from CDN if exists
-    if (media.cdn_url && this.cdnEnabled) {
+    // Delete stored files from every backend holding them
+    const files = await this.getFiles(media);
+    for (const file of files) {
+      await this.deleteStoredFile(file.backend, file.storage_key);
+    }
+    await MediaFile.deleteByMedia(id);
+
+    // CDN copies made before files were tracked per backend
+    if (media.cdn_url && !files.some(file => file.backend === 'cloudinary')) {
       try {
         // Extract public_id from CDN URL
         const urlParts = media.cdn_url.split('/');
         const publicIdWithExt = urlParts.slice(-2).join('/'); // folder/filename
         const publicId = publicIdWithExt.split('.')[0]; // remove extension
-        
-        await cloudinary.uploader.destroy(publicId);
+
+        const { deleteImage } = require('../config/cloudinary');
+        await deleteImage(publicId);
       } catch (error) {
         logger.error('Error deleting from CDN:', error);
       }
     }
 
-    // Delete local files
-    try {
-      if (media.path && await fs.access(media.path).then(() => true).catch(() => false)) {
-        await fs.unlink(media.path);
-      }
-
-      // Delete responsive sizes
-      const uploadDir = path.dirname(media.path);
-      const baseName = path.basename(media.filename, path.extname(media.filename));
-      const sizes = ['_thumbnail', '_small', '_medium', '_large', '_xlarge'];
-
-      for (const size of sizes) {
-        const sizePath = path.join(uploadDir, `${baseName}${size}${path.extname(media.filename)}`);
-        try {
-          await fs.unlink(sizePath);
-        } catch (error) {
-          // File might not exist, ignore error
-        }
-      }
-    } catch (error) {
-      logger.error('Error deleting local files:', error);
-    }
+    // Delete rendered derivatives
+    const imageRenderService = require('./imageRenderService');
+    await imageRenderService.purge(id);
 
     // Delete from database
     await db.execute('DELETE FROM media WHERE id = ?', [id]);
@@ -440,10 +669,19 @@ class MediaService {
       throw new AppError('You can only update your own media', 403);
     }
 
-    const allowedUpdates = ['alt_text', 'caption'];
+    const allowedUpdates = ['alt_text', 'caption', 'focal_x', 'focal_y', 'crops'];
     const updateFields = [];
     const updateValues = [];
 
+    const cropsChanged = ['focal_x', 'focal_y', 'crops'].some(key => updates[key] !== undefined);
+    if (cropsChanged && !media.mime_type.startsWith('image/')) {
+      throw new AppError('Focal points and crops can only be set on images', 400);
+    }
+
+    if (updates.crops !== undefined) {
+      updates = { ...updates, crops: JSON.stringify(this.mergeCrops(media, updates.crops)) };
+    }
+
     Object.keys(updates).forEach(key => {
       if (allowedUpdates.includes(key) && updates[key] !== undefined) {
         updateFields.push(`${key} = ?`);
@@ -462,18 +700,71 @@ class MediaService {
       updateValues
     );
 
-    return await this.getById(id);
+    const updated = await this.getById(id);
+
+    // Derivatives follow the new focal point and crops
+    if (cropsChanged) {
+      await this.regenerateDerivatives(updated);
+    }
+
+    return updated;
+  }
+
+  // Apply crop changes (null removes a crop) after checking each against the
+  // preset's aspect ratio and the image bounds
+  mergeCrops(media, changes) {
+    const crops = { ...Media.parseCrops(media.crops) };
+    const presets = Media.cropPresets;
+
+    for (const [name, crop] of Object.entries(changes || {})) {
+      if (!presets[name]) {
+        throw new AppError(`Unknown crop "${name}". Available crops: ${Object.keys(presets).join(', ')}`, 400);
+      }
+
+      if (crop === null) {
+        delete crops[name];
+        continue;
+      }
+
+      const { x, y, width, height } = crop;
+      if (![x, y, width, height].every(Number.isInteger)) {
+        throw new AppError(`Crop "${name}" needs integer x, y, width and height`, 400);
+      }
+
+      if (x < 0 || y < 0 || width < 1 || height < 1 ||
+          x + width > media.width || y + height > media.height) {
+        throw new AppError(`Crop "${name}" must lie within the ${media.width}x${media.height} image`, 400);
+      }
+
+      const ratio = presets[name].width / presets[name].height;
+      if (Math.abs(width / height - ratio) / ratio > 0.01) {
+        throw new AppError(`Crop "${name}" must have a ${presets[name].aspect} aspect ratio`, 400);
+      }
+
+      crops[name] = { x, y, width, height };
+    }
+
+    return crops;
   }
 
   // Generate optimized URL for different sizes
   generateOptimizedUrl(media, size = 'medium', format = null) {
-    if (media.cdn_url && this.cdnEnabled) {
+    if (media.cdn_url) {
       // Use Cloudinary transformations
       const transformations = [];
-      
-      switch (size) {
-        case 'thumbnail':
-          transformations.push('w_150,h_150,c_fill');
+      const cropSize = this.responsiveSizes.find(s => s.crop && s.suffix === `_${size}`);
+
+      if (cropSize) {
+        // Cut the same region as the local derivative, then scale it
+        const region = this.cropRegion(media, media.width, media.height, cropSize.width, cropSize.height);
+        transformations.push(
+          `x_${region.left},y_${region.top},w_${region.width},h_${region.height},c_crop/` +
+          `w_${cropSize.width},h_${cropSize.height},c_fill`
+        );
+      }
+
+      switch (cropSize ? null : size) {
+        case null:
           break;
         case 'small':
           transformations.push('w_300,c_scale');
@@ -507,6 +798,12 @@ class MediaService {
       return `${baseUrl}/upload/${transformations.join(',')}/${imagePath}`;
     }
 
+    // Stored derivative, on whichever backend holds it
+    const file = media.files?.find(f => f.variant === size);
+    if (file) {
+      return file.url;
+    }
+
     // Use local files
     const ext = path.extname(media.filename);
     const baseName = path.basename(media.filename, ext);
@@ -533,6 +830,11 @@ class MediaService {
       ${userCondition}
     `, params);
 
+    // Site-wide breakdown of where files are stored
+    if (!userId) {
+      return { ...stats[0], storage: await MediaFile.countByBackend() };
+    }
+
     return stats[0];
   }
 
@@ -609,8 +911,8 @@ class MediaService {
 
     const defaultSizes = sizes || '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw';
     
-    if (media.cdn_url && this.cdnEnabled) {
-      // Generate srcset with Cloudinary transformations
+    if (media.cdn_url || media.files?.length) {
+      // Generate srcset with Cloudinary transformations or stored sizes
       const srcset = [
         `${this.generateOptimizedUrl(media, 'small')} 300w`,
         `${this.generateOptimizedUrl(media, 'medium')} 600w`,
@@ -652,38 +954,42 @@ class MediaService {
       throw new AppError('Only images can be converted to WebP', 400);
     }
 
-    const inputPath = media.path;
-    const outputPath = inputPath.replace(path.extname(inputPath), '.webp');
+    const fileName = `${path.basename(media.filename, path.extname(media.filename))}.webp`;
+    const outputPath = path.join(this.uploadPath, 'images', fileName);
 
     try {
-      await sharp(inputPath)
+      const source = await this.readOriginal(media);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+      await sharp(source)
         .webp({ quality: this.webpQuality })
         .toFile(outputPath);
 
       const newMetadata = await this.getImageMetadata(outputPath);
-      const newUrl = media.url.replace(path.extname(media.url), '.webp');
+      const backend = await this.getBackend(media);
+      const stored = await this.storeFiles({ original: { path: outputPath, ...newMetadata } }, backend);
 
       // Update database
       await db.execute(
         `UPDATE media SET 
-          filename = ?, path = ?, url = ?, mime_type = 'image/webp',
+          filename = ?, path = ?, url = ?, cdn_url = ?, mime_type = 'image/webp',
           size = ?, updated_at = CURRENT_TIMESTAMP
          WHERE id = ?`,
         [
-          path.basename(outputPath),
-          outputPath,
-          newUrl,
+          fileName,
+          backend === 'local' ? outputPath : null,
+          stored.original.url,
+          backend === 'cloudinary' ? stored.original.url : media.cdn_url,
           newMetadata.size,
           mediaId
         ]
       );
 
-      // Delete original file
-      try {
-        await fs.unlink(inputPath);
-      } catch (error) {
-        logger.warn('Failed to delete original file:', inputPath);
-      }
+      // Replaces the original file
+      await this.recordFiles(mediaId, stored);
+
+      // Recreate the sizes as WebP, keeping the focal point and crops
+      await this.regenerateDerivatives(await this.getById(mediaId));
 
       return await this.getById(mediaId);
     } catch (error) {
@@ -703,12 +1009,7 @@ class MediaService {
       throw new AppError('Only images support responsive sizes', 400);
     }
 
-    const outputDir = path.dirname(media.path);
-    const responsiveSizes = await this.createResponsiveSizes(
-      media.path, 
-      media.filename, 
-      outputDir
-    );
+    const responsiveSizes = await this.regenerateDerivatives(media);
 
     return {
       mediaId,
@@ -0,0 +1,337 @@
+// src/services/oidcService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const redis = require('../config/redis');
+const { loadProviders } = require('../config/oidc');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+// OpenID Connect login (authorization code flow with PKCE)
+class OidcService {
+  constructor() {
+    this.providers = loadProviders();
+    this.stateTTL = 10 * 60; // 10 minutes to finish signing in at the provider
+    this.cacheTTL = 60 * 60 * 1000; // discovery documents and signing keys
+    this.clockTolerance = 60; // seconds
+    this.metadataCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  listProviders() {
+    return Object.values(this.providers).map(provider => ({
+      name: provider.name,
+      label: provider.label
+    }));
+  }
+
+  getProvider(name) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw new AppError('Unknown login provider', 404, 'UNKNOWN_PROVIDER');
+    }
+    return provider;
+  }
+
+  async fetchJson(url, options = {}) {
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+    } catch (error) {
+      logger.error('OIDC provider request failed:', { url, error: error.message });
+      throw new AppError('Login provider is not reachable', 502, 'OIDC_PROVIDER_ERROR');
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+      logger.warn('OIDC provider returned an error', { url, status: response.status, error: body?.error });
+      throw new AppError('Login provider rejected the request', 502, 'OIDC_PROVIDER_ERROR');
+    }
+
+    return body;
+  }
+
+  // Provider endpoints, from the configuration or discovery
+  async getMetadata(provider) {
+    if (provider.authorizationEndpoint && provider.tokenEndpoint && provider.jwksUri) {
+      return {
+        issuer: provider.issuer,
+        authorization_endpoint: provider.authorizationEndpoint,
+        token_endpoint: provider.tokenEndpoint,
+        jwks_uri: provider.jwksUri
+      };
+    }
+
+    const cached = this.metadataCache.get(provider.name);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTTL) {
+      return cached.metadata;
+    }
+
+    const metadata = await this.fetchJson(
+      `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`
+    );
+
+    if (metadata.issuer !== provider.issuer) {
+      throw new AppError('Login provider issuer mismatch', 502, 'OIDC_PROVIDER_ERROR');
+    }
+
+    this.metadataCache.set(provider.name, { metadata, fetchedAt: Date.now() });
+    return metadata;
+  }
+
+  // PKCE verifier and its S256 challenge (RFC 7636)
+  createPkcePair() {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    return { verifier, challenge };
+  }
+
+  // Start a login: remember state, nonce and PKCE verifier, return the
+  // provider URL to send the browser to
+  async createAuthorizationRequest(providerName, { redirect = null } = {}) {
+    const provider = this.getProvider(providerName);
+
+    if (!redis.getStatus().connected) {
+      throw new AppError('Social login is temporarily unavailable', 503, 'OIDC_UNAVAILABLE');
+    }
+
+    const metadata = await this.getMetadata(provider);
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const { verifier, challenge } = this.createPkcePair();
+
+    await redis.set(`oidc_state:${state}`, {
+      provider: provider.name,
+      nonce,
+      codeVerifier: verifier,
+      redirect
+    }, this.stateTTL);
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    });
+
+    return {
+      authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+      state,
+      expiresIn: this.stateTTL
+    };
+  }
+
+  // State can only be used once; GETDEL so concurrent callbacks can't both
+  // consume it
+  async consumeState(state) {
+    if (!state) {
+      return null;
+    }
+
+    return await redis.getDel(`oidc_state:${state}`);
+  }
+
+  async exchangeCode(provider, metadata, code, codeVerifier) {
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+
+    if (provider.tokenAuthMethod === 'client_secret_basic') {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret || '')}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_id', provider.clientId);
+      if (provider.clientSecret) {
+        params.set('client_secret', provider.clientSecret);
+      }
+    }
+
+    return await this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: params.toString()
+    });
+  }
+
+  // Public key for a key id, refetching the key set once for rotated keys
+  async getSigningKey(metadata, kid) {
+    const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && key.use !== 'enc');
+
+    const cached = this.jwksCache.get(metadata.jwks_uri);
+    let key = cached && Date.now() - cached.fetchedAt < this.cacheTTL ? findKey(cached.keys) : null;
+
+    if (!key) {
+      const { keys = [] } = await this.fetchJson(metadata.jwks_uri);
+      this.jwksCache.set(metadata.jwks_uri, { keys, fetchedAt: Date.now() });
+      key = findKey(keys);
+    }
+
+    if (!key) {
+      throw new AppError('Login provider signing key not found', 401, 'OIDC_INVALID_TOKEN');
+    }
+
+    return crypto.createPublicKey({ key, format: 'jwk' });
+  }
+
+  async verifyIdToken(provider, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new AppError('Invalid ID token', 401, 'OIDC_INVALID_TOKEN');
+    }
+
+    const publicKey = await this.getSigningKey(metadata, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, publicKey, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+        audience: provider.clientId,
+        issuer: metadata.issuer,
+        clockTolerance: this.clockTolerance
+      });
+    } catch (error) {
+      logger.warn('ID token verification failed', { provider: provider.name, error: error.message });
+      throw new AppError('Invalid ID token', 401, 'OIDC_INVALID_TOKEN');
+    }
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+      throw new AppError('Invalid ID token', 401, 'OIDC_INVALID_TOKEN');
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+      throw new AppError('Invalid ID token', 401, 'OIDC_INVALID_TOKEN');
+    }
+
+    return claims;
+  }
+
+  // Whether the provider says the user signed in with more than one factor
+  assertsMfa(provider, claims) {
+    const amr = Array.isArray(claims.amr) ? claims.amr : [];
+    return provider.trustMfa && amr.some(value => provider.mfaAmrValues.includes(value));
+  }
+
+  // Finish the provider round trip and return the verified claims
+  async handleCallback(providerName, { code, state }) {
+    const provider = this.getProvider(providerName);
+    const stateData = await this.consumeState(state);
+
+    if (!stateData || stateData.provider !== provider.name) {
+      throw new AppError('Login request expired or is invalid. Please try again.', 400, 'OIDC_INVALID_STATE');
+    }
+
+    const metadata = await this.getMetadata(provider);
+    const tokens = await this.exchangeCode(provider, metadata, code, stateData.codeVerifier);
+
+    if (!tokens.id_token) {
+      throw new AppError('Login provider did not return an ID token', 502, 'OIDC_PROVIDER_ERROR');
+    }
+
+    const claims = await this.verifyIdToken(provider, metadata, tokens.id_token, stateData.nonce);
+
+    return {
+      provider,
+      claims,
+      mfa: this.assertsMfa(provider, claims),
+      redirect: stateData.redirect
+    };
+  }
+
+  // Username from the email's local part, made unique
+  async generateUsername(email) {
+    const base = (email.split('@')[0].replace(/[^a-zA-Z0-9_]/g, '') || 'user')
+      .padEnd(3, '0')
+      .substring(0, 40);
+
+    let candidate = base;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      if (!(await User.findByUsername(candidate))) {
+        return candidate;
+      }
+      candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+    }
+
+    return `${base}${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  // Find the user for a provider account: an existing link, else an account
+  // with the same verified email (which gets linked), else a new reader account
+  async resolveUser(provider, claims) {
+    const identity = await UserIdentity.findByProviderSubject(provider.name, claims.sub);
+
+    if (identity) {
+      const user = await User.findById(identity.user_id);
+      if (!user) {
+        throw new AppError('Account is deactivated', 401, 'USER_INACTIVE');
+      }
+      await identity.touch(claims.email);
+      return { user, created: false, linked: false };
+    }
+
+    const email = claims.email?.toLowerCase();
+    if (!email || claims.email_verified !== true) {
+      throw new AppError('Your login provider did not confirm your email address', 400, 'OIDC_EMAIL_NOT_VERIFIED');
+    }
+
+    // Deactivated accounts too: their address is taken, and signing in through
+    // a provider must not bring them back
+    let user = await User.findByEmail(email, { includeInactive: true });
+    let created = false;
+
+    if (user && !user.is_active) {
+      throw new AppError('Account is deactivated', 401, 'USER_INACTIVE');
+    }
+
+    if (user && !user.email_verified) {
+      // Linking would let whoever registered this address keep access
+      throw new AppError(
+        'An unverified account with this email already exists. Please verify it before using this login provider.',
+        409,
+        'ACCOUNT_NOT_VERIFIED'
+      );
+    }
+
+    if (!user) {
+      user = await User.create({
+        username: await this.generateUsername(email),
+        email,
+        // Random password; the user can set one later through password reset
+        password: `${crypto.randomBytes(24).toString('base64url')}aA1!`,
+        first_name: claims.given_name || claims.name || null,
+        last_name: claims.family_name || null,
+        role: 'user'
+      });
+      await user.verifyEmail();
+      created = true;
+    }
+
+    const newIdentity = await UserIdentity.create({
+      user_id: user.id,
+      provider: provider.name,
+      subject: claims.sub,
+      email
+    });
+    await newIdentity.touch();
+
+    logger.info(created ? 'Account created via OIDC login' : 'OIDC identity linked to existing account', {
+      userId: user.id,
+      provider: provider.name
+    });
+
+    return { user, created, linked: !created };
+  }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,206 @@
+// src/services/passwordPolicyService.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const redis = require('../config/redis');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, label: 'one lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, label: 'one uppercase letter' },
+  number: { pattern: /\d/, label: 'one number' },
+  special: { pattern: /[^A-Za-z0-9]/, label: 'one special character' }
+};
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Password rules, reuse history, maximum age and the breached-password list.
+//
+// The breached list is a directory of SHA-1 range files in the k-anonymity
+// format of the Pwned Passwords API: `<first 5 hex chars>.txt`, one
+// `<remaining 35 hex chars>:<count>` per line. Prefixes without a file are
+// treated as clean, so a partial list works.
+class PasswordPolicyService {
+  constructor() {
+    this.minLength = intFromEnv('PASSWORD_MIN_LENGTH', 8);
+    this.maxLength = intFromEnv('PASSWORD_MAX_LENGTH', 128);
+    this.requiredClasses = (process.env.PASSWORD_REQUIRED_CLASSES ?? 'lowercase,uppercase,number,special')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => CHARACTER_CLASSES[name]);
+    this.maxAgeDays = intFromEnv('PASSWORD_MAX_AGE_DAYS', 0); // 0 = never expires
+    this.historyCount = intFromEnv('PASSWORD_HISTORY_COUNT', 5); // 0 = reuse allowed
+    this.breachCheck = process.env.PASSWORD_BREACH_CHECK !== 'false';
+    this.breachedListDir = process.env.BREACHED_PASSWORDS_DIR
+      || path.join(__dirname, '../../data/breached-passwords');
+    this.breachMinCount = intFromEnv('PASSWORD_BREACH_MIN_COUNT', 1);
+    this.changeTokenTTL = 15 * 60; // 15 minutes
+  }
+
+  // Rules clients can show next to a password field
+  getPolicy() {
+    return {
+      min_length: this.minLength,
+      max_length: this.maxLength,
+      required_classes: this.requiredClasses,
+      max_age_days: this.maxAgeDays || null,
+      history_count: this.historyCount,
+      breach_check: this.breachCheck
+    };
+  }
+
+  // Length and character class issues
+  checkRules(password) {
+    const issues = [];
+
+    if (typeof password !== 'string' || password.length < this.minLength) {
+      issues.push(`Password must be at least ${this.minLength} characters long`);
+      if (typeof password !== 'string') {
+        return issues;
+      }
+    }
+
+    if (password.length > this.maxLength) {
+      issues.push(`Password must be at most ${this.maxLength} characters long`);
+    }
+
+    this.requiredClasses.forEach(name => {
+      if (!CHARACTER_CLASSES[name].pattern.test(password)) {
+        issues.push(`Password must contain at least ${CHARACTER_CLASSES[name].label}`);
+      }
+    });
+
+    return issues;
+  }
+
+  // Whether the password is on the local breached-password list
+  async isBreached(password) {
+    if (!this.breachCheck) {
+      return false;
+    }
+
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    const prefix = hash.substring(0, 5);
+    const suffix = hash.substring(5);
+
+    let contents;
+    try {
+      contents = await fs.readFile(path.join(this.breachedListDir, `${prefix}.txt`), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read breached-password list:', { prefix, error: error.message });
+      }
+      return false;
+    }
+
+    return contents.split(/\r?\n/).some(line => {
+      const [lineSuffix, count] = line.trim().split(':');
+      return lineSuffix?.toUpperCase() === suffix && (parseInt(count) || 1) >= this.breachMinCount;
+    });
+  }
+
+  // Whether the password is the current one or one of the last N
+  async isReused(user, password) {
+    if (this.historyCount <= 0) {
+      return false;
+    }
+
+    const [rows] = await db.execute(
+      'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+      [user.id, this.historyCount]
+    );
+    const hashes = [user.password_hash, ...rows.map(row => row.password_hash)].filter(Boolean);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // All issues with a candidate password; `user` adds the reuse check
+  async check(password, user = null) {
+    const issues = this.checkRules(password);
+    if (issues.length > 0) {
+      return issues;
+    }
+
+    if (await this.isBreached(password)) {
+      issues.push('This password has appeared in a data breach. Please choose a different one');
+    }
+
+    if (user && await this.isReused(user, password)) {
+      issues.push(`Password must not match any of your last ${this.historyCount} passwords`);
+    }
+
+    return issues;
+  }
+
+  // Change the password and remember the new hash for reuse checks
+  async setPassword(user, newPassword) {
+    await user.updatePassword(newPassword);
+
+    if (this.historyCount > 0) {
+      await db.execute(
+        'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+        [user.id, user.password_hash]
+      );
+      await db.execute(
+        `DELETE FROM password_history WHERE user_id = ? AND id NOT IN (
+           SELECT id FROM (
+             SELECT id FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+           ) AS recent
+         )`,
+        [user.id, user.id, this.historyCount]
+      );
+    }
+
+    return user;
+  }
+
+  isExpired(user) {
+    if (this.maxAgeDays <= 0) {
+      return false;
+    }
+
+    const changedAt = new Date(user.password_changed_at || user.created_at);
+    return Date.now() - changedAt.getTime() > this.maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+
+  // Why the user has to pick a new password before signing in, if they do
+  changeRequiredReason(user) {
+    if (user.must_change_password) {
+      return 'reset_required';
+    }
+    return this.isExpired(user) ? 'expired' : null;
+  }
+
+  // Short-lived token that only allows setting a new password during login
+  async createChangeToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await redis.set(`password_change:${token}`, { userId }, this.changeTokenTTL);
+    return token;
+  }
+
+  async resolveChangeToken(token) {
+    if (!token) {
+      return null;
+    }
+
+    const data = await redis.get(`password_change:${token}`);
+    return data ? data.userId : null;
+  }
+
+  async clearChangeToken(token) {
+    await redis.del(`password_change:${token}`);
+  }
+}
+
+module.exports = new PasswordPolicyService();
@@ -0,0 +1,206 @@
+// src/services/privacyService.js
+const crypto = require('crypto');
+const db = require('../config/database');
+const redis = require('../config/redis');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+// Self-service data export and account erasure
+class PrivacyService {
+  constructor() {
+    this.deletionGraceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+    this.deletionTokenTTL = parseInt(process.env.ACCOUNT_DELETION_TOKEN_TTL) || 60 * 60; // seconds
+    this.batchSize = parseInt(process.env.ACCOUNT_DELETION_BATCH_SIZE) || 20;
+    this.exportVersion = 1;
+    this.deletedAuthorName = 'Deleted user';
+  }
+
+  // Everything stored about the user, as one JSON document
+  async exportData(user) {
+    const [comments] = await db.execute(
+      `SELECT id, article_id, parent_id, author_name, author_email, content, status,
+              ip_address, user_agent, created_at, updated_at
+       FROM comments WHERE user_id = ? OR author_email = ? ORDER BY created_at ASC`,
+      [user.id, user.email]
+    );
+
+    const [commentVotes] = await db.execute(
+      'SELECT comment_id, value, created_at, updated_at FROM comment_votes WHERE user_id = ? ORDER BY created_at ASC',
+      [user.id]
+    );
+
+    const [commentReactions] = await db.execute(
+      'SELECT comment_id, reaction, created_at, updated_at FROM comment_reactions WHERE user_id = ? ORDER BY created_at ASC',
+      [user.id]
+    );
+
+    const [subscriptions] = await db.execute(
+      `SELECT id, article_id, comment_id, email, frequency, confirmed, created_at
+       FROM comment_subscriptions WHERE user_id = ? OR email = ? ORDER BY created_at ASC`,
+      [user.id, user.email]
+    );
+
+    const [analyticsEvents] = await db.execute(
+      `SELECT article_id, event_type, ip_address, user_agent, referrer, country, city,
+              device_type, browser, os, view_duration, created_at
+       FROM analytics WHERE user_id = ? ORDER BY created_at ASC`,
+      [user.id]
+    );
+
+    const identities = await UserIdentity.findByUser(user.id);
+
+    return {
+      format_version: this.exportVersion,
+      exported_at: new Date().toISOString(),
+      profile: user.toSafeObject(),
+      linked_accounts: identities.map(identity => identity.toPublicObject()),
+      sessions: await authService.getUserSessions(user.id),
+      comments,
+      comment_subscriptions: subscriptions,
+      likes: {
+        articles: analyticsEvents.filter(event => event.event_type === 'like'),
+        comment_votes: commentVotes,
+        comment_reactions: commentReactions
+      },
+      analytics_events: analyticsEvents
+    };
+  }
+
+  // Accounts with articles are erased by an administrator, who decides what
+  // happens to the articles
+  async canSelfDelete(user) {
+    const [rows] = await db.execute(
+      'SELECT COUNT(*) as count FROM articles WHERE author_id = ?',
+      [user.id]
+    );
+    return rows[0].count === 0;
+  }
+
+  // Emailed confirmation for accounts without a usable password (provider
+  // and sign-in link users): the token stands in for the password
+  async requestDeletionConfirmation(user, confirmUrlFor) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await redis.set(`account_deletion:${token}`, { userId: user.id }, this.deletionTokenTTL);
+
+    const sent = await emailService.safeEmailSend(
+      emailService.sendAccountDeletionConfirmationEmail.bind(emailService),
+      user,
+      confirmUrlFor(token),
+      Math.round(this.deletionTokenTTL / 60)
+    );
+
+    logger.info('Account deletion confirmation requested', { userId: user.id, sent });
+    return sent;
+  }
+
+  // Single use; only valid for the account it was issued to
+  async consumeDeletionToken(token, userId) {
+    if (!token) {
+      return false;
+    }
+
+    const data = await redis.getDel(`account_deletion:${token}`);
+    return !!data && data.userId === userId;
+  }
+
+  // Start the grace period; signing in again and cancelling keeps the account
+  async scheduleDeletion(user) {
+    const scheduledFor = new Date(Date.now() + this.deletionGraceDays * 24 * 60 * 60 * 1000);
+
+    await user.scheduleDeletion(scheduledFor);
+    await authService.revokeAllSessions(user.id);
+
+    await emailService.safeEmailSend(
+      emailService.sendAccountDeletionScheduledEmail,
+      user,
+      scheduledFor,
+      this.deletionGraceDays
+    );
+
+    logger.info('Account deletion scheduled', { userId: user.id, scheduledFor });
+    return scheduledFor;
+  }
+
+  async cancelDeletion(user) {
+    await user.cancelDeletion();
+    logger.info('Account deletion cancelled', { userId: user.id });
+    return user;
+  }
+
+  // Remove personal data; comments keep their content without the author's
+  // email, IP and user agent
+  async eraseAccount(user) {
+    const { email, first_name, username } = user;
+    const voterKey = `user:${user.id}`;
+    const anonymousVoterKey = `deleted:${crypto.randomUUID()}`;
+
+    await db.execute(
+      `UPDATE comments SET user_id = NULL, author_name = ?, author_email = NULL,
+         ip_address = NULL, user_agent = NULL
+       WHERE user_id = ? OR author_email = ?`,
+      [this.deletedAuthorName, user.id, email]
+    );
+
+    // Votes and reactions still count, but no longer point at the user
+    for (const table of ['comment_votes', 'comment_reactions']) {
+      await db.execute(
+        `UPDATE ${table} SET user_id = NULL, voter_key = ? WHERE user_id = ? OR voter_key = ?`,
+        [anonymousVoterKey, user.id, voterKey]
+      );
+    }
+
+    await db.execute(
+      'DELETE FROM comment_subscriptions WHERE user_id = ? OR email = ?',
+      [user.id, email]
+    );
+
+    await db.execute(
+      'UPDATE analytics SET user_id = NULL, ip_address = NULL, user_agent = NULL WHERE user_id = ?',
+      [user.id]
+    );
+
+    await db.execute(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+      [user.id]
+    );
+
+    for (const table of ['user_identities', 'user_recovery_codes', 'password_history']) {
+      await db.execute(`DELETE FROM ${table} WHERE user_id = ?`, [user.id]);
+    }
+
+    await authService.revokeAllSessions(user.id);
+    await user.anonymize();
+
+    await emailService.safeEmailSend(
+      emailService.sendAccountDeletedEmail,
+      email,
+      first_name || username
+    );
+
+    logger.info('Account erased', { userId: user.id });
+    return user;
+  }
+
+  // Erase accounts whose grace period is over (run by the scheduler)
+  async runDueDeletions() {
+    const users = await User.findDueForDeletion(this.batchSize);
+    const results = { erased: 0, failed: 0 };
+
+    for (const user of users) {
+      try {
+        await this.eraseAccount(user);
+        results.erased++;
+      } catch (error) {
+        results.failed++;
+        logger.error('Account erasure failed:', { userId: user.id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new PrivacyService();
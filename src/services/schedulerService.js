@@ -0,0 +1,178 @@
+// src/services/schedulerService.js
+const Article = require('../models/Article');
+const redis = require('../config/redis');
+const liveService = require('./liveService');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+class SchedulerService {
+  constructor() {
+    this.io = null;
+    this.isRunning = false;
+    this.batchSize = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 50;
+    this.maxAttempts = parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 3;
+    this.retryDelay = 60; // seconds, doubled after each failed attempt
+    this.jobsKey = 'scheduler:publish_jobs';
+    this.jobsTTL = 7 * 24 * 60 * 60; // 7 days
+    this.jobs = new Map(); // Memory fallback when Redis is unavailable
+  }
+
+  // Socket.IO server used to broadcast publications
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  // Job state storage (Redis with memory fallback)
+  async getJob(articleId) {
+    if (redis.isConnected) {
+      return await redis.hget(this.jobsKey, String(articleId));
+    }
+    return this.jobs.get(String(articleId)) || null;
+  }
+
+  async saveJob(job) {
+    if (redis.isConnected) {
+      await redis.hset(this.jobsKey, String(job.article_id), job, this.jobsTTL);
+      return;
+    }
+    this.jobs.set(String(job.article_id), job);
+  }
+
+  async clearJob(articleId) {
+    if (redis.isConnected) {
+      await redis.hdel(this.jobsKey, String(articleId));
+      return;
+    }
+    this.jobs.delete(String(articleId));
+  }
+
+  async getJobs() {
+    if (redis.isConnected) {
+      return Object.values(await redis.hgetall(this.jobsKey));
+    }
+    return Array.from(this.jobs.values());
+  }
+
+  // Publish every scheduled article that is due
+  async runDuePublications() {
+    // Skip if the previous run is still in progress
+    if (this.isRunning) {
+      logger.debug('Publish scheduler already running, skipping this tick');
+      return { published: 0, failed: 0, skipped: 0 };
+    }
+
+    this.isRunning = true;
+    const results = { published: 0, failed: 0, skipped: 0 };
+
+    try {
+      const dueArticles = await Article.getDueScheduled(this.batchSize);
+
+      for (const article of dueArticles) {
+        const job = await this.getJob(article.id);
+
+        // Failed jobs wait for a manual retry; retrying jobs wait for their backoff
+        if (job && (job.status === 'failed' || new Date(job.next_attempt_at) > new Date())) {
+          results.skipped++;
+          continue;
+        }
+
+        try {
+          const published = await article.publishScheduled();
+          if (!published) {
+            results.skipped++;
+            continue;
+          }
+
+          await this.clearJob(article.id);
+          await this.afterPublish(article);
+          results.published++;
+
+          logger.info('Scheduled article published', {
+            articleId: article.id,
+            scheduledAt: article.scheduled_at
+          });
+        } catch (error) {
+          await this.recordFailure(article, job, error);
+          results.failed++;
+        }
+      }
+
+      if (results.published > 0 || results.failed > 0) {
+        logger.info('Publish scheduler run completed', results);
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('Publish scheduler run failed:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Track a failed publish attempt and schedule the next retry
+  async recordFailure(article, job, error) {
+    const attempts = (job?.attempts || 0) + 1;
+    const status = attempts >= this.maxAttempts ? 'failed' : 'retrying';
+    const delay = this.retryDelay * Math.pow(2, attempts - 1);
+
+    await this.saveJob({
+      article_id: article.id,
+      title: article.title,
+      scheduled_at: article.scheduled_at,
+      attempts,
+      status,
+      last_error: error.message,
+      last_attempt_at: new Date().toISOString(),
+      next_attempt_at: status === 'retrying' ? new Date(Date.now() + delay * 1000).toISOString() : null
+    });
+
+    logger.error(`Failed to publish scheduled article ${article.id} (attempt ${attempts}/${this.maxAttempts}):`, error);
+  }
+
+  // Clear caches and notify connected clients once an article goes live
+  async afterPublish(article) {
+    try {
+      const sitemapService = require('./sitemapService');
+      await sitemapService.clearSitemapCache();
+
+      await redis.del(`article_stats:${article.id}`);
+      await redis.delPattern('trending:*');
+      await redis.delPattern('recommendations:*');
+    } catch (error) {
+      logger.error('Failed to clear caches after scheduled publish:', error);
+    }
+
+    if (this.io) {
+      this.io.emit('article-published', {
+        article: article.toSummaryObject(),
+        scheduled: true
+      });
+    }
+
+    liveService.breakingNews(article);
+  }
+
+  // Get retrying and failed publish jobs (admin view)
+  async getJobStatus() {
+    const jobs = await this.getJobs();
+    jobs.sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at));
+
+    return {
+      failed: jobs.filter(job => job.status === 'failed'),
+      retrying: jobs.filter(job => job.status === 'retrying')
+    };
+  }
+
+  // Reset a failed job so the next scheduler run picks it up again
+  async retryJob(articleId) {
+    const job = await this.getJob(articleId);
+    if (!job) {
+      return false;
+    }
+
+    await this.clearJob(articleId);
+    return true;
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,311 @@
+// src/services/spamService.js
+const crypto = require('crypto');
+const db = require('../config/database');
+const authService = require('./authService');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+// Local spam/toxicity classifier for comments. Each check returns a score
+// contribution (negative values lower suspicion) and a reason; checks can be
+// added with registerCheck().
+class SpamService {
+  constructor() {
+    this.spamThreshold = parseFloat(process.env.SPAM_THRESHOLD) || 0.8;
+    this.approveThreshold = parseFloat(process.env.SPAM_APPROVE_THRESHOLD) || 0.3;
+    this.trustedApprovedCount = 3; // approved comments before a user is trusted
+
+    this.blacklist = (process.env.SPAM_BLACKLIST || 'viagra,casino,crypto giveaway,payday loan,work from home,click here,free money,onlyfans')
+      .split(',')
+      .map(word => word.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.toxicWords = (process.env.TOXIC_WORDS || 'idiot,stupid,moron,retard,kill yourself,scum')
+      .split(',')
+      .map(word => word.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.checks = [];
+    this.registerCheck('honeypot', (comment, context) => this.checkHoneypot(comment, context));
+    this.registerCheck('links', comment => this.checkLinks(comment));
+    this.registerCheck('blacklist', comment => this.checkBlacklist(comment));
+    this.registerCheck('toxicity', comment => this.checkToxicity(comment));
+    this.registerCheck('duplicate', comment => this.checkDuplicate(comment));
+    this.registerCheck('reputation', comment => this.checkReputation(comment));
+    this.registerCheck('learned', comment => this.checkLearnedTokens(comment));
+  }
+
+  // Add a check: fn(comment, context) => { score, reason } | null (may be async)
+  registerCheck(name, fn) {
+    this.checks.push({ name, fn });
+  }
+
+  // Normalized content hash used to spot repeated comments
+  contentHash(content) {
+    const normalized = (content || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  tokenize(content) {
+    const words = (content || '')
+      .toLowerCase()
+      .replace(/<[^>]*>/g, ' ')
+      .match(/[a-z0-9]{3,20}/g) || [];
+
+    return Array.from(new Set(words)).slice(0, 200);
+  }
+
+  // Score a new comment and decide its initial status
+  async classify(comment, context = {}) {
+    let score = 0;
+    const reasons = [];
+
+    for (const check of this.checks) {
+      try {
+        const result = await check.fn(comment, context);
+        if (result && result.score) {
+          score += result.score;
+          reasons.push({ check: check.name, score: Math.round(result.score * 100) / 100, reason: result.reason });
+        }
+      } catch (error) {
+        logger.error(`Spam check ${check.name} failed:`, error);
+      }
+    }
+
+    score = Math.max(0, Math.min(1, score));
+
+    let status = 'pending';
+    if (score >= this.spamThreshold) {
+      status = 'spam';
+    } else if (score < this.approveThreshold && await this.isTrusted(comment)) {
+      status = 'approved';
+    }
+
+    return {
+      score: Math.round(score * 1000) / 1000,
+      reasons,
+      status,
+      content_hash: this.contentHash(comment.content)
+    };
+  }
+
+  // Staff and users with a clean approved history skip moderation
+  async isTrusted(comment) {
+    if (!comment.user_id) {
+      return false;
+    }
+
+    const [rows] = await db.execute(
+      `SELECT u.role,
+              (SELECT COUNT(*) FROM comments WHERE user_id = u.id AND status = 'approved') as approved_count,
+              (SELECT COUNT(*) FROM comments WHERE user_id = u.id AND status = 'spam') as spam_count
+       FROM users u WHERE u.id = ?`,
+      [comment.user_id]
+    );
+
+    if (rows.length === 0) {
+      return false;
+    }
+
+    const { role, approved_count, spam_count } = rows[0];
+    // Newsroom staff (anyone who writes articles) is always trusted
+    if (await authService.hasPermission(role, 'articles:create')) {
+      return true;
+    }
+
+    return approved_count >= this.trustedApprovedCount && spam_count === 0;
+  }
+
+  // Hidden form field that humans leave empty
+  checkHoneypot(comment, context) {
+    if (context.honeypot) {
+      return { score: 1, reason: 'Honeypot field was filled in' };
+    }
+    return null;
+  }
+
+  checkLinks(comment) {
+    const content = comment.content || '';
+    const links = (content.match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+    if (links === 0) {
+      return null;
+    }
+
+    const words = content.split(/\s+/).filter(Boolean).length || 1;
+    const density = links / words;
+
+    let score = Math.min(0.4, links * 0.1);
+    if (density > 0.2) {
+      score += 0.3;
+    }
+
+    return { score, reason: `${links} link(s), link density ${Math.round(density * 100)}%` };
+  }
+
+  checkBlacklist(comment) {
+    const content = (comment.content || '').toLowerCase();
+    const hits = this.blacklist.filter(word => content.includes(word));
+    if (hits.length === 0) {
+      return null;
+    }
+
+    return { score: Math.min(0.6, hits.length * 0.3), reason: `Blacklisted terms: ${hits.join(', ')}` };
+  }
+
+  checkToxicity(comment) {
+    const content = (comment.content || '').toLowerCase();
+    const hits = this.toxicWords.filter(word => content.includes(word));
+
+    // Shouting: mostly upper-case text
+    const letters = (comment.content || '').replace(/[^a-zA-Z]/g, '');
+    const upper = letters.replace(/[^A-Z]/g, '').length;
+    const shouting = letters.length >= 20 && upper / letters.length > 0.7;
+
+    if (hits.length === 0 && !shouting) {
+      return null;
+    }
+
+    const reasons = [];
+    if (hits.length > 0) reasons.push(`toxic terms: ${hits.join(', ')}`);
+    if (shouting) reasons.push('mostly upper-case');
+
+    return {
+      score: Math.min(0.5, hits.length * 0.25) + (shouting ? 0.1 : 0),
+      reason: `Toxic language (${reasons.join('; ')})`
+    };
+  }
+
+  // Same content posted recently (copy-paste flooding)
+  async checkDuplicate(comment) {
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as count FROM comments
+       WHERE content_hash = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)`,
+      [this.contentHash(comment.content)]
+    );
+
+    const count = rows[0].count;
+    if (count === 0) {
+      return null;
+    }
+
+    return { score: Math.min(0.6, 0.3 + count * 0.1), reason: `Same content posted ${count} time(s) in the last 7 days` };
+  }
+
+  // Past moderation decisions for the same IP, email or user
+  async checkReputation(comment) {
+    const conditions = ['ip_address = ?'];
+    const params = [comment.ip_address];
+
+    if (comment.user_id) {
+      conditions.push('user_id = ?');
+      params.push(comment.user_id);
+    }
+
+    if (comment.author_email) {
+      conditions.push('author_email = ?');
+      params.push(comment.author_email);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT
+         COUNT(CASE WHEN status = 'spam' THEN 1 END) as spam_count,
+         COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_count,
+         COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_count
+       FROM comments
+       WHERE ${conditions.join(' OR ')}`,
+      params
+    );
+
+    const { spam_count, rejected_count, approved_count } = rows[0];
+    const bad = spam_count + rejected_count * 0.5;
+
+    if (bad === 0 && approved_count === 0) {
+      return null;
+    }
+
+    if (bad === 0) {
+      return { score: -Math.min(0.3, approved_count * 0.05), reason: `${approved_count} previously approved comment(s)` };
+    }
+
+    const score = Math.min(0.6, bad * 0.2) - Math.min(0.2, approved_count * 0.02);
+    return {
+      score,
+      reason: `Previous decisions: ${spam_count} spam, ${rejected_count} rejected, ${approved_count} approved`
+    };
+  }
+
+  // Word statistics learned from editors' decisions (naive Bayes)
+  async checkLearnedTokens(comment) {
+    const tokens = this.tokenize(comment.content);
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    const placeholders = tokens.map(() => '?').join(', ');
+    const [rows] = await db.execute(
+      `SELECT token, spam_count, ham_count FROM comment_spam_tokens WHERE token IN (${placeholders})`,
+      tokens
+    );
+
+    // Use the most telling tokens seen often enough
+    const probabilities = rows
+      .filter(row => row.spam_count + row.ham_count >= 3)
+      .map(row => (row.spam_count + 1) / (row.spam_count + row.ham_count + 2))
+      .sort((a, b) => Math.abs(b - 0.5) - Math.abs(a - 0.5))
+      .slice(0, 15);
+
+    if (probabilities.length < 3) {
+      return null;
+    }
+
+    const logOdds = probabilities.reduce((sum, p) => sum + Math.log(p / (1 - p)), 0);
+    const probability = 1 / (1 + Math.exp(-logOdds));
+
+    if (probability > 0.9) {
+      return { score: 0.4, reason: `Resembles previous spam (${Math.round(probability * 100)}%)` };
+    }
+
+    if (probability < 0.1) {
+      return { score: -0.2, reason: `Resembles approved comments (${Math.round((1 - probability) * 100)}%)` };
+    }
+
+    return null;
+  }
+
+  // Learn from a moderation decision; `previousStatus` undoes an earlier decision.
+  // Only spam and approved comments train the filter: rejected comments are
+  // off-topic or abusive rather than spam, and counting them as either class
+  // would teach it to flag ordinary vocabulary.
+  async learn(comment, status, previousStatus = null) {
+    const label = { approved: 'ham', spam: 'spam' };
+    if (label[status] === label[previousStatus]) {
+      return;
+    }
+
+    const tokens = this.tokenize(comment.content);
+    if (tokens.length === 0) {
+      return;
+    }
+
+    const spamDelta = (status === 'spam' ? 1 : 0) - (previousStatus === 'spam' ? 1 : 0);
+    const hamDelta = (status === 'approved' ? 1 : 0) - (previousStatus === 'approved' ? 1 : 0);
+
+    try {
+      // Counts never go below zero, also for tokens first seen while undoing
+      const placeholders = tokens.map(() => '(?, ?, ?)').join(', ');
+      await db.execute(
+        `INSERT INTO comment_spam_tokens (token, spam_count, ham_count) VALUES ${placeholders}
+         ON DUPLICATE KEY UPDATE
+           spam_count = GREATEST(0, CAST(spam_count AS SIGNED) + ?),
+           ham_count = GREATEST(0, CAST(ham_count AS SIGNED) + ?)`,
+        [
+          ...tokens.flatMap(token => [token, Math.max(0, spamDelta), Math.max(0, hamDelta)]),
+          spamDelta,
+          hamDelta
+        ]
+      );
+    } catch (error) {
+      logger.error('Failed to update spam token statistics:', error);
+    }
+  }
+}
+
+module.exports = new SpamService();
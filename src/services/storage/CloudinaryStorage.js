@@ -0,0 +1,79 @@
+// src/services/storage/CloudinaryStorage.js
+const path = require('path');
+const { cloudinary } = require('../../config/cloudinary');
+const StorageAdapter = require('./StorageAdapter');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mov', '.avi', '.mkv', '.ogg'];
+
+// Cloudinary assets; the key (without extension) becomes the public ID
+class CloudinaryStorage extends StorageAdapter {
+  constructor() {
+    super('cloudinary');
+    this.folder = process.env.CLOUDINARY_FOLDER || 'news-portal';
+  }
+
+  publicId(key) {
+    const ext = path.extname(key);
+    return `${this.folder}/${key.slice(0, key.length - ext.length)}`;
+  }
+
+  resourceType(key) {
+    return VIDEO_EXTENSIONS.includes(path.extname(key).toLowerCase()) ? 'video' : 'image';
+  }
+
+  async put(key, source) {
+    const options = {
+      public_id: this.publicId(key),
+      resource_type: this.resourceType(key),
+      overwrite: true,
+      unique_filename: false
+    };
+
+    const result = Buffer.isBuffer(source)
+      ? await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(options, (error, uploaded) => (
+          error ? reject(error) : resolve(uploaded)
+        )).end(source);
+      })
+      : await cloudinary.uploader.upload(source, options);
+
+    return { key, url: result.secure_url };
+  }
+
+  async get(key) {
+    const response = await fetch(this.url(key), { signal: AbortSignal.timeout(30000) });
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed with status ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async delete(key) {
+    await cloudinary.uploader.destroy(this.publicId(key), {
+      resource_type: this.resourceType(key),
+      invalidate: true
+    });
+  }
+
+  async exists(key) {
+    try {
+      await cloudinary.api.resource(this.publicId(key), { resource_type: this.resourceType(key) });
+      return true;
+    } catch (error) {
+      if (error.error?.http_code === 404 || error.http_code === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  url(key) {
+    return cloudinary.url(this.publicId(key), {
+      secure: true,
+      resource_type: this.resourceType(key),
+      format: path.extname(key).slice(1) || undefined
+    });
+  }
+}
+
+module.exports = CloudinaryStorage;
@@ -0,0 +1,63 @@
+// src/services/storage/LocalStorage.js
+const fs = require('fs').promises;
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+// Files under the upload directory, served by express.static at /uploads
+class LocalStorage extends StorageAdapter {
+  constructor() {
+    super('local');
+    this.root = process.env.UPLOAD_PATH || './uploads';
+    this.baseUrl = '/uploads';
+  }
+
+  localPath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, source) {
+    const target = this.localPath(key);
+
+    // Files processed in place are already where they belong
+    if (typeof source === 'string' && path.resolve(source) === target) {
+      return { key, url: this.url(key) };
+    }
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    if (Buffer.isBuffer(source)) {
+      await fs.writeFile(target, source);
+    } else {
+      await fs.copyFile(source, target);
+    }
+
+    return { key, url: this.url(key) };
+  }
+
+  async get(key) {
+    return await fs.readFile(this.localPath(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.localPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async exists(key) {
+    return await fs.access(this.localPath(key)).then(() => true).catch(() => false);
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,104 @@
+// src/services/storage/S3Storage.js
+const fs = require('fs').promises;
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand
+} = require('@aws-sdk/client-s3');
+const StorageAdapter = require('./StorageAdapter');
+
+// Amazon S3 or any S3-compatible service (MinIO, R2, Spaces...). For
+// self-hosted services set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true.
+class S3Storage extends StorageAdapter {
+  constructor() {
+    super('s3');
+    this.bucket = process.env.S3_BUCKET;
+    this.region = process.env.S3_REGION || 'us-east-1';
+    this.endpoint = process.env.S3_ENDPOINT || null;
+    this.forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+    this.prefix = process.env.S3_PREFIX ? `${process.env.S3_PREFIX.replace(/\/+$/, '')}/` : '';
+    this.publicUrl = process.env.S3_PUBLIC_URL ? process.env.S3_PUBLIC_URL.replace(/\/+$/, '') : null;
+
+    if (!this.bucket) {
+      throw new Error('S3 storage requires S3_BUCKET');
+    }
+
+    this.client = new S3Client({
+      region: this.region,
+      endpoint: this.endpoint || undefined,
+      forcePathStyle: this.forcePathStyle,
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, source, options = {}) {
+    const body = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: options.contentType,
+      CacheControl: 'public, max-age=31536000'
+    }));
+
+    return { key, url: this.url(key) };
+  }
+
+  async get(key) {
+    const result = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return Buffer.from(await result.Body.transformToByteArray());
+  }
+
+  async delete(key) {
+    // S3 treats deleting a missing object as success
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  url(key) {
+    const objectKey = this.objectKey(key).split('/').map(encodeURIComponent).join('/');
+
+    if (this.publicUrl) {
+      return `${this.publicUrl}/${objectKey}`;
+    }
+    if (this.endpoint) {
+      const endpoint = this.endpoint.replace(/\/+$/, '');
+      return this.forcePathStyle
+        ? `${endpoint}/${this.bucket}/${objectKey}`
+        : endpoint.replace('://', `://${this.bucket}.`) + `/${objectKey}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${objectKey}`;
+  }
+}
+
+module.exports = S3Storage;
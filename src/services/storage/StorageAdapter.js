@@ -0,0 +1,36 @@
+// src/services/storage/StorageAdapter.js
+
+// Interface every media storage backend implements. Keys are relative paths
+// such as `images/1700000000_ab12_photo.jpg`; sources are a local file path
+// or a Buffer.
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Store a file; resolves to { key, url }
+  async put(key, source, options = {}) {
+    throw new Error(`${this.name} storage does not implement put()`);
+  }
+
+  // File contents as a Buffer
+  async get(key) {
+    throw new Error(`${this.name} storage does not implement get()`);
+  }
+
+  // Remove a file; missing files are not an error
+  async delete(key) {
+    throw new Error(`${this.name} storage does not implement delete()`);
+  }
+
+  async exists(key) {
+    throw new Error(`${this.name} storage does not implement exists()`);
+  }
+
+  // Public URL of a stored file
+  url(key) {
+    throw new Error(`${this.name} storage does not implement url()`);
+  }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,36 @@
+// src/services/storage/index.js
+
+// Media storage backends. Drivers are loaded on first use, so a site that
+// only stores files locally needs neither the S3 SDK nor Cloudinary settings.
+const drivers = {
+  local: () => require('./LocalStorage'),
+  s3: () => require('./S3Storage'),
+  cloudinary: () => require('./CloudinaryStorage')
+};
+
+const instances = new Map();
+
+const backends = Object.keys(drivers);
+
+// Backend for new uploads; CDN_ENABLED keeps older Cloudinary setups working
+const defaultBackend = process.env.MEDIA_STORAGE ||
+  (process.env.CDN_ENABLED === 'true' ? 'cloudinary' : 'local');
+
+const getStorage = (name = defaultBackend) => {
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage backend "${name}". Available backends: ${backends.join(', ')}`);
+  }
+
+  if (!instances.has(name)) {
+    const Adapter = drivers[name]();
+    instances.set(name, new Adapter());
+  }
+
+  return instances.get(name);
+};
+
+module.exports = {
+  backends,
+  defaultBackend,
+  getStorage
+};
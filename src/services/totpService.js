@@ -0,0 +1,265 @@
+// src/services/totpService.js
+const crypto = require('crypto');
+const db = require('../config/database');
+const redis = require('../config/redis');
+const logger = require('../../scripts/baksrc/utils/logger');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator-app second factor (RFC 6238 TOTP, RFC 4226 HOTP) with
+// one-time recovery codes
+class TotpService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || process.env.SITE_NAME || 'News Portal';
+    this.digits = 6;
+    this.period = 30; // seconds
+    this.window = 1; // accepted steps of clock drift either way
+    this.recoveryCodeCount = 10;
+    this.setupTokenTTL = 15 * 60; // 15 minutes
+
+    // Roles that must use an authenticator app instead of email codes
+    this.requiredRoles = (process.env.TOTP_REQUIRED_ROLES ?? 'admin,editor')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+
+    // Secrets are encrypted at rest
+    this.encryptionKey = crypto
+      .createHash('sha256')
+      .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+      .digest();
+  }
+
+  isRequiredFor(role) {
+    return this.requiredRoles.includes(role);
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // 160-bit secret, as recommended by RFC 4226
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  hotp(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** this.digits);
+
+    return code.toString().padStart(this.digits, '0');
+  }
+
+  generate(secret, timestamp = Date.now()) {
+    return this.hotp(secret, Math.floor(timestamp / 1000 / this.period));
+  }
+
+  // Returns the matching time step, or null
+  verify(secret, code, timestamp = Date.now()) {
+    const input = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(input) || input.length !== this.digits) {
+      return null;
+    }
+
+    const current = Math.floor(timestamp / 1000 / this.period);
+
+    for (let step = current - this.window; step <= current + this.window; step++) {
+      const expected = this.hotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(input))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  // otpauth:// URI that authenticator apps import from a QR code
+  provisioningUri(accountName, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // Start enrollment: store a new, not yet enabled secret for the user
+  async startEnrollment(user) {
+    const secret = this.generateSecret();
+    await user.setTotpSecret(this.encryptSecret(secret));
+
+    return {
+      secret,
+      otpauth_url: this.provisioningUri(user.email, secret)
+    };
+  }
+
+  // Finish enrollment with a first code from the app; returns recovery codes
+  async confirmEnrollment(user, code) {
+    if (!user.totp_secret) {
+      return null;
+    }
+
+    const step = this.verify(this.decryptSecret(user.totp_secret), code);
+    if (step === null || !(await user.useTotpStep(step))) {
+      return null;
+    }
+
+    await user.enableTotp();
+    return await this.generateRecoveryCodes(user.id);
+  }
+
+  // Check a login code for an enrolled user; every code works only once
+  async verifyUserCode(user, code) {
+    if (!user.totp_enabled_at || !user.totp_secret) {
+      return false;
+    }
+
+    try {
+      const step = this.verify(this.decryptSecret(user.totp_secret), code);
+      return step !== null && await user.useTotpStep(step);
+    } catch (error) {
+      logger.error('TOTP verification failed:', error);
+      return false;
+    }
+  }
+
+  normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeRecoveryCode(code)).digest('hex');
+  }
+
+  // Replace the user's recovery codes; only hashes are stored
+  async generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await db.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    await db.execute(
+      `INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ${codes.map(() => '(?, ?)').join(', ')}`,
+      codes.flatMap(code => [userId, this.hashRecoveryCode(code)])
+    );
+
+    return codes;
+  }
+
+  async useRecoveryCode(userId, code) {
+    if (this.normalizeRecoveryCode(code).length !== 10) {
+      return false;
+    }
+
+    const [result] = await db.execute(
+      `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, this.hashRecoveryCode(code)]
+    );
+
+    return result.affectedRows === 1;
+  }
+
+  async countRecoveryCodes(userId) {
+    const [rows] = await db.execute(
+      'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    return rows[0].count;
+  }
+
+  async clearRecoveryCodes(userId) {
+    await db.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  }
+
+  // Short-lived token that only allows enrolling, for users whose role
+  // requires an authenticator app but who haven't set one up yet
+  async createSetupToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await redis.set(`totp_setup:${token}`, { userId }, this.setupTokenTTL);
+    return token;
+  }
+
+  async resolveSetupToken(token) {
+    if (!token) {
+      return null;
+    }
+
+    const data = await redis.get(`totp_setup:${token}`);
+    return data ? data.userId : null;
+  }
+
+  async clearSetupToken(token) {
+    await redis.del(`totp_setup:${token}`);
+  }
+}
+
+module.exports = new TotpService();